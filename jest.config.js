@@ -1,12 +1,19 @@
+const fs = require('fs');
 const path = require('path');
 
+// Inside the monorepo the tests of every worker run from its root. Checked out alone, the tests of this worker
+// run from here.
+const monorepoRoot = path.resolve(__dirname, '../../../..');
+const inMonorepo = fs.existsSync(path.join(monorepoRoot, 'WORKER/Edition/Scripts/nodejs'));
+
 module.exports = {
-  rootDir: path.resolve(__dirname, '../../../..'),
+  rootDir: inMonorepo ? monorepoRoot : __dirname,
   testMatch: [
     '<rootDir>/tests/src/**/*.test.js',
+    path.join(__dirname, 'tests/src/**/*.test.js'),
   ],
   moduleDirectories:
     ['node_modules',
     "WORKER/Edition/Scripts/nodejs",
       "tests"]
-};
\ No newline at end of file
+};
@@ -0,0 +1,153 @@
+// PDF annexes (certificates, plans, scanned forms...) merged into the report, listed in the table of contents
+// and counted in the page count like the other sections.
+//
+// An annex takes the place of a placeholder section, named after the uploaded annex file or the path of a PDF of
+// the asset bundle (relative to the HTML, like the other assets):
+//   <section data-annex="plan.pdf" data-annex-title="Plan du site"></section>
+// Annexes without a placeholder follow the body of the report, in upload order. Placeholders are top-level
+// sections: they belong to a page group like the other sections, and form a page run of their own whose pages
+// are the pages of the annex (see `assignPageGroups`). Every annex gets a TOC entry, unless the table of contents
+// already links to its placeholder.
+// The internal links of an annex keep pointing at its own pages once merged; its named destinations are not
+// kept, so the report can only link to the annex as a whole, through its placeholder.
+
+// Import necessary modules
+const path = require('path'); // Default titles, from the file names
+const { PDFDocument } = require('pdf-lib'); // Reads the annexes
+
+/**
+ * Error thrown when an annex is missing or is not a readable PDF.
+ */
+class InvalidAnnexError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidAnnexError';
+    }
+}
+
+/**
+ * Checks that an annex is a PDF that pdf-lib can merge.
+ * @param {string} name - The annex name, for the error messages.
+ * @param {Buffer} content - The PDF data.
+ * @returns {Promise<number>} The page count of the annex.
+ * @throws {InvalidAnnexError} If the PDF cannot be read, is encrypted or has no page.
+ */
+async function countAnnexPages(name, content) {
+    let pdfDoc;
+    try {
+        pdfDoc = await PDFDocument.load(content);
+    } catch (error) {
+        throw new InvalidAnnexError(`Invalid PDF annex ${name}: ${error.message}`);
+    }
+    if (pdfDoc.getPageCount() === 0) {
+        throw new InvalidAnnexError(`The PDF annex ${name} has no page.`);
+    }
+    return pdfDoc.getPageCount();
+}
+
+/**
+ * Places the annexes in the report HTML: adds a placeholder at the end of the body for the annexes that have
+ * none, gives every placeholder an id and adds the missing TOC entries, in document order.
+ * @param {puppeteer.Page} page - The page holding the report HTML.
+ * @param {Object[]} annexes - The uploaded `{ name, title, content }` annexes, `title` being optional.
+ * @param {AssetBundle} [bundle] - The asset bundle of the report, for the placeholders naming one of its PDFs.
+ * @param {string} tocSelector - The selector of the table of contents.
+ * @returns {Promise<Map<string, Object>>} The `{ name, title, content, pageCount }` annex of each placeholder,
+ * by placeholder id.
+ * @throws {InvalidAnnexError} If a placeholder names an unknown annex or an annex is not a readable PDF.
+ */
+async function placeAnnexes(page, annexes, bundle, tocSelector) {
+    const placeholders = await page.evaluate(() => Array.from(
+        document.querySelectorAll('section[data-annex]:not(section section)'),
+        section => ({ name: section.dataset.annex, title: section.dataset.annexTitle || null }),
+    ));
+    if (placeholders.length === 0 && annexes.length === 0) {
+        return new Map();
+    }
+
+    const uploaded = new Map(annexes.map(annex => [annex.name, annex]));
+    const getContent = name => {
+        if (uploaded.has(name)) {
+            return uploaded.get(name).content;
+        }
+        const asset = bundle ? bundle.getAsset(new URL(name, bundle.baseUrl).href) : null;
+        if (!asset) {
+            throw new InvalidAnnexError(`Annex not found: ${name}.`);
+        }
+        return asset.body;
+    };
+
+    // The uploaded annexes without placeholder follow the body
+    const placed = new Set(placeholders.map(placeholder => placeholder.name));
+    const appended = annexes.filter(annex => !placed.has(annex.name)).map(annex => annex.name);
+
+    const placedAnnexes = [...placeholders, ...appended.map(name => ({ name, title: null }))];
+    for (const annex of placedAnnexes) {
+        annex.content = getContent(annex.name);
+        annex.pageCount = await countAnnexPages(annex.name, annex.content);
+        annex.title = annex.title || (uploaded.has(annex.name) && uploaded.get(annex.name).title)
+            || path.basename(annex.name, path.extname(annex.name));
+    }
+
+    const ids = await page.evaluate((appended, titles, tocSelector) => {
+        appended.forEach(name => {
+            const section = document.createElement('section');
+            section.dataset.annex = name;
+            document.body.appendChild(section);
+        });
+
+        const sections = Array.from(document.querySelectorAll('section[data-annex]:not(section section)'));
+        sections.forEach((section, i) => {
+            if (!section.id) {
+                let id = `annex-${i + 1}`;
+                while (document.getElementById(id)) {
+                    id += '-';
+                }
+                section.id = id;
+            }
+        });
+
+        const toc = document.querySelector(tocSelector);
+        if (toc) {
+            const getTarget = entry => {
+                const link = entry.querySelector('a');
+                const target = (link && link.dataset.tocTarget) || entry.dataset.tocTarget
+                    || (link && (link.getAttribute('href') || '').startsWith('#') ? decodeURIComponent(link.getAttribute('href').slice(1)) : null);
+                return target ? document.getElementById(target) : null;
+            };
+            // New entries look like the first one of the table of contents
+            const model = Array.from(toc.children).find(entry => entry.querySelector('a'));
+
+            sections.forEach((section, i) => {
+                const entries = Array.from(toc.children);
+                if (entries.some(entry => getTarget(entry) === section)) {
+                    return;
+                }
+                const entry = model ? model.cloneNode(false) : document.createElement(['UL', 'OL'].includes(toc.tagName) ? 'li' : 'div');
+                entry.removeAttribute('id');
+                delete entry.dataset.tocTarget;
+                const link = model ? model.querySelector('a').cloneNode(false) : document.createElement('a');
+                link.removeAttribute('id');
+                delete link.dataset.tocTarget;
+                link.setAttribute('href', '#' + section.id);
+                link.textContent = titles[i];
+                entry.appendChild(link);
+
+                // Before the first entry pointing after the annex
+                const next = entries.find(other => {
+                    const target = getTarget(other);
+                    return target && section.compareDocumentPosition(target) & Node.DOCUMENT_POSITION_FOLLOWING;
+                });
+                toc.insertBefore(entry, next || null);
+            });
+        }
+        return sections.map(section => section.id);
+    }, appended, placedAnnexes.map(annex => annex.title), tocSelector);
+
+    return new Map(ids.map((id, i) => [id, placedAnnexes[i]]));
+}
+
+module.exports = {
+    InvalidAnnexError,
+    placeAnnexes,
+};
@@ -1,47 +1,768 @@
+const fs = require('fs');
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
-const { generatePDF, generateHTML } = require('./index');
+const { generatePDF, generateHTML, generateDOCX, getProfile, Browser, RenderQueueFullError } = require('./index');
+const { submitJob, getJob, getJobResult, resolveCallbackUrl, InvalidCallbackUrlError } = require('./jobs');
+const { renderTemplate, listTemplates, TemplateNotFoundError } = require('./templates');
+const { readZipBundle, readMultipartBundle, InvalidBundleError, BundleTooLargeError } = require('./bundles');
+const { resolveNetworkPolicy, getPageSandbox } = require('./network');
+const { resolveReadiness, ReportNotReadyError } = require('./readiness');
+const { resolveWatermark, InvalidWatermarkError } = require('./watermark');
+const { resolveSignature, SignatureError } = require('./signature');
+const { resolveEncryption, InvalidEncryptionError } = require('./encryption');
+const { resolveMetadata, InvalidMetadataError } = require('./metadata');
+const { InvalidAnnexError } = require('./annexes');
+const { resolveImageOptions, renderPageImages, zipPageImages, InvalidImageOptionsError } = require('./images');
+const { DOCX_CONTENT_TYPE } = require('./word');
+const { preflightReport, PreflightFailedError } = require('./preflight');
+const { DebugRecorder, DEBUG_BUNDLES_ENABLED } = require('./debug');
+const { hasProfile } = require('./profiles');
+const { withLogContext, log, logError } = require('./logging');
+const metrics = require('./metrics');
 const app = express();
 const port = 8080;
 
-app.use(bodyParser.raw({ limit: '100mb', type: 'text/html' }));
+// Every request gets an id, the one of the X-Request-Id header when the client (or a proxy) sends one,
+// given back in the X-Request-Id header and in the error bodies, and carried by every log line of the request
+app.use((req, res, next) => {
+  req.id = req.get('X-Request-Id') || crypto.randomUUID();
+  req.stage = 'request';
+  res.setHeader('X-Request-Id', req.id);
 
-app.post('/pdf_visualiser', async (req, res) => {
-  const htmlPage = req.body;
-  const rapportType = req.query.report;
-  if (!htmlPage) {
-    return res.status(400).send('Request body is empty.');
+  const endTimer = metrics.httpDuration.startTimer();
+  res.once('finish', () => {
+    // The route pattern, not the path, keeps the job ids out of the labels
+    const route = req.route ? req.route.path : 'unmatched';
+    metrics.httpRequests.inc({ route, status: res.statusCode });
+    const seconds = endTimer({ route });
+    if (route !== '/healthz' && route !== '/readyz' && route !== '/metrics') {
+      log(`${req.method} ${req.originalUrl} ${res.statusCode}`, { httpRequest: { requestMethod: req.method, requestUrl: req.originalUrl, status: res.statusCode, latency: `${seconds.toFixed(3)}s` } });
+    }
+  });
+  withLogContext({ requestId: req.id }, next);
+});
+
+app.use(bodyParser.raw({ limit: '100mb', type: ['text/html', 'application/zip'] }));
+app.use(bodyParser.json({ limit: '100mb' }));
+
+/**
+ * Answers an error as JSON: `{ error: { stage, message, requestId } }`.
+ * @param {string} [stage] - The stage that failed: 'request' (reading the request), 'queue', 'template', 'html',
+ * then the PDF stages ('preliminary', 'toc', 'parts', 'merge'), 'images' or 'docx'.
+ * @param {Object} [extra] - Other properties of the body.
+ */
+const sendError = (req, res, status, message, stage = 'request', extra = {}) => {
+  res.status(status).json({ error: { stage, message, requestId: req.id }, ...extra });
+};
+
+/**
+ * Sends the debug bundle of a render (see debug.js) as a zip archive.
+ */
+const sendDebugBundle = async (res, debug) => {
+  const zip = await debug.toZip();
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', 'attachment; filename="debug.zip"');
+  res.send(zip);
+};
+
+/**
+ * Answers a failed render: 503 when the render queue is full, 504 when the page was not ready in time,
+ * 422 with the diagnostics when the HTML failed the preflight checks (`preflight=true`),
+ * 400 for an invalid watermark, annex, page image, signature, encryption or metadata, 500 otherwise. The stage is the one the render had reached
+ * (`req.stage`). With a debug recorder, the debug bundle is sent instead, along with the same status.
+ */
+const sendRenderError = async (req, res, error, debug = null) => {
+  let status = 500;
+  let stage = req.stage;
+  let message = error.message || String(error);
+  let extra = {};
+  if (error instanceof PreflightFailedError) {
+    status = 422;
+    stage = 'preflight';
+    extra = error.result;
+  } else if (error instanceof RenderQueueFullError) {
+    status = 503;
+    stage = 'queue';
+    message = 'Server busy, retry later.';
+    res.setHeader('Retry-After', '30');
+  } else if (error instanceof ReportNotReadyError) {
+    status = 504;
+  } else if (error instanceof InvalidWatermarkError || error instanceof InvalidAnnexError || error instanceof InvalidImageOptionsError
+    || error instanceof SignatureError || error instanceof InvalidEncryptionError || error instanceof InvalidMetadataError) {
+    status = 400;
+  } else {
+    logError(`Error generating PDF (stage ${stage}):`, error);
+  }
+
+  if (debug) {
+    debug.addFile('error.json', { error: { stage, message, requestId: req.id }, ...extra, stack: error.stack });
+    try {
+      return await sendDebugBundle(res.status(status), debug);
+    } catch (zipError) {
+      logError('Error building the debug bundle:', zipError);
+    }
+  }
+  sendError(req, res, status, message, stage, extra);
+};
+
+/**
+ * Reads the report of a request: the raw HTML (text/html), or an asset bundle holding the HTML with its images,
+ * stylesheets and fonts, as a zip archive (application/zip) or a multipart form (see bundles.js).
+ * Answers 400 and returns null if the body is empty or the bundle is invalid, 413 if the bundle is too large.
+ */
+const getRequestReport = async (req, res) => {
+  try {
+    if (req.is('multipart/form-data')) {
+      return await readMultipartBundle(req);
+    }
+    if (!req.body || !req.body.length) {
+      sendError(req, res, 400, 'Request body is empty.');
+      return null;
+    }
+    return req.is('application/zip') ? await readZipBundle(req.body) : req.body.toString();
+  } catch (error) {
+    if (!(error instanceof InvalidBundleError)) throw error;
+    sendError(req, res, error instanceof BundleTooLargeError ? 413 : 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Returns the network policy options of the request: `network` (allow, allowlist, inline or deny), `allow_hosts`
+ * (comma separated) and `javascript=false`. Answers 400 and returns null if they are invalid.
+ */
+const getRequestNetwork = (req, res) => {
+  const network = { mode: req.query.network, hosts: req.query.allow_hosts, javascript: req.query.javascript };
+  try {
+    resolveNetworkPolicy(network);
+    return network;
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Returns the callback URL of a job request (`callback_url`, see `resolveCallbackUrl` in jobs.js), or an empty string
+ * when there is none. Answers 400 and returns null if it is refused.
+ */
+const getRequestCallbackUrl = async (req, res) => {
+  try {
+    return await resolveCallbackUrl(req.query.callback_url) || '';
+  } catch (error) {
+    if (!(error instanceof InvalidCallbackUrlError)) throw error;
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Returns the readiness options of the request: `wait_for` (comma separated conditions among fonts, network_idle,
+ * report_ready and selector), `wait_selector` and `wait_timeout` (ms). Answers 400 and returns null if they are invalid.
+ */
+const getRequestReady = (req, res) => {
+  const ready = { conditions: req.query.wait_for, selector: req.query.wait_selector, timeout: req.query.wait_timeout };
+  try {
+    resolveReadiness(ready);
+    return ready;
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Returns the watermark options of the request: `watermark` (text), `watermark_image` (a data URI, or the path of
+ * an asset of the bundle), `watermark_position`, `watermark_opacity`, `watermark_pages`, `watermark_size`,
+ * `watermark_color` and `reference`. Answers 400 and returns null if they are invalid.
+ */
+const getRequestWatermark = (req, res, report) => {
+  const { query } = req;
+  let image;
+  if (query.watermark_image) {
+    const dataUri = /^data:[^;,]*;base64,(.*)$/s.exec(query.watermark_image);
+    // A "+" of the base64 data comes out of the query string as a space
+    image = dataUri ? Buffer.from(dataUri[1].replace(/ /g, '+'), 'base64') : report.assets && report.assets.get(query.watermark_image);
+    if (!image) {
+      sendError(req, res, 400, `Watermark image not found: ${query.watermark_image}.`);
+      return null;
+    }
+  }
+
+  const watermark = {
+    text: query.watermark,
+    image,
+    position: query.watermark_position,
+    opacity: query.watermark_opacity,
+    pages: query.watermark_pages,
+    size: query.watermark_size,
+    color: query.watermark_color,
+    reference: query.reference,
+  };
+  try {
+    resolveWatermark(watermark);
+    return watermark;
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Returns the metadata of the request, overriding the one of the HTML: `title`, `author`, `subject`, `keywords`
+ * (comma separated), `language` and `creation_date` (ISO 8601). Answers 400 and returns null if they are invalid.
+ */
+const getRequestMetadata = (req, res) => {
+  const { query } = req;
+  const metadata = {
+    title: query.title,
+    author: query.author,
+    subject: query.subject,
+    keywords: query.keywords,
+    language: query.language,
+    creationDate: query.creation_date,
+  };
+  try {
+    resolveMetadata({}, metadata);
+    return metadata;
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Returns the page image options of the request: `format` (png or jpeg), `dpi`, `pages` (a page range such as
+ * "1,3-5"), `quality` (JPEG, 1 to 100) and `zip=true`. Answers 400 and returns null if they are invalid.
+ */
+const getRequestImageOptions = (req, res) => {
+  const { query } = req;
+  const options = { format: query.format, dpi: query.dpi, pages: query.pages, quality: query.quality, zip: query.zip };
+  try {
+    return resolveImageOptions(options);
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Renders pages of a PDF on a blank page and sends them: the image itself when a single page is asked for without
+ * `zip=true`, a zip archive otherwise. The page count of the document is sent in `X-Page-Count`.
+ */
+const sendPageImages = async (res, page, pdf, options) => {
+  const { pageCount, images } = await renderPageImages(page, pdf, options);
+  res.setHeader('X-Page-Count', String(pageCount));
+  if (images.length === 1 && !options.zip) {
+    res.setHeader('Content-Type', options.mimeType);
+    return res.send(images[0].content);
+  }
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', 'attachment; filename="pages.zip"');
+  res.send(await zipPageImages(images));
+};
+
+/**
+ * Returns a debug recorder when the request asks for the debug bundle of the render (`debug=true`, see debug.js),
+ * or false. The bundles hold the HTML, the browser console and the error stacks, so the server only answers them
+ * with `DEBUG_BUNDLES=true`: answers 403 and returns null otherwise.
+ */
+const getRequestDebug = (req, res) => {
+  if (req.query.debug !== 'true') return false;
+  if (!DEBUG_BUNDLES_ENABLED) {
+    sendError(req, res, 403, 'Debug bundles are disabled on this server.');
+    return null;
+  }
+  return new DebugRecorder();
+};
+
+/**
+ * Returns the signature options of the request when `sign=true`: `sign_reason`, `sign_location`, `sign_page` and
+ * `sign_box` (x,y,width,height for a visible signature), or false when the PDF is not to be signed.
+ * Answers 400 and returns null if they are invalid.
+ */
+const getRequestSignature = (req, res) => {
+  const { query } = req;
+  if (query.sign !== 'true') return false;
+
+  const signature = { reason: query.sign_reason, location: query.sign_location, page: query.sign_page, box: query.sign_box };
+  try {
+    resolveSignature(signature);
+    return signature;
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Returns the encryption options of the request when the `X-PDF-User-Password` header is set (passwords are kept out
+ * of the URLs): `X-PDF-Owner-Password`, and the `allow_printing` (true, low or false), `allow_copying`,
+ * `allow_modifying` and `allow_annotating` permissions. Returns false when the PDF is not to be encrypted.
+ * Answers 400 and returns null if they are invalid.
+ */
+const getRequestEncryption = (req, res) => {
+  const { query } = req;
+  const userPassword = req.get('X-PDF-User-Password');
+  if (!userPassword) return false;
+  if (query.sign === 'true') {
+    sendError(req, res, 400, 'Encrypted documents cannot be signed.');
+    return null;
+  }
+  if (query.pdfa === 'true') {
+    sendError(req, res, 400, 'PDF/A documents cannot be encrypted.');
+    return null;
   }
 
+  const encryption = {
+    userPassword,
+    ownerPassword: req.get('X-PDF-Owner-Password'),
+    permissions: {
+      printing: query.allow_printing,
+      copying: query.allow_copying,
+      modifying: query.allow_modifying,
+      annotating: query.allow_annotating,
+    },
+  };
+  try {
+    resolveEncryption(encryption);
+    return encryption;
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+/**
+ * Reports the requests blocked by the network policy (`X-Blocked-Requests`) and the assets the bundle could not
+ * serve (`X-Missing-Assets`).
+ */
+const setDiagnosticsHeaders = (res, html) => {
+  const sandbox = getPageSandbox(html);
+  if (!sandbox) return;
+  const { blockedRequests, missingAssets } = sandbox.getDiagnostics();
+  if (blockedRequests.length > 0) {
+    res.setHeader('X-Blocked-Requests', blockedRequests.map(encodeURI).join(', '));
+  }
+  if (missingAssets.length > 0) {
+    res.setHeader('X-Missing-Assets', missingAssets.map(encodeURI).join(', '));
+  }
+};
+
+/**
+ * Reports the PDF/A-2b rules broken by the document (`X-PDFA-Violations`), when `pdfa=true`.
+ */
+const setConformanceHeaders = (res, conformance) => {
+  if (conformance.conformant) return;
+  const rules = [...new Set(conformance.violations.map(violation => violation.rule))];
+  res.setHeader('X-PDFA-Violations', rules.join(', '));
+};
+
+/**
+ * Reports how the PDF was rendered (see `generatePDF`): the Chromium render passes, the parts rendered and the
+ * parts kept from an earlier pass.
+ */
+const setRenderStatsHeaders = (res, stats) => {
+  res.setHeader('X-Render-Passes', String(stats.passes));
+  res.setHeader('X-Render-Parts', String(stats.renders));
+  res.setHeader('X-Render-Parts-Reused', String(stats.reused));
+};
+
+/**
+ * Returns the layout profile of a report type, the `report` query param by default, or answers 400 and returns
+ * null if it is unknown.
+ */
+const getRequestProfile = (req, res, name = req.query.report) => {
+  try {
+    return getProfile(name);
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+    return null;
+  }
+};
+
+app.post('/pdf_visualiser', async (req, res) => {
+  const profile = getRequestProfile(req, res);
+  if (!profile) return;
+  const network = getRequestNetwork(req, res);
+  if (!network) return;
+  const ready = getRequestReady(req, res);
+  if (!ready) return;
+  const report = await getRequestReport(req, res);
+  if (!report) return;
+  const watermark = getRequestWatermark(req, res, report);
+  if (!watermark) return;
+  const metadata = getRequestMetadata(req, res);
+  if (!metadata) return;
+  const signature = getRequestSignature(req, res);
+  if (signature === null) return;
+  const encryption = getRequestEncryption(req, res);
+  if (encryption === null) return;
+
+  // debug=true answers the debug bundle of the render (see debug.js) instead of the PDF
+  const debug = getRequestDebug(req, res);
+  if (debug === null) return;
+
+  let html;
   try {
+    req.stage = 'html';
+    html = await generateHTML(report, { network, ready, profile, preflight: req.query.preflight === 'true', debug });
+    const pdf = await generatePDF(html, {
+      profile,
+      annexes: report.annexes,
+      metadata,
+      watermark,
+      signature,
+      encryption,
+      pdfa: req.query.pdfa === 'true',
+      debug,
+      onProgress: stage => req.stage = stage,
+      onConformance: conformance => setConformanceHeaders(res, conformance),
+      onRenderStats: stats => setRenderStatsHeaders(res, stats),
+    });
+    setDiagnosticsHeaders(res, html);
+    if (debug) {
+      debug.addFile('result.pdf', pdf);
+      return await sendDebugBundle(res, debug);
+    }
     res.setHeader('Content-Type', 'application/pdf');
-    const html = await generateHTML(htmlPage.toString());
-    const pdf = await generatePDF(html);
     res.send(pdf);
   } catch (error) {
-    console.error('Error generating PDF:', error);
-    res.status(500).send('Error generating PDF');
+    await sendRenderError(req, res, error, debug);
+  } finally {
+    // Closing the page frees its render slot
+    if (html && !html.isClosed()) await html.close().catch(() => {});
   }
 });
 
-app.post('/html_visualiser', async (req, res) => {
-  const htmlPage = req.body;
-  const rapportType = req.query.report;
-  if (!htmlPage) {
-    return res.status(400).send('Request body is empty.');
+// Page images (previews, thumbnails) of the PDF that /pdf_visualiser would return for the same report
+app.post('/pdf_images', async (req, res) => {
+  const profile = getRequestProfile(req, res);
+  if (!profile) return;
+  const network = getRequestNetwork(req, res);
+  if (!network) return;
+  const ready = getRequestReady(req, res);
+  if (!ready) return;
+  const imageOptions = getRequestImageOptions(req, res);
+  if (!imageOptions) return;
+  const report = await getRequestReport(req, res);
+  if (!report) return;
+  const watermark = getRequestWatermark(req, res, report);
+  if (!watermark) return;
+
+  let html;
+  try {
+    req.stage = 'html';
+    html = await generateHTML(report, { network, ready, profile, preflight: req.query.preflight === 'true' });
+    const pdf = await generatePDF(html, {
+      profile,
+      annexes: report.annexes,
+      watermark,
+      onProgress: stage => req.stage = stage,
+      onRenderStats: stats => setRenderStatsHeaders(res, stats),
+    });
+    setDiagnosticsHeaders(res, html);
+    req.stage = 'images';
+    // The images are rendered on the browser of the report page, within its render slot
+    const imagePage = await html.browser().newPage();
+    html.once('close', () => imagePage.close().catch(() => {}));
+    await sendPageImages(res, imagePage, pdf, imageOptions);
+  } catch (error) {
+    await sendRenderError(req, res, error);
+  } finally {
+    if (html && !html.isClosed()) await html.close().catch(() => {});
   }
+});
 
+app.post('/html_visualiser', async (req, res) => {
+  const profile = getRequestProfile(req, res);
+  if (!profile) return;
+  const network = getRequestNetwork(req, res);
+  if (!network) return;
+  const ready = getRequestReady(req, res);
+  if (!ready) return;
+  const report = await getRequestReport(req, res);
+  if (!report) return;
+
+  let html;
   try {
+    req.stage = 'html';
+    html = await generateHTML(report, { network, ready, profile, preflight: req.query.preflight === 'true' });
+    const content = await html.content();
+    setDiagnosticsHeaders(res, html);
     res.setHeader('Content-Type', 'text/html');
-    const html = await generateHTML(htmlPage.toString());
-    res.send(await html.content());
+    res.send(content);
   } catch (error) {
-    console.error('Error generating PDF:', error);
-    res.status(500).send('Error generating PDF');
+    await sendRenderError(req, res, error);
+  } finally {
+    if (html && !html.isClosed()) await html.close().catch(() => {});
   }
 });
 
+// Word version of the report, for the clients who edit it
+app.post('/docx_visualiser', async (req, res) => {
+  const profile = getRequestProfile(req, res);
+  if (!profile) return;
+  const network = getRequestNetwork(req, res);
+  if (!network) return;
+  const ready = getRequestReady(req, res);
+  if (!ready) return;
+  const metadata = getRequestMetadata(req, res);
+  if (!metadata) return;
+  const report = await getRequestReport(req, res);
+  if (!report) return;
+
+  let html;
+  try {
+    req.stage = 'html';
+    html = await generateHTML(report, { network, ready, profile, preflight: req.query.preflight === 'true' });
+    req.stage = 'docx';
+    const docx = await generateDOCX(html, { profile, metadata });
+    setDiagnosticsHeaders(res, html);
+    res.setHeader('Content-Type', DOCX_CONTENT_TYPE);
+    res.setHeader('Content-Disposition', 'attachment; filename="rapport.docx"');
+    res.send(docx);
+  } catch (error) {
+    await sendRenderError(req, res, error);
+  } finally {
+    if (html && !html.isClosed()) await html.close().catch(() => {});
+  }
+});
+
+// Checks the report HTML (or bundle) without rendering it: missing layout elements, TOC entries without link,
+// duplicate titles, broken internal links and external assets (see preflight.js)
+app.post('/preflight', async (req, res) => {
+  const profile = getRequestProfile(req, res);
+  if (!profile) return;
+  const report = await getRequestReport(req, res);
+  if (!report) return;
+  try {
+    res.json(preflightReport(report, profile));
+  } catch (error) {
+    logError('Error running the preflight checks:', error);
+    sendError(req, res, 500, error.message, 'preflight');
+  }
+});
+
+app.get('/templates', (req, res) => {
+  res.json(listTemplates());
+});
+
+/**
+ * Returns the PDF annexes of a template request (see annexes.js): `annexes` is a list of
+ * `{ "name": "plan.pdf", "title": "Plan du site", "content": "<base64>" }`, `title` being optional.
+ * Answers 400 and returns null if it is invalid.
+ */
+const getRequestTemplateAnnexes = (req, res, body) => {
+  const annexes = body.annexes || [];
+  const isValid = annex => annex && typeof annex.name === 'string' && annex.name
+    && typeof annex.content === 'string' && (annex.title == null || typeof annex.title === 'string');
+  if (!Array.isArray(annexes) || !annexes.every(isValid)) {
+    sendError(req, res, 400, 'Invalid annexes: expected a list of { name, title, content } with a base64 content.');
+    return null;
+  }
+  return annexes.map(annex => ({ name: annex.name, title: annex.title || null, content: Buffer.from(annex.content, 'base64') }));
+};
+
+// Renders a server-side template with JSON data: { "template": "recensement", "data": { ... }, "annexes": [...] }
+// The template name may also be given with the `report` query param. The layout profile is the one of the
+// `report` query param when the body names the template, or else the one named after the template when there is
+// one, the default profile otherwise.
+app.post('/template_visualiser', async (req, res) => {
+  const body = req.body || {};
+  const templateName = body.template || req.query.report;
+  if (!templateName) {
+    return sendError(req, res, 400, 'Template name is missing.');
+  }
+  const profileName = (body.template && req.query.report) || (hasProfile(templateName) ? templateName : undefined);
+  const profile = getRequestProfile(req, res, profileName);
+  if (!profile) return;
+  const annexes = getRequestTemplateAnnexes(req, res, body);
+  if (!annexes) return;
+  const network = getRequestNetwork(req, res);
+  if (!network) return;
+  const ready = getRequestReady(req, res);
+  if (!ready) return;
+  const watermark = getRequestWatermark(req, res, {});
+  if (!watermark) return;
+  const metadata = getRequestMetadata(req, res);
+  if (!metadata) return;
+  const signature = getRequestSignature(req, res);
+  if (signature === null) return;
+  const encryption = getRequestEncryption(req, res);
+  if (encryption === null) return;
+
+  const debug = getRequestDebug(req, res);
+  if (debug === null) return;
+
+  let html;
+  try {
+    req.stage = 'template';
+    const htmlPage = renderTemplate(templateName, body.data);
+    req.stage = 'html';
+    html = await generateHTML(htmlPage, { network, ready, profile, preflight: req.query.preflight === 'true', debug });
+    const pdf = await generatePDF(html, {
+      profile,
+      annexes,
+      metadata,
+      watermark,
+      signature,
+      encryption,
+      pdfa: req.query.pdfa === 'true',
+      debug,
+      onProgress: stage => req.stage = stage,
+      onConformance: conformance => setConformanceHeaders(res, conformance),
+      onRenderStats: stats => setRenderStatsHeaders(res, stats),
+    });
+    setDiagnosticsHeaders(res, html);
+    if (debug) {
+      debug.addFile('result.pdf', pdf);
+      return await sendDebugBundle(res, debug);
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(pdf);
+  } catch (error) {
+    if (error instanceof TemplateNotFoundError) {
+      return sendError(req, res, 400, error.message, 'template');
+    }
+    await sendRenderError(req, res, error, debug);
+  } finally {
+    if (html && !html.isClosed()) await html.close().catch(() => {});
+  }
+});
+
+// The jobs are kept in memory by this process only (see jobs.js): they are lost when it restarts.
+app.post('/jobs', async (req, res) => {
+  const profile = getRequestProfile(req, res);
+  if (!profile) return;
+  const network = getRequestNetwork(req, res);
+  if (!network) return;
+  const ready = getRequestReady(req, res);
+  if (!ready) return;
+  const callbackUrl = await getRequestCallbackUrl(req, res);
+  if (callbackUrl === null) return;
+  if (Browser.isFull()) {
+    res.setHeader('Retry-After', '30');
+    return sendError(req, res, 503, 'Server busy, retry later.', 'queue');
+  }
+  const report = await getRequestReport(req, res);
+  if (!report) return;
+  const watermark = getRequestWatermark(req, res, report);
+  if (!watermark) return;
+  const metadata = getRequestMetadata(req, res);
+  if (!metadata) return;
+  const signature = getRequestSignature(req, res);
+  if (signature === null) return;
+  const encryption = getRequestEncryption(req, res);
+  if (encryption === null) return;
+  // A report failing the preflight checks is refused before being queued
+  if (req.query.preflight === 'true') {
+    const preflight = preflightReport(report, profile);
+    if (!preflight.valid) {
+      return sendError(req, res, 422, 'The report HTML failed the preflight checks.', 'preflight', preflight);
+    }
+  }
+
+  try {
+    const job = submitJob(report, {
+      type: req.query.type,
+      callbackUrl,
+      profile,
+      annexes: report.annexes,
+      network,
+      ready,
+      metadata,
+      watermark,
+      signature,
+      encryption,
+      pdfa: req.query.pdfa === 'true',
+    });
+    res.status(202).location(`/jobs/${job.id}`).json(job);
+  } catch (error) {
+    sendError(req, res, 400, error.message);
+  }
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return sendError(req, res, 404, 'Job not found.');
+  }
+  res.json(job);
+});
+
+app.get('/jobs/:id/result', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return sendError(req, res, 404, 'Job not found.');
+  }
+  const result = getJobResult(req.params.id);
+  if (!result) {
+    return res.status(409).json(job); // Not finished yet, or failed
+  }
+  res.setHeader('Content-Type', result.contentType);
+  res.sendFile(result.path);
+});
+
+app.get('/jobs/:id/images', async (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return sendError(req, res, 404, 'Job not found.');
+  }
+  if (job.type !== 'pdf') {
+    return sendError(req, res, 400, 'Only PDF jobs have page images.');
+  }
+  const result = getJobResult(req.params.id);
+  if (!result) {
+    return res.status(409).json(job); // Not finished yet, or failed
+  }
+  const imageOptions = getRequestImageOptions(req, res);
+  if (!imageOptions) return;
+
+  let page;
+  try {
+    req.stage = 'images';
+    page = await Browser.newPage();
+    await sendPageImages(res, page, await fs.promises.readFile(result.path), imageOptions);
+  } catch (error) {
+    await sendRenderError(req, res, error);
+  } finally {
+    if (page && !page.isClosed()) await page.close().catch(() => {});
+  }
+});
+
+// Liveness: the process answers and the browser, when running, answers too (a hung browser is relaunched by the
+// next render, this only reports it)
+app.get('/healthz', async (req, res) => {
+  const health = await Browser.checkHealth();
+  res.status(health.healthy ? 200 : 503).json(health);
+});
+
+// Readiness: the browser is running (it is launched if needed) and the render queue has room
+app.get('/readyz', async (req, res) => {
+  const health = await Browser.checkHealth({ launch: true });
+  if (health.full) {
+    res.setHeader('Retry-After', '30');
+  }
+  res.status(health.healthy && !health.full ? 200 : 503).json(health);
+});
+
+// Prometheus metrics (see metrics.js)
+app.get('/metrics', async (req, res) => {
+  res.setHeader('Content-Type', metrics.registry.contentType);
+  res.send(await metrics.registry.metrics());
+});
+
+// Errors thrown by the routes or the body parsers are answered as JSON too, never as an HTML stack trace
+app.use((error, req, res, next) => {
+  if (res.headersSent) return next(error);
+  const status = error.status >= 400 && error.status < 500 ? error.status : 500;
+  if (status === 500) logError(`Unexpected error (${req.method} ${req.originalUrl}):`, error);
+  sendError(req, res, status, status === 500 ? 'Internal server error.' : error.message, req.stage);
+});
+
 app.listen(port, (error) => {
-  console.log(`PDF visualiser server listening on port ${port}`);
-  if (error) console.log(error);
+  log(`PDF visualiser server listening on port ${port}`);
+  if (error) logError('Server error:', error);
 });
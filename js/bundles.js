@@ -0,0 +1,309 @@
+// Asset bundles: the report HTML uploaded along with its images, stylesheets and fonts, as a zip archive or a
+// multipart form. The assets are served to Chromium from the bundle by the network sandbox of the page
+// (see network.js), so rendering a bundle needs no network access.
+//
+// The HTML gets a `<base>` element pointing at the bundle origin, so that its relative URLs ("img/logo.png",
+// "../fonts/marianne.woff2") resolve against its location in the bundle. Requests the bundle cannot serve are
+// answered with a 404 and listed in `missing`.
+// Header and footer templates cannot load resources in Chromium, their images must stay inlined as data URIs.
+// The PDF annexes of a multipart bundle are kept apart from the assets (see annexes.js).
+// A bundle is held in memory: its uncompressed size and its file count are limited, and going past a limit
+// fails with a `BundleTooLargeError` before the rest is read.
+
+// Import necessary modules
+const path = require('path'); // Module for handling file and directory paths
+const JSZip = require('jszip'); // Reads the zip bundles
+const Busboy = require('busboy'); // Reads the multipart bundles
+
+// Fake origin of the bundle assets, `.invalid` never resolves so nothing can leak to the network
+const BUNDLE_ORIGIN = 'http://bundle.invalid';
+
+// Names tried, in order, for the HTML entry of a zip bundle (the only HTML file at the root is used otherwise)
+const ENTRY_NAMES = ['index.html', 'rapport.html'];
+
+// Size limit of a bundle once uncompressed (the HTML, the assets and the annexes), in line with the limit of the
+// raw HTML bodies, and limit of its file count
+const MAX_BUNDLE_SIZE = 100 * 1024 * 1024;
+const MAX_BUNDLE_FILES = 1000;
+// Parts limit of a multipart bundle: its files, each of which may come with an `annex_title` field
+const MAX_BUNDLE_PARTS = 2 * MAX_BUNDLE_FILES + 1;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'text/javascript',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf',
+    '.otf': 'font/otf',
+};
+
+/**
+ * Error thrown when an uploaded bundle cannot be read or has no HTML entry.
+ */
+class InvalidBundleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidBundleError';
+    }
+}
+
+/**
+ * Error thrown when an uploaded bundle goes past the size or file count limits.
+ */
+class BundleTooLargeError extends InvalidBundleError {
+    constructor(message = `The bundle exceeds ${MAX_BUNDLE_SIZE / 1024 / 1024} MB or ${MAX_BUNDLE_FILES} files.`) {
+        super(message);
+        this.name = 'BundleTooLargeError';
+    }
+}
+
+/**
+ * Normalizes an asset path: forward slashes, no leading slash, no "." or ".." segments.
+ * @param {string} assetPath
+ * @returns {string}
+ */
+const normalizeAssetPath = assetPath => path.posix.normalize('/' + assetPath.replace(/\\/g, '/')).slice(1);
+
+/**
+ * The HTML of a report along with its assets.
+ */
+class AssetBundle {
+    /**
+     * @param {string} html - The report HTML.
+     * @param {Map<string, Buffer>} assets - The asset contents by path in the bundle.
+     * @param {string} [entry] - Path of the HTML in the bundle, its relative URLs resolve against it.
+     */
+    constructor(html, assets, entry = 'index.html') {
+        this.html = html;
+        this.assets = new Map(Array.from(assets, ([assetPath, content]) => [normalizeAssetPath(assetPath), content]));
+        this.entry = normalizeAssetPath(entry);
+        this.missing = new Set(); // URLs requested while rendering that the bundle could not serve
+        this.annexes = []; // The `{ name, title, content }` PDF annexes uploaded along with the HTML
+    }
+
+    /**
+     * @returns {string} The URL the relative URLs of the HTML resolve against.
+     */
+    get baseUrl() {
+        const dir = path.posix.dirname(this.entry);
+        return `${BUNDLE_ORIGIN}/${dir === '.' ? '' : dir + '/'}`;
+    }
+
+    /**
+     * Returns the HTML with a `<base>` element pointing at the bundle, placed first so that it takes precedence.
+     * @returns {string}
+     */
+    getHTML() {
+        const base = `<base href="${this.baseUrl}">`;
+        const head = /<head(\s[^>]*)?>/i.exec(this.html);
+        return head
+            ? this.html.slice(0, head.index + head[0].length) + base + this.html.slice(head.index + head[0].length)
+            : base + this.html;
+    }
+
+    /**
+     * Returns the asset a URL points at.
+     * @param {string} url - The requested URL.
+     * @returns {Object|null} The `{ body, contentType }` of the asset, null if the bundle does not have it.
+     */
+    getAsset(url) {
+        const parsed = new URL(url);
+        if (parsed.origin !== BUNDLE_ORIGIN) {
+            return null;
+        }
+        let assetPath;
+        try {
+            assetPath = normalizeAssetPath(decodeURIComponent(parsed.pathname));
+        } catch (error) {
+            return null; // Malformed escape ("%E0%A4"), no asset can have that name
+        }
+        const body = this.assets.get(assetPath);
+        if (!body) {
+            return null;
+        }
+        const contentType = CONTENT_TYPES[path.extname(assetPath).toLowerCase()] || 'application/octet-stream';
+        return { body, contentType };
+    }
+
+    /**
+     * @returns {string[]} The URLs that could not be served, relative to the bundle.
+     */
+    getMissingAssets() {
+        return Array.from(this.missing, url => url.slice(BUNDLE_ORIGIN.length + 1));
+    }
+}
+
+/**
+ * Inflates a file of a zip archive within what is left of the size limit of the bundle. The size the archive
+ * declares is checked before inflating, and the bytes are counted while inflating since the declared size may be
+ * forged (zip bombs).
+ * @param {JSZipObject} file - The file.
+ * @param {number} remaining - The bytes the bundle may still hold.
+ * @returns {Promise<Buffer>} The file content.
+ * @throws {BundleTooLargeError} If the file does not fit.
+ */
+function inflateZipFile(file, remaining) {
+    if (file._data && file._data.uncompressedSize > remaining) {
+        return Promise.reject(new BundleTooLargeError());
+    }
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const stream = file.nodeStream('nodebuffer');
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > remaining) {
+                stream.destroy();
+                return reject(new BundleTooLargeError());
+            }
+            chunks.push(chunk);
+        });
+        stream.on('error', error => reject(new InvalidBundleError(`Invalid zip bundle: ${file.name}: ${error.message}`)));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+/**
+ * Reads a zip bundle. The HTML entry is `index.html` or `rapport.html` at the root of the archive, or else its
+ * only HTML file at the root; every other file is an asset.
+ * @param {Buffer} buffer - The zip archive.
+ * @returns {Promise<AssetBundle>}
+ * @throws {InvalidBundleError} If the archive cannot be read or has no HTML entry.
+ * @throws {BundleTooLargeError} If the archive holds too many files, or too many bytes once inflated.
+ */
+async function readZipBundle(buffer) {
+    let zip;
+    try {
+        zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+        throw new InvalidBundleError(`Invalid zip bundle: ${error.message}`);
+    }
+
+    const files = Object.values(zip.files).filter(file => !file.dir);
+    if (files.length > MAX_BUNDLE_FILES) {
+        throw new BundleTooLargeError();
+    }
+    const rootHtml = files.filter(file => !file.name.includes('/') && path.extname(file.name).toLowerCase() === '.html');
+    const entry = ENTRY_NAMES.map(name => rootHtml.find(file => file.name === name)).find(Boolean)
+        || (rootHtml.length === 1 ? rootHtml[0] : null);
+    if (!entry) {
+        throw new InvalidBundleError(`The zip bundle has no HTML entry (${ENTRY_NAMES.join(' or ')}).`);
+    }
+
+    const contents = new Map();
+    let size = 0;
+    for (const file of files) {
+        const content = await inflateZipFile(file, MAX_BUNDLE_SIZE - size);
+        size += content.length;
+        contents.set(file, content);
+    }
+    const assets = new Map(files.filter(file => file !== entry).map(file => [file.name, contents.get(file)]));
+    return new AssetBundle(contents.get(entry).toString('utf8'), assets, entry.name);
+}
+
+/**
+ * Reads a multipart bundle from a request. The HTML is the `html` field (a file or a plain value), or else the
+ * only HTML file of the form. Every other file is an asset, stored under its file name, which may include
+ * directories ("img/logo.png"), except for the `annex` files: they are the PDF annexes of the report, titled by
+ * the `annex_title` fields in the same order (their file name by default).
+ * @param {http.IncomingMessage} req - The request, its body not read yet.
+ * @returns {Promise<AssetBundle>}
+ * @throws {InvalidBundleError} If the form cannot be read or has no HTML.
+ * @throws {BundleTooLargeError} If the form holds too many files or parts, or too many bytes.
+ */
+function readMultipartBundle(req) {
+    return new Promise((resolve, reject) => {
+        let busboy;
+        try {
+            busboy = Busboy({
+                headers: req.headers,
+                preservePath: true,
+                limits: { fieldSize: MAX_BUNDLE_SIZE, fileSize: MAX_BUNDLE_SIZE, files: MAX_BUNDLE_FILES, parts: MAX_BUNDLE_PARTS },
+            });
+        } catch (error) {
+            return reject(new InvalidBundleError(`Invalid multipart bundle: ${error.message}`));
+        }
+
+        // Past a limit, the rest of the upload is drained without being kept
+        let failed = false;
+        const fail = error => {
+            if (!failed) {
+                failed = true;
+                req.unpipe(busboy);
+                req.resume();
+                reject(error);
+            }
+        };
+        let size = 0;
+        const count = length => {
+            size += length;
+            if (size > MAX_BUNDLE_SIZE) {
+                fail(new BundleTooLargeError());
+            }
+        };
+
+        const files = [];
+        const annexTitles = [];
+        let html = null;
+        busboy.on('file', (name, stream, info) => {
+            const chunks = [];
+            stream.on('data', chunk => {
+                count(chunk.length);
+                if (!failed) chunks.push(chunk);
+            });
+            stream.on('limit', () => fail(new BundleTooLargeError()));
+            stream.on('end', () => files.push({ name, filename: info.filename || name, content: Buffer.concat(chunks) }));
+        });
+        busboy.on('field', (name, value, info) => {
+            if (info.valueTruncated) {
+                return fail(new BundleTooLargeError());
+            }
+            count(Buffer.byteLength(value));
+            if (name === 'html') {
+                html = value;
+            } else if (name === 'annex_title') {
+                annexTitles.push(value);
+            }
+        });
+        busboy.on('filesLimit', () => fail(new BundleTooLargeError()));
+        busboy.on('partsLimit', () => fail(new BundleTooLargeError()));
+        busboy.on('error', error => fail(new InvalidBundleError(`Invalid multipart bundle: ${error.message}`)));
+        busboy.on('close', () => {
+            if (failed) {
+                return;
+            }
+            const htmlFiles = files.filter(file => path.extname(file.filename).toLowerCase() === '.html');
+            const entry = files.find(file => file.name === 'html') || (htmlFiles.length === 1 ? htmlFiles[0] : null);
+            if (html === null && !entry) {
+                return reject(new InvalidBundleError('The multipart bundle has no HTML (expected an "html" field).'));
+            }
+
+            const annexes = files.filter(file => file.name === 'annex');
+            const assets = new Map(files.filter(file => file !== entry && !annexes.includes(file)).map(file => [file.filename, file.content]));
+            const bundle = html !== null
+                ? new AssetBundle(html, assets)
+                : new AssetBundle(entry.content.toString('utf8'), assets, entry.filename);
+            bundle.annexes = annexes.map((file, i) => ({ name: file.filename, title: annexTitles[i] || null, content: file.content }));
+            resolve(bundle);
+        });
+        req.pipe(busboy);
+    });
+}
+
+module.exports = {
+    AssetBundle,
+    InvalidBundleError,
+    BundleTooLargeError,
+    readZipBundle,
+    readMultipartBundle,
+    BUNDLE_ORIGIN,
+};
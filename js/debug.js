@@ -0,0 +1,102 @@
+// Debug bundles (`debug=true`): a zip of what happened during a render, to find out why a report does not come
+// out right without reproducing it. The bundle holds:
+//   parts/pass-<n>/<run>-<group>.html   the isolated HTML of every part rendered by a pass, along with its
+//                                       -header.html and -footer.html templates and its .pdf (pass-1 renders every
+//                                       part, the next passes only the parts that changed)
+//   preliminary.pdf                     the merged first pass, used to find the TOC page numbers
+//   toc.json                            the TOC entries with the page they were found on
+//   console.json                        the console messages, page errors and failed requests of the browser pages
+//   timings.json                        the duration of each stage, in milliseconds
+//   error.json                          the error answered, when the render failed
+//   result.pdf                          the final document, when the render succeeded
+// The bundles show the HTML, the browser console and the stack of the errors to whoever asks for them: the server
+// only answers them when `DEBUG_BUNDLES=true` (the CLI always writes them).
+
+// Import necessary modules
+const JSZip = require('jszip'); // Builds the debug bundle
+
+const DEBUG_BUNDLES_ENABLED = process.env.DEBUG_BUNDLES === 'true';
+
+/**
+ * Collects the intermediate results of a render, passed along as the `debug` option of `generateHTML` and
+ * `generatePDF`.
+ */
+class DebugRecorder {
+    constructor() {
+        this.startedAt = Date.now();
+        this.files = new Map(); // File contents by path in the bundle
+        this.messages = []; // Console messages, page errors and failed requests
+        this.timings = []; // { stage, ms } of the finished stages
+        this.stage = null; // Stage being timed
+        this.stageStartedAt = null;
+    }
+
+    /**
+     * Records the console messages, page errors and failed requests of a browser page.
+     * @param {puppeteer.Page} page
+     * @param {string} name - The role of the page in the render ('html', 'parts'...).
+     */
+    watchPage(page, name) {
+        const record = (type, text, location) => this.messages.push({ page: name, type, text, location, ms: Date.now() - this.startedAt });
+        page.on('console', message => {
+            const { url, lineNumber } = message.location();
+            record(message.type(), message.text(), url ? `${url.slice(0, 200)}:${lineNumber}` : undefined);
+        });
+        page.on('pageerror', error => record('pageerror', error.message));
+        page.on('requestfailed', request => {
+            const failure = request.failure();
+            record('requestfailed', `${request.url().slice(0, 200)} ${failure ? failure.errorText : ''}`.trim());
+        });
+    }
+
+    /**
+     * Starts timing a stage, ending the current one. Starting the current stage again does nothing.
+     * @param {string} stage
+     */
+    startStage(stage) {
+        if (stage === this.stage) {
+            return;
+        }
+        this.endStage();
+        this.stage = stage;
+        this.stageStartedAt = Date.now();
+    }
+
+    /**
+     * Ends the timing of the current stage.
+     */
+    endStage() {
+        if (this.stage !== null) {
+            this.timings.push({ stage: this.stage, ms: Date.now() - this.stageStartedAt });
+            this.stage = null;
+        }
+    }
+
+    /**
+     * Adds a file to the bundle, objects being written as JSON.
+     * @param {string} name - The path of the file in the bundle.
+     * @param {string|Buffer|Uint8Array|Object} content
+     */
+    addFile(name, content) {
+        const isData = typeof content === 'string' || content instanceof Uint8Array;
+        this.files.set(name, isData ? content : JSON.stringify(content, null, 2));
+    }
+
+    /**
+     * Builds the zip of the bundle.
+     * @returns {Promise<Buffer>}
+     */
+    async toZip() {
+        this.endStage();
+        const zip = new JSZip();
+        this.files.forEach((content, name) => zip.file(name, content));
+        zip.file('console.json', JSON.stringify(this.messages, null, 2));
+        zip.file('timings.json', JSON.stringify({ stages: this.timings, totalMs: Date.now() - this.startedAt }, null, 2));
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+}
+
+module.exports = {
+    DEBUG_BUNDLES_ENABLED,
+    DebugRecorder,
+};
@@ -0,0 +1,229 @@
+// Password protection of the final PDF: AES-256 encryption (standard security handler, revision 6) with a user
+// password, required to open the document, an owner password, required to lift the restrictions, and the
+// permissions granted to the users opening the document with the user password.
+// pdf-lib cannot encrypt documents: every string and stream of the saved document is encrypted here, so the
+// TOC links, the bookmarks and the metadata stay readable once the document is opened with its password.
+// Permissions (true or false):
+//   printing      printing, true by default ('low' for low resolution printing only)
+//   copying       copying text and images, false by default
+//   modifying     changing the document, false by default
+//   annotating    adding comments and filling forms, false by default
+
+// Import necessary modules
+const crypto = require('crypto'); // Key derivation and AES encryption
+const {
+    PDFDocument, PDFDict, PDFArray, PDFName, PDFNumber, PDFString, PDFHexString, PDFRawStream,
+} = require('pdf-lib'); // Low-level PDF objects of the document to encrypt
+
+// Permission bits of the /P entry (PDF 32000-1, table 22), bits 7, 8 and 13 to 32 must be set
+const PERMISSION_BITS = {
+    printing: 1 << 2,
+    modifying: 1 << 3,
+    copying: 1 << 4,
+    annotating: (1 << 5) | (1 << 8), // Annotations and form filling
+    accessibility: 1 << 9, // Text extraction for screen readers, always granted
+    assembling: 1 << 10,
+    highQualityPrinting: 1 << 11,
+};
+const REQUIRED_PERMISSION_BITS = 0xfffff0c0;
+
+const DEFAULT_PERMISSIONS = { printing: true, copying: false, modifying: false, annotating: false };
+
+/**
+ * Error thrown when the encryption options are invalid.
+ */
+class InvalidEncryptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidEncryptionError';
+    }
+}
+
+/**
+ * Reads a permission option given as a boolean or as a query string value.
+ * @param {boolean|string} value
+ * @param {boolean} fallback - The value when the option is not given.
+ * @returns {boolean}
+ */
+const readFlag = (value, fallback) => (value === undefined || value === '' ? fallback : value === true || value === 'true');
+
+/**
+ * Checks and completes the encryption options.
+ * @param {Object} options
+ * @param {string} options.userPassword - The password required to open the document.
+ * @param {string} [options.ownerPassword] - The password lifting the restrictions, a random one by default.
+ * @param {Object} [options.permissions] - The granted permissions (see the top of this file).
+ * @returns {Object} The encryption, with the `/P` value of its permissions.
+ * @throws {InvalidEncryptionError} If the user password is missing or a permission is unknown.
+ */
+function resolveEncryption(options = {}) {
+    if (!options.userPassword) {
+        throw new InvalidEncryptionError('Encryption needs a user password.');
+    }
+    const permissions = options.permissions || {};
+    const unknown = Object.keys(permissions).find(name => !(name in DEFAULT_PERMISSIONS));
+    if (unknown) {
+        throw new InvalidEncryptionError(`Unknown permission: ${unknown}. Use ${Object.keys(DEFAULT_PERMISSIONS).join(', ')}.`);
+    }
+
+    const printing = permissions.printing === 'low' ? 'low' : readFlag(permissions.printing, DEFAULT_PERMISSIONS.printing);
+    let flags = REQUIRED_PERMISSION_BITS | PERMISSION_BITS.accessibility;
+    if (printing) flags |= PERMISSION_BITS.printing | (printing === 'low' ? 0 : PERMISSION_BITS.highQualityPrinting);
+    if (readFlag(permissions.copying, DEFAULT_PERMISSIONS.copying)) flags |= PERMISSION_BITS.copying;
+    if (readFlag(permissions.modifying, DEFAULT_PERMISSIONS.modifying)) flags |= PERMISSION_BITS.modifying | PERMISSION_BITS.assembling;
+    if (readFlag(permissions.annotating, DEFAULT_PERMISSIONS.annotating)) flags |= PERMISSION_BITS.annotating;
+
+    return {
+        userPassword: options.userPassword,
+        // Without owner password, nobody may lift the restrictions
+        ownerPassword: options.ownerPassword || crypto.randomBytes(32).toString('hex'),
+        permissions: flags | 0, // Signed 32 bits integer
+    };
+}
+
+/**
+ * Prepares a password: UTF-8, at most 127 bytes.
+ * @param {string} password
+ * @returns {Buffer}
+ */
+const passwordBytes = password => Buffer.from(password.normalize('NFKC'), 'utf8').subarray(0, 127);
+
+/**
+ * AES encryption without padding, for the key derivation.
+ */
+const aesNoPadding = (algorithm, key, iv, data) => {
+    const cipher = crypto.createCipheriv(algorithm, key, iv);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(data), cipher.final()]);
+};
+
+/**
+ * Hash of a password for the revision 6 (PDF 32000-2, algorithm 2.B).
+ * @param {Buffer} password
+ * @param {Buffer} salt
+ * @param {Buffer} userKey - The 48 bytes of /U for the owner password, empty for the user password.
+ * @returns {Buffer} 32 bytes.
+ */
+function hashPassword(password, salt, userKey) {
+    let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+    let encrypted = Buffer.alloc(1);
+    for (let round = 0; round < 64 || encrypted[encrypted.length - 1] > round - 32; round++) {
+        const block = Buffer.concat([password, key, userKey]);
+        encrypted = aesNoPadding('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32), Buffer.concat(Array(64).fill(block)));
+        // The first 16 bytes taken as a number modulo 3 choose the next hash
+        const remainder = encrypted.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+        key = crypto.createHash(['sha256', 'sha384', 'sha512'][remainder]).update(encrypted).digest();
+    }
+    return key.subarray(0, 32);
+}
+
+/**
+ * Computes the entries of the encryption dictionary.
+ * @param {Object} encryption - See `resolveEncryption`.
+ * @param {Buffer} fileKey - The 32 bytes key encrypting the document.
+ * @returns {Object} The `U`, `UE`, `O`, `OE` and `Perms` values.
+ */
+function computeEncryptionEntries(encryption, fileKey) {
+    const zeroIv = Buffer.alloc(16);
+
+    const user = passwordBytes(encryption.userPassword);
+    const [userValidationSalt, userKeySalt] = [crypto.randomBytes(8), crypto.randomBytes(8)];
+    const U = Buffer.concat([hashPassword(user, userValidationSalt, Buffer.alloc(0)), userValidationSalt, userKeySalt]);
+    const UE = aesNoPadding('aes-256-cbc', hashPassword(user, userKeySalt, Buffer.alloc(0)), zeroIv, fileKey);
+
+    const owner = passwordBytes(encryption.ownerPassword);
+    const [ownerValidationSalt, ownerKeySalt] = [crypto.randomBytes(8), crypto.randomBytes(8)];
+    const O = Buffer.concat([hashPassword(owner, ownerValidationSalt, U), ownerValidationSalt, ownerKeySalt]);
+    const OE = aesNoPadding('aes-256-cbc', hashPassword(owner, ownerKeySalt, U), zeroIv, fileKey);
+
+    const perms = Buffer.alloc(16);
+    perms.writeInt32LE(encryption.permissions, 0);
+    perms.writeUInt32LE(0xffffffff, 4);
+    perms.write('Tadb', 8, 'latin1'); // T: the metadata is encrypted too
+    crypto.randomBytes(4).copy(perms, 12);
+    const Perms = aesNoPadding('aes-256-ecb', fileKey, null, perms);
+
+    return { U, UE, O, OE, Perms };
+}
+
+/**
+ * Encrypts the strings and streams of a document.
+ * @param {PDFContext} context - The context of the document.
+ * @param {Buffer} fileKey - The 32 bytes key.
+ */
+function encryptObjects(context, fileKey) {
+    const encrypt = data => {
+        const iv = crypto.randomBytes(16);
+        const cipher = crypto.createCipheriv('aes-256-cbc', fileKey, iv);
+        return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+    };
+    const encryptValue = value => {
+        if (value instanceof PDFString || value instanceof PDFHexString) {
+            return PDFHexString.of(encrypt(Buffer.from(value.asBytes())).toString('hex'));
+        }
+        if (value instanceof PDFDict) {
+            value.entries().forEach(([key, entry]) => value.set(key, encryptValue(entry)));
+        } else if (value instanceof PDFArray) {
+            value.asArray().forEach((entry, i) => value.set(i, encryptValue(entry)));
+        }
+        return value;
+    };
+
+    context.enumerateIndirectObjects().forEach(([ref, object]) => {
+        if (object instanceof PDFRawStream) {
+            encryptValue(object.dict);
+            context.assign(ref, PDFRawStream.of(object.dict, encrypt(Buffer.from(object.contents))));
+        } else {
+            context.assign(ref, encryptValue(object));
+        }
+    });
+}
+
+/**
+ * Encrypts a document. It must be the last change made to the document.
+ * @param {PDFDocument} pdfDoc - The final pdf-lib document.
+ * @param {Object} encryption - The encryption (see `resolveEncryption`).
+ * @returns {Promise<Uint8Array>} The encrypted PDF.
+ */
+async function encryptPDF(pdfDoc, encryption) {
+    // Reload the saved document, so that every stream (fonts, page contents...) is written out and can be encrypted
+    const saved = await PDFDocument.load(await pdfDoc.save({ useObjectStreams: false }), { updateMetadata: false });
+    const context = saved.context;
+    const fileKey = crypto.randomBytes(32);
+
+    encryptObjects(context, fileKey);
+
+    const { U, UE, O, OE, Perms } = computeEncryptionEntries(encryption, fileKey);
+    const hex = bytes => PDFHexString.of(bytes.toString('hex'));
+    context.trailerInfo.Encrypt = context.register(context.obj({
+        Filter: 'Standard',
+        V: 5,
+        R: 6,
+        Length: 256,
+        CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+        StmF: 'StdCF',
+        StrF: 'StdCF',
+        U: hex(U),
+        UE: hex(UE),
+        O: hex(O),
+        OE: hex(OE),
+        P: PDFNumber.of(encryption.permissions),
+        Perms: hex(Perms),
+    }));
+    const id = hex(crypto.randomBytes(16));
+    context.trailerInfo.ID = context.obj([id, id]);
+
+    // AES-256 encryption is part of PDF 2.0, declared as an Adobe extension of PDF 1.7
+    saved.catalog.set(PDFName.of('Extensions'), context.obj({
+        ADBE: { BaseVersion: PDFName.of('1.7'), ExtensionLevel: 8 },
+    }));
+
+    // The strings inside object streams must not be encrypted on their own, keep every object outside of them
+    return saved.save({ useObjectStreams: false });
+}
+
+module.exports = {
+    InvalidEncryptionError,
+    resolveEncryption,
+    encryptPDF,
+};
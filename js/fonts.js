@@ -0,0 +1,45 @@
+// Font of the text drawn over the rendered pages: running values, watermarks and visible signature boxes.
+// Helvetica, one of the standard 14 fonts, is referenced without being embedded in the document. Archival
+// documents (PDF/A) must embed every font, they get Liberation Sans instead: it ships with pdfjs and has the
+// metrics of Helvetica, so the text is laid out the same way.
+
+// Import necessary modules
+const fs = require('fs'); // Reads the font files
+const path = require('path'); // Locates the fonts of pdfjs
+const { StandardFonts } = require('pdf-lib'); // Helvetica, when the font is not embedded
+const fontkit = require('@pdf-lib/fontkit'); // Lets pdf-lib embed TrueType fonts
+
+const FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts');
+const EMBEDDED_FONTS = {
+    regular: 'LiberationSans-Regular.ttf',
+    bold: 'LiberationSans-Bold.ttf',
+};
+
+// Font files by weight, read on first use
+const fontFiles = new Map();
+
+/**
+ * Embeds the text font in a document.
+ * @param {PDFDocument} pdfDoc - The pdf-lib document to draw on.
+ * @param {Object} [options]
+ * @param {boolean} [options.bold] - Whether to use the bold weight.
+ * @param {boolean} [options.embedded] - Whether the font file must be embedded (PDF/A), Helvetica is used otherwise.
+ * @returns {Promise<PDFFont>}
+ */
+async function embedTextFont(pdfDoc, options = {}) {
+    if (!options.embedded) {
+        return pdfDoc.embedFont(options.bold ? StandardFonts.HelveticaBold : StandardFonts.Helvetica);
+    }
+
+    const weight = options.bold ? 'bold' : 'regular';
+    if (!fontFiles.has(weight)) {
+        fontFiles.set(weight, fs.readFileSync(path.join(FONTS_DIR, EMBEDDED_FONTS[weight])));
+    }
+    pdfDoc.registerFontkit(fontkit);
+    // Only the glyphs drawn are embedded
+    return pdfDoc.embedFont(fontFiles.get(weight), { subset: true });
+}
+
+module.exports = {
+    embedTextFont,
+};
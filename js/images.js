@@ -0,0 +1,162 @@
+// Page images of a generated PDF (previews and thumbnails), rendered from the final merged document with the
+// bundled pdfjs in a browser page, so that they match the PDF page for page.
+// Image options:
+//   format      'png' (default) or 'jpeg'
+//   dpi         the resolution, 96 by default (a page is 72 points wide per inch), from 10 to 300
+//   pages       the page range ("1" for a thumbnail of the cover, "1,3-5", "2-"), every page by default
+//   quality     the JPEG quality, from 1 to 100, 85 by default
+//   zip         whether the images are returned as a zip archive even when there is a single one
+
+// Import necessary modules
+const path = require('path'); // Locates the pdfjs scripts
+const JSZip = require('jszip'); // Builds the zip archives of the images
+const { parsePageRange } = require('./watermark'); // Page ranges, written like the watermark ones
+
+// pdfjs runs in the page along with its worker, loaded as a plain script (pdfjs then runs it on the main thread)
+const PDFJS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'build');
+const PDFJS_SCRIPTS = ['pdf.min.js', 'pdf.worker.min.js'].map(file => path.join(PDFJS_DIR, file));
+
+const IMAGE_FORMATS = {
+    png: { mimeType: 'image/png', extension: 'png' },
+    jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+};
+
+const DEFAULT_DPI = 96;
+const MIN_DPI = 10;
+const MAX_DPI = 300;
+const DEFAULT_QUALITY = 85;
+const POINTS_PER_INCH = 72;
+
+/**
+ * Error thrown when the image options are invalid or the document cannot be rendered.
+ */
+class InvalidImageOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidImageOptionsError';
+    }
+}
+
+/**
+ * Checks and completes the image options.
+ * @param {Object} options - The image options (see the top of this file).
+ * @returns {Object} The options, `dpi` and `quality` being numbers and `zip` a boolean.
+ * @throws {InvalidImageOptionsError} If an option is invalid.
+ */
+function resolveImageOptions(options = {}) {
+    const format = (options.format || 'png').toLowerCase();
+    if (!IMAGE_FORMATS[format]) {
+        throw new InvalidImageOptionsError(`Unknown image format: ${options.format}. Use ${Object.keys(IMAGE_FORMATS).join(', ')}.`);
+    }
+
+    const dpi = options.dpi === undefined || options.dpi === '' ? DEFAULT_DPI : Number(options.dpi);
+    if (!(dpi >= MIN_DPI && dpi <= MAX_DPI)) {
+        throw new InvalidImageOptionsError(`Invalid image resolution: ${options.dpi}. Use a number of dpi from ${MIN_DPI} to ${MAX_DPI}.`);
+    }
+
+    const quality = options.quality === undefined || options.quality === '' ? DEFAULT_QUALITY : Number(options.quality);
+    if (!(quality >= 1 && quality <= 100)) {
+        throw new InvalidImageOptionsError(`Invalid image quality: ${options.quality}. Use a number from 1 to 100.`);
+    }
+
+    if (options.pages) {
+        try {
+            parsePageRange(options.pages, 1); // Only checks the syntax
+        } catch (error) {
+            throw new InvalidImageOptionsError(error.message);
+        }
+    }
+
+    return {
+        format,
+        ...IMAGE_FORMATS[format],
+        dpi,
+        pages: options.pages || null,
+        quality,
+        zip: options.zip === true || options.zip === 'true',
+    };
+}
+
+/**
+ * Renders pages of a PDF as images.
+ * @param {puppeteer.Page} page - A blank page to render on, its content is replaced.
+ * @param {Uint8Array|Buffer} pdfBytes - The PDF document.
+ * @param {Object} [options] - The image options (see the top of this file).
+ * @returns {Promise<Object>} The `pageCount` of the document and its `images`, in page order: the `pageNumber`
+ * (1-based), file `name` ("page-001.png") and `content` of each.
+ * @throws {InvalidImageOptionsError} If an option is invalid, the document is encrypted or no page is in the range.
+ */
+async function renderPageImages(page, pdfBytes, options = {}) {
+    const { mimeType, extension, dpi, pages, quality } = resolveImageOptions(options);
+
+    await page.setContent('<!DOCTYPE html><html><body></body></html>');
+    for (const script of PDFJS_SCRIPTS) {
+        await page.addScriptTag({ path: script });
+    }
+
+    const opened = await page.evaluate(async data => {
+        const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+        try {
+            window.pdfDocument = await window.pdfjsLib.getDocument({ data: bytes, isEvalSupported: false }).promise;
+            return { pageCount: window.pdfDocument.numPages };
+        } catch (error) {
+            return { error: error.name === 'PasswordException' ? 'encrypted' : error.message };
+        }
+    }, Buffer.from(pdfBytes).toString('base64'));
+    if (opened.error === 'encrypted') {
+        throw new InvalidImageOptionsError('Encrypted documents cannot be rendered as images.');
+    }
+    if (opened.error) {
+        throw new InvalidImageOptionsError(`Invalid PDF: ${opened.error}`);
+    }
+
+    const { pageCount } = opened;
+    const indices = pages ? [...parsePageRange(pages, pageCount)].sort((a, b) => a - b) : [...Array(pageCount).keys()];
+    if (indices.length === 0) {
+        throw new InvalidImageOptionsError(`No page in the range ${pages}, the document has ${pageCount} pages.`);
+    }
+
+    // One page at a time, only its image goes back to Node
+    const images = [];
+    for (const index of indices) {
+        const dataUrl = await page.evaluate(async (pageNumber, scale, mimeType, quality) => {
+            const pdfPage = await window.pdfDocument.getPage(pageNumber);
+            const viewport = pdfPage.getViewport({ scale });
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            // The page is painted on a white background, JPEG has no transparency
+            await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+            pdfPage.cleanup();
+            return canvas.toDataURL(mimeType, quality);
+        }, index + 1, dpi / POINTS_PER_INCH, mimeType, quality / 100);
+
+        images.push({
+            pageNumber: index + 1,
+            name: `page-${String(index + 1).padStart(String(pageCount).length, '0')}.${extension}`,
+            content: Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64'),
+        });
+    }
+
+    await page.evaluate(() => window.pdfDocument.destroy());
+    return { pageCount, images };
+}
+
+/**
+ * Packs page images in a zip archive.
+ * @param {Object[]} images - The images returned by `renderPageImages`.
+ * @returns {Promise<Buffer>}
+ */
+async function zipPageImages(images) {
+    const zip = new JSZip();
+    images.forEach(image => zip.file(image.name, image.content));
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+module.exports = {
+    IMAGE_FORMATS,
+    InvalidImageOptionsError,
+    resolveImageOptions,
+    renderPageImages,
+    zipPageImages,
+};
@@ -2,9 +2,29 @@
 const puppeteer = require('puppeteer'); // Headless Chrome browser automation library
 const fs = require('fs'); // File system module for reading/writing files
 const path = require('path'); // Module for handling file and directory paths
+const crypto = require('crypto'); // Fingerprints of the rendered parts
 const process = require('process'); // Module providing information about, and control over, the current Node.js process
 const pdfjs = require('pdfjs-dist/legacy/build/pdf.js'); // Library for parsing PDF files (legacy build)
-const { PDFDocument } = require('pdf-lib'); // Library for creating and modifying PDF documents
+const { PDFDocument, PDFName } = require('pdf-lib'); // Library for creating and modifying PDF documents
+const { addOutline } = require('./outline'); // Builds the PDF bookmarks from the table of contents
+const { getNamedDestinations, remapLinks, getLinkTargets, setLinkTargets } = require('./links'); // Keeps internal links pointing at the right pages
+const { getProfile, resolvePageGroup, UnknownProfileError } = require('./profiles'); // Layout profiles per report type
+const { RUNNING_FIELDS, MARKER_WIDTHS, NUMBER_FORMATS, ALIGNMENTS, MAX_STYLES, computeRunningValues, stampRunningValues } = require('./running'); // Running headers and page numbers
+const { AssetBundle } = require('./bundles'); // Assets uploaded along with the HTML
+const { NetworkSandbox, resolveNetworkPolicy, getPageSandbox } = require('./network'); // Network policy of the rendered pages
+const { resolveReadiness, waitForReady, setPageReadiness, getPageReadiness } = require('./readiness'); // What to wait for before rendering
+const { resolveWatermark, addWatermark } = require('./watermark'); // Draft, confidential... watermarks
+const { resolveSignature, signPDF, verifyPDF } = require('./signature'); // PAdES signature with a PKCS#12 certificate
+const { resolveEncryption, encryptPDF, InvalidEncryptionError } = require('./encryption'); // Password protection
+const { readDocumentMetadata, resolveMetadata, applyMetadata } = require('./metadata'); // Title, author... of the document
+const { PDFA_XMP_PROPERTIES, convertToPDFA, checkPDFA } = require('./pdfa'); // PDF/A-2b archival output
+const { placeAnnexes } = require('./annexes'); // PDF annexes merged into the report
+const { renderPageImages, zipPageImages } = require('./images'); // Page images (previews, thumbnails) of a PDF
+const { readWordContent, buildWordDocument } = require('./word'); // Word export of the report
+const { preflightReport, PreflightFailedError } = require('./preflight'); // Checks the report HTML before rendering
+const { DebugRecorder } = require('./debug'); // Debug bundles of the renders
+const { log, logError, setLogContext } = require('./logging'); // Structured logs
+const metrics = require('./metrics'); // Prometheus metrics
 
 // Configure the worker source for pdfjs-dist. This is required for it to function correctly.
 pdfjs.GlobalWorkerOptions.workerSrc = path.join(__dirname, 'pdf.worker.min.js');
@@ -12,6 +32,19 @@ pdfjs.GlobalWorkerOptions.workerSrc = path.join(__dirname, 'pdf.worker.min.js');
 // Define the standard name for the input HTML report file.
 const REPORT_HTML = "rapport.html";
 
+// Stages of `generatePDF`, in the order they are reported to its `onProgress` callback.
+// The 'parts' stage is reported once per page group.
+const PDF_STAGES = ['preliminary', 'toc', 'parts', 'merge'];
+
+// Upper bound of the page ranges given to Chromium, which caps them to the actual page count.
+const MAX_PAGE_NUMBER = 99999;
+
+// Page runs rendered at once once their offset is known, each on its own page of the render slot.
+const RENDER_CONCURRENCY = Number(process.env.RENDER_CONCURRENCY) || 2;
+
+// Render passes after which the pagination is kept even if it still moves (the TOC page numbers may then be off).
+const MAX_RENDER_PASSES = 4;
+
 // Define command-line arguments for launching Chromium/Chrome via Puppeteer.
 // These flags are often used to optimize performance and ensure compatibility in containerized/server environments.
 const CHROME_PARAMETERS = [
@@ -27,19 +60,91 @@ const CHROME_PARAMETERS = [
   '--font-render-hinting=none'
 ];
 
+/**
+ * Error thrown when the render queue of the browser pool is full.
+ * The HTTP routes answer it with a 503 so that callers retry later.
+ */
+class RenderQueueFullError extends Error {
+    constructor(queueSize) {
+        super(`Render queue is full (${queueSize} renders waiting).`);
+        this.name = 'RenderQueueFullError';
+    }
+}
+
+/**
+ * Rejects if a promise does not settle within the given delay.
+ * @param {Promise} promise - The promise to wait for.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {string} message - The message of the error thrown on timeout.
+ * @returns {Promise} The result of the promise.
+ */
+const withTimeout = (promise, ms, message) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Pool of render slots on top of a shared Chromium instance.
+ * - At most `concurrency` renders run at once, the others wait in a queue of at most `maxQueue` entries
+ *   (a `RenderQueueFullError` is thrown beyond that).
+ * - A render holds its slot from `Browser.newPage()` until that page is closed, or until `pageTimeout` expires.
+ * - The browser is relaunched when it disconnected or stopped answering, and recycled
+ *   (closed once idle, then relaunched) after `recycleAfter` renders to cap its memory growth.
+ * The limits can be set through the environment or `Browser.configure()`.
+ */
 class Browser {
     static instance = null;
+    static launching = null; // Pending launch, shared by concurrent callers
+    static options = {
+        concurrency: Number(process.env.BROWSER_CONCURRENCY) || 2, // Renders running at once
+        maxQueue: Number(process.env.BROWSER_MAX_QUEUE) || 20, // Renders waiting for a slot
+        recycleAfter: Number(process.env.BROWSER_RECYCLE_AFTER) || 100, // Renders before the browser is recycled
+        pageTimeout: Number(process.env.BROWSER_PAGE_TIMEOUT) || 5 * 60 * 1000, // Max lifetime of a render page (ms)
+        healthTimeout: Number(process.env.BROWSER_HEALTH_TIMEOUT) || 10 * 1000, // Max answer delay of a healthy browser (ms)
+    };
+    static active = 0; // Slots currently in use
+    static queue = []; // Resolvers of the renders waiting for a slot
+    static renders = 0; // Renders done by the current browser
+    static recycling = false;
+    static slots = new Map(); // Release function of each page holding a slot
+
+    /**
+     * Overrides the pool limits.
+     * @param {Object} options - Any of `concurrency`, `maxQueue`, `recycleAfter`, `pageTimeout`, `healthTimeout`.
+     */
+    static configure(options) {
+        Object.assign(this.options, options);
+        this.dequeue();
+    }
+
+    /**
+     * Returns the shared browser, launching it if needed and relaunching it if it crashed or hung.
+     * @returns {Promise<puppeteer.Browser>}
+     */
     static async getInstance() {
+        if (this.instance != null && !(await this.isHealthy(this.instance))) {
+            log("Chromium ne répond plus, redémarrage du navigateur.");
+            metrics.chromiumRestarts.inc({ reason: 'unhealthy' });
+            await this.close();
+        }
         if (this.instance != null) {
-            for (const page in this.instance.pages()) {
-                page.close();
-            }
             return this.instance;
         }
+        if (this.launching == null) {
+            this.launching = this.launch().finally(() => this.launching = null);
+        }
+        return this.launching;
+    }
+
+    static async launch() {
+        let browser;
         try {
             // Launch Puppeteer
             log("Launching Puppeteer for PDF generation...");
-            this.instance = await puppeteer.launch({
+            browser = await puppeteer.launch({
                 headless: 'new',
                 dumpio: true,
                 devtools: false, // Disable devtools for production/automation
@@ -50,327 +155,849 @@ class Browser {
             });
             log("Puppeteer launched successfully.");
         } catch (err) {
-            console.error(`Puppeteer launch failed: ${err}`);
+            logError("Puppeteer launch failed:", err);
             throw new Error(`Puppeteer launch failed: ${err}`);
             // No return needed
         }
 
-        return this.instance;
+        browser.on('disconnected', () => this.onDisconnected(browser));
+        this.instance = browser;
+        this.renders = 0;
+        return browser;
+    }
+
+    static async isHealthy(browser) {
+        if (!browser.isConnected()) {
+            return false;
+        }
+        try {
+            await withTimeout(browser.version(), this.options.healthTimeout, "Chromium health check timed out");
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Closes the current browser, killing its process if it does not close in time.
+     * @returns {Promise<void>}
+     */
+    static async close() {
+        const browser = this.instance;
+        this.instance = null;
+        if (browser == null) {
+            return;
+        }
+        try {
+            await withTimeout(browser.close(), this.options.healthTimeout, "Chromium close timed out");
+        } catch (err) {
+            const chromium = browser.process();
+            if (chromium) {
+                chromium.kill('SIGKILL');
+            }
+        }
+    }
+
+    static onDisconnected(browser) {
+        if (this.instance === browser) {
+            log("Chromium s'est déconnecté.");
+            metrics.chromiumRestarts.inc({ reason: 'disconnected' });
+            this.instance = null;
+        }
+        // Pages of a dead browser never emit 'close', free their slots now
+        for (const [page, release] of this.slots) {
+            if (page.browser() === browser) {
+                release();
+            }
+        }
+    }
+
+    /**
+     * Tells whether a new render would be rejected with a `RenderQueueFullError`.
+     * @returns {boolean}
+     */
+    static isFull() {
+        const slotFree = !this.recycling && this.queue.length === 0 && this.active < this.options.concurrency;
+        return !slotFree && this.queue.length >= this.options.maxQueue;
+    }
+
+    /**
+     * Waits for a free render slot.
+     * @returns {Promise<void>}
+     * @throws {RenderQueueFullError} If the queue is full.
+     */
+    static acquire() {
+        if (!this.recycling && this.queue.length === 0 && this.active < this.options.concurrency) {
+            this.active++;
+            this.updateMetrics();
+            return Promise.resolve();
+        }
+        if (this.queue.length >= this.options.maxQueue) {
+            throw new RenderQueueFullError(this.queue.length);
+        }
+        const acquired = new Promise(resolve => this.queue.push(resolve));
+        this.updateMetrics();
+        return acquired;
+    }
+
+    static release() {
+        this.active--;
+        this.updateMetrics();
+        this.renders++;
+        if (this.renders >= this.options.recycleAfter) {
+            this.recycling = true;
+        }
+        if (this.recycling && this.active === 0) {
+            this.recycle();
+        } else {
+            this.dequeue();
+        }
+    }
+
+    static dequeue() {
+        while (!this.recycling && this.queue.length > 0 && this.active < this.options.concurrency) {
+            this.active++;
+            this.queue.shift()();
+        }
+        this.updateMetrics();
+    }
+
+    static updateMetrics() {
+        metrics.queueDepth.set(this.queue.length);
+        metrics.activeRenders.set(this.active);
+    }
+
+    /**
+     * Checks the browser pool, for the health routes: the browser answers (when it is running) and the slots in use.
+     * @param {Object} [options]
+     * @param {boolean} [options.launch] - Whether to launch the browser if it is not running, relaunching it if it
+     * does not answer.
+     * @returns {Promise<Object>} `healthy`, the `browser` state ('running', 'stopped' or 'unresponsive'), its
+     * `version`, the `active` and `queued` renders and whether the pool is `full`.
+     */
+    static async checkHealth(options = {}) {
+        let browser = this.instance;
+        let state = browser == null ? 'stopped' : 'running';
+        if (options.launch) {
+            try {
+                browser = await this.getInstance();
+                state = 'running';
+            } catch (err) {
+                logError("Health check: Chromium could not be launched.", err);
+                browser = null;
+                state = 'stopped';
+            }
+        }
+        let version = null;
+        if (browser != null) {
+            try {
+                version = await withTimeout(browser.version(), this.options.healthTimeout, "Chromium health check timed out");
+            } catch (err) {
+                state = 'unresponsive';
+            }
+        }
+        return {
+            healthy: state === 'running' || (state === 'stopped' && !options.launch),
+            browser: state,
+            version,
+            active: this.active,
+            queued: this.queue.length,
+            full: this.isFull(),
+        };
+    }
+
+    static async recycle() {
+        log(`Recyclage du navigateur après ${this.renders} rendus.`);
+        metrics.chromiumRestarts.inc({ reason: 'recycled' });
+        await this.close();
+        this.renders = 0;
+        this.recycling = false;
+        this.dequeue();
+    }
+
+    /**
+     * Opens a page for a render, once a slot is free.
+     * The slot is released when the page is closed, or after `pageTimeout` if it never is.
+     * @returns {Promise<puppeteer.Page>}
+     * @throws {RenderQueueFullError} If the queue is full.
+     */
+    static async newPage() {
+        await this.acquire();
+
+        let page;
+        try {
+            const browser = await this.getInstance();
+            page = await browser.newPage();
+        } catch (err) {
+            this.release();
+            throw err;
+        }
+
+        let released = false;
+        const release = () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            clearTimeout(timer);
+            this.slots.delete(page);
+            this.release();
+        };
+        const timer = setTimeout(() => {
+            log(`Page de rendu ouverte depuis plus de ${this.options.pageTimeout} ms, fermeture.`);
+            page.close().catch(() => {});
+            release();
+        }, this.options.pageTimeout);
+
+        this.slots.set(page, release);
+        page.once('close', release);
+        return page;
     }
 }
 
 /**
- * Extracts the outer HTML of the element with ID "header-container" from the page.
- * This is used for the header on all pages except the first.
- * @param {puppeteer.Page} page - The Puppeteer page object.
- * @returns {Promise<string>} The outer HTML of the header element or a fallback message.
+ * Assigns every top-level section of the page to a page group and splits the groups into runs of pages
+ * with the same orientation. Returns the runs in render order: groups in the order they first appear in
+ * the document, and the runs of each group in document order.
+ * A section joins the group named by its `data-page-group` attribute, or the first group of the profile
+ * whose `sections` selector it matches, or else the default group. A section is laid out in landscape
+ * (or portrait) with `data-page-orientation="landscape"` or the `landscape` class (`portrait` class),
+ * otherwise it follows the orientation of its group. An annex placeholder (`data-annex`, see annexes.js) forms a
+ * run of its own. The chosen group and run are written back in `data-page-group` and `data-page-run` so that the
+ * runs can be isolated later on.
+ * @param {puppeteer.Page} page - The Puppeteer page object containing the HTML.
+ * @param {Object} profile - The layout profile.
+ * @returns {Promise<Object[]>} The settings of each run: the settings of its group (see `resolvePageGroup`),
+ * its `run` id, its `orientation` and, for the runs of an annex, the `annex` placeholder id. Only the first run
+ * of a group keeps the `firstPage` layout.
  */
-const getHeaderAndFooter = async page => {
-    return page.evaluate((_) => { // page.evaluate runs code within the browser context
-        const header = document.getElementById("header-first-page");
-        const footer = document.getElementById("footer-first-page");
-        return [
-            header ? header.outerHTML : "<div>header missing</div>",
-            footer ? footer.outerHTML : "<div>Footer missing</div>"
-        ];
-    });
-};
+const assignPageGroups = async (page, profile) => {
+    const declaredGroups = await page.evaluate((pageGroups, defaultPageGroup) => {
+        const groups = [];
+        document.querySelectorAll('section:not(section section)').forEach(section => {
+            let name = section.dataset.pageGroup;
+            if (!name) {
+                const match = pageGroups.find(group => group.sections && section.matches(group.sections));
+                name = match ? match.name : defaultPageGroup;
+                section.dataset.pageGroup = name;
+            }
 
+            let group = groups.find(group => group.name === name);
+            if (!group) {
+                // The first section of a group may override its layout
+                group = {
+                    name,
+                    attributes: {
+                        header: section.dataset.pageHeader,
+                        footer: section.dataset.pageFooter,
+                        margins: section.dataset.pageMargins,
+                    },
+                    runs: [],
+                };
+                groups.push(group);
+            }
 
-/**
- * Extracts the outer HTML of the element with ID "header-container" from the page.
- * This is used for the header on all pages except the first.
- * @param {puppeteer.Page} page - The Puppeteer page object.
- * @returns {Promise<string>} The outer HTML of the header element or a fallback message.
- */
-const getHeader = async page => {
-    return page.evaluate((_) => { // page.evaluate runs code within the browser context
-        const header = document.getElementById("header-container");
-        return header ? header.outerHTML : "<div>header missing</div>"; // Return HTML or fallback
+            // Null when the section follows the orientation of its group
+            const orientation = section.dataset.pageOrientation
+                || (section.classList.contains('landscape') ? 'landscape' : null)
+                || (section.classList.contains('portrait') ? 'portrait' : null);
+
+            // The pages of an annex replace its placeholder, the sections around it are rendered apart
+            const annex = section.dataset.annex !== undefined ? section.id : null;
+
+            let run = group.runs[group.runs.length - 1];
+            if (!run || run.orientation !== orientation || run.annex || annex) {
+                run = { id: `${groups.indexOf(group)}-${group.runs.length}`, orientation, annex };
+                group.runs.push(run);
+            }
+            section.dataset.pageRun = run.id;
+        });
+        return groups;
+    }, profile.pageGroups || [], profile.defaultPageGroup);
+
+    const runs = [];
+    declaredGroups.forEach(declaredGroup => {
+        const group = resolvePageGroup(profile, declaredGroup.name, declaredGroup.attributes);
+        declaredGroup.runs.forEach((declaredRun, i) => {
+            const orientation = declaredRun.orientation || group.orientation;
+            // A landscape run in a portrait group may have its own header, footer and margins
+            const overrides = orientation === 'landscape' && group.orientation !== 'landscape' ? group.landscape : null;
+            runs.push({
+                ...group,
+                ...overrides,
+                run: declaredRun.id,
+                orientation,
+                annex: declaredRun.annex,
+                firstPage: i === 0 ? group.firstPage : undefined,
+            });
+        });
     });
+    return runs;
 };
 
 /**
- * Extracts the outer HTML of the element with ID "footer" from the page.
- * This is intended for the footer of the *first* page specifically.
- * @param {puppeteer.Page} page - The Puppeteer page object.
- * @returns {Promise<string>} The outer HTML of the first page footer element or a fallback message.
+ * Returns the HTML of the page with only the sections of one page run visible, along with the
+ * header and footer templates of that run. The page itself is left untouched.
+ * `offset` empty pages are added before the sections, so that the page numbers printed by Chromium in the
+ * header and footer (`pageNumber` class) follow the pages of the previous runs; they are left out of the
+ * PDF with `pageRanges`.
+ * The `data-running` placeholders of the templates and of the sections of the run are replaced with markers,
+ * overwritten with their value once the document is merged (see running.js). The `totalPages` elements of the
+ * templates become `total-pages` placeholders, and lose their class so that Chromium does not replace them with
+ * the page count of the part. The page count being written after the merge, it never changes the HTML rendered.
+ * The markers carry the style index set by `markRunningStyles`.
+ * @param {puppeteer.Page} page - The Puppeteer page object containing the HTML.
+ * @param {Object} run - The page run settings (see `assignPageGroups`).
+ * @param {Object} layout - The `header` and `footer` selectors to use and the `offset` of the run.
+ * @returns {Promise<Array>} The HTML of the run, its header template, its footer template, whether the run
+ * uses running placeholders and the HTML of the run without its hidden sections, which tells whether
+ * a render of the run would change.
  */
-const getFooter = async page => {
-    return page.evaluate((_) => {
-        const footer = document.getElementById("footer");
-        return footer ? footer.outerHTML : "<div>Footer first page missing</div>";
-    });
-}
+const getPageGroupContent = async (page, run, layout) => {
+    return page.evaluate((runId, layout, running) => {
+        let usesRunning = false;
+        // Running placeholders become markers, overwritten with their value once the document is merged
+        const replacePlaceholders = element => {
+            element.querySelectorAll('[data-running]').forEach(placeholder => {
+                const field = running.fields.indexOf(placeholder.dataset.running);
+                if (field < 0) {
+                    return;
+                }
+                const format = Math.max(running.formats.indexOf(placeholder.dataset.format || ''), 0);
+                const align = Math.max(running.alignments.indexOf(placeholder.dataset.align || 'left'), 0);
+                const style = placeholder.dataset.runningStyle || '0';
+                const marker = `@@${field}.${format}.${align}.${style}@@`;
+                // The marker keeps the room of the value, its box is where the value is written
+                const width = Number(placeholder.dataset.width) || running.widths[placeholder.dataset.running] || 0;
+                placeholder.textContent = marker + '_'.repeat(Math.max(width - marker.length, 0));
+                placeholder.style.color = 'rgba(0, 0, 0, 0.01)';
+                placeholder.style.whiteSpace = 'nowrap';
+                usesRunning = true;
+            });
+        };
+
+        const getTemplate = (selector, fallback) => {
+            const element = selector ? document.querySelector(selector) : null;
+            if (!element) {
+                return selector ? fallback : "<span></span>";
+            }
+            const template = element.cloneNode(true);
+            template.querySelectorAll('.totalPages').forEach(total => {
+                total.dataset.running = 'total-pages';
+                total.classList.remove('totalPages');
+            });
+            replacePlaceholders(template);
+            return template.outerHTML;
+        };
+
+        const root = document.documentElement.cloneNode(true);
+        root.querySelectorAll('section:not(section section)').forEach(section => {
+            section.style.display = section.dataset.pageRun === runId ? 'flex' : 'none';
+            if (section.dataset.pageRun === runId) {
+                replacePlaceholders(section);
+            }
+        });
+
+        const body = root.querySelector('body');
+        for (let i = 0; i < layout.offset; i++) {
+            const blank = document.createElement('div');
+            blank.style.cssText = 'break-after: page; height: 1px;';
+            body.insertBefore(blank, body.firstChild);
+        }
+
+        const visible = root.cloneNode(true);
+        visible.querySelectorAll('section:not(section section)').forEach(section => {
+            if (section.dataset.pageRun !== runId) {
+                section.remove();
+            }
+        });
+
+        return [
+            root.outerHTML,
+            getTemplate(layout.header, "<div>header missing</div>"),
+            getTemplate(layout.footer, "<div>Footer missing</div>"),
+            usesRunning,
+            visible.outerHTML,
+        ];
+    }, run.run, layout, { fields: RUNNING_FIELDS, formats: NUMBER_FORMATS, alignments: ALIGNMENTS, widths: MARKER_WIDTHS });
+};
 
 /**
- * Modifies the page's DOM to hide the first section (identified by ID "presentation")
- * and returns the entire HTML content of the modified page.
- * Used to generate the PDF content for all pages *after* the first.
- * @param {puppeteer.Page} page - The Puppeteer page object.
- * @returns {Promise<string>} The full HTML of the page with the first section hidden.
+ * Prepares the TOC entries before the preliminary render so that every entry points at an anchor.
+ * Entries may either link to their section (`<a href="#section-id">`) or declare it with a
+ * `data-toc-target` attribute, on the entry or on its link. Entries declaring a target without an
+ * href get one, because Chromium only emits a named destination for elements that are linked to.
+ * @param {puppeteer.Page} page - The Puppeteer page object containing the HTML.
+ * @param {Object} selectors - The selectors of the layout profile.
+ * @returns {Promise<void>}
  */
-const getAllSectionsExceptFirst = async (page, extrapages) => {
-    return page.evaluate((extrapages) => {
-        const element = document.getElementById("presentation"); // Assumes the first section always has this ID
-        if (element) {
-            element.style.display = 'flex'; // Hide the element
-            if(extrapages == 0) {
-                for (const child of element.children) {
-                    child.style.display = 'none'; 
-                }
-            }
+async function linkTableOfContentTargets(page, selectors) {
+    await page.evaluate((selectors) => {
+        const toc = document.querySelector(selectors.tableOfContent);
+        if (!toc) {
+            return;
         }
 
-        const sections = document.querySelectorAll('section'); // Select all section elements
-        sections.forEach((section, i) => {
-            if (i !== 0) { // If it's not the first section (index 0)
-                section.style.display = 'flex'; // Hide it
+        Array.from(toc.children).forEach(currentChild => {
+            const link = currentChild.querySelector('a');
+            const target = (link && link.dataset.tocTarget) || currentChild.dataset.tocTarget;
+            if (link && target && !link.getAttribute('href')) {
+                link.setAttribute('href', '#' + target);
             }
         });
-        
-        return document.documentElement.outerHTML; // Return the modified HTML
-    }, extrapages);
+    }, selectors);
 }
 
 /**
- * Modifies the page's DOM to hide all <section> elements except the first one.
- * Returns the entire HTML content of the modified page.
- * Used to generate the PDF content for *only* the first page.
- * @param {puppeteer.Page} page - The Puppeteer page object.
- * @returns {Promise<string>} The full HTML of the page with only the first section visible.
+ * Reads the anchor targeted by each TOC entry.
+ * `data-toc-target` takes precedence over the fragment of the link's href.
+ * @param {puppeteer.Page} page - The Puppeteer page object containing the HTML.
+ * @param {puppeteer.ElementHandle} tableOfContent - Handle on the `#table-of-content` element.
+ * @returns {Promise<Object[]>} One `{ title, anchor }` per TOC entry, `anchor` being null when the entry has none.
  */
-const getFirstSection = async page => {
-    return page.evaluate(() => {
-        const sections = document.querySelectorAll('section'); // Select all section elements
-        sections.forEach((section, i) => {
-            if (section.id !== "presentation") { // If it's not the first section (index 0)
-                section.style.display = 'none'; // Hide it
+const getTableOfContentAnchors = async (page, tableOfContent) => {
+    return page.evaluate(toc => {
+        return Array.from(toc.children).map(currentChild => {
+            const link = currentChild.querySelector('a');
+            const title = (link || currentChild).textContent.trim();
+            let anchor = (link && link.dataset.tocTarget) || currentChild.dataset.tocTarget || null;
+            if (!anchor && link) {
+                const href = link.getAttribute('href') || '';
+                anchor = href.startsWith('#') && href.length > 1 ? decodeURIComponent(href.slice(1)) : null;
             }
+            return { title, anchor };
         });
-        const header = document.getElementById("header-first-page");
-        const footer = document.getElementById("footer-first-page");
-        return [
-            document.documentElement.outerHTML, 
-            header ? header.outerHTML : "<div>header first page missing</div>",
-            footer ? footer.outerHTML : "<div>Footer first page missing</div>"
-        ]; // Return the modified HTML
-    });
+    }, tableOfContent);
 };
 
 /**
- * Analyzes a parsed PDF document to find on which page each TOC title appears.
- * This function iterates through PDF pages (starting from page 3, skipping potential cover/TOC pages),
- * extracts text content, and checks if the accumulated text includes any of the known TOC titles.
- * NOTE: The comment "-- Gros bricolage --" indicates this is considered a hacky/fragile approach.
- * It relies on text matching and might break if title formatting or PDF structure changes.
- * A more robust solution might involve embedding specific markers in the HTML.
- * @param {pdfjs.PDFDocumentProxy} pdf - The parsed PDF document object from pdfjs.
- * @param {string[]} table_of_content - An array of TOC title strings to search for.
- * @returns {Promise<Object>} An object where keys are page numbers (adjusted by -1) and values are arrays of TOC entry indices found on that page. Example: { 2: [0, 1], 4: [2] }
+ * Finds on which page of the document each TOC anchor lands.
+ * Chromium writes a named destination for every element targeted by an internal link, so the
+ * page is read from the destinations of the rendered parts (see `measureRun`) instead of matching the title
+ * text on each page.
+ * @param {Map<string, number>} anchors - The 0-based page index of each named destination of the document.
+ * @param {Object[]} entries - The `{ title, anchor }` TOC entries, as returned by `getTableOfContentAnchors`.
+ * @param {Object} tocOptions - The TOC options of the layout profile: anchors landing before `startPage` are
+ * left unresolved, `pageOffset` is added to the page numbers.
+ * @returns {Promise<Object>} `titlesPages` maps 1-based page numbers to the indices of the entries found on them
+ * (example: { 3: [0, 1], 5: [2] }), `unresolved` lists the entries whose anchor is missing from the PDF.
  */
-async function find_page_number(pdf, table_of_content, extrapages) {
-    //  -- Gros bricolage -- (Hack/Workaround)
-    //    Could be improved in the future by
-    //    measuring document elements or using markers.
-    let titlesPages = {}; // Object to store page numbers for each title index
-    let foundTitles = []
-    // Start from page 3, assuming pages 1 and 2 are cover/TOC. Adjust if needed.
-    for (let pageNb = 3; pageNb <= pdf.numPages; pageNb++) {
-        const pdfPage = await pdf.getPage(pageNb); // Get page object
-        const pageContent = await pdfPage.getTextContent(); // Extract text items
-
-        let scrapText = ""; // Accumulator for text on the current page
-        // Iterate through text items on the page
-        for (let j = 0; j < pageContent.items.length; j++) {
-            // Append text item content, removing potential newlines within items
-            scrapText += pageContent.items[j].str.replace("\n", "");
-
-            // Check if the accumulated text contains any of the TOC titles
-            table_of_content.forEach((title, index) => {
-                if (scrapText.includes(title)) {
-                    if (!foundTitles.includes(title) && extrapages > 0) {
-                        foundTitles.push(title);
-                    } else {
-                        // Initialize array for this page number if it doesn't exist
-                        if (!titlesPages[pageNb]) {
-                            titlesPages[pageNb] = [];
-                        }
-
-                        // Add the index of the found title to the page's list
-                        titlesPages[pageNb].push(index);
-                    }
+function find_page_number(anchors, entries, tocOptions) {
+    let titlesPages = {}; // Object to store the TOC entry indices for each page number
+    let unresolved = [];
+
+    for (const [index, entry] of entries.entries()) {
+        const pageIndex = entry.anchor ? anchors.get(entry.anchor) : undefined;
+        if (pageIndex === undefined) {
+            unresolved.push(entry);
+            continue;
+        }
 
-                    // Optional: Log found titles and pages
-                    //log(`Title found: ${title} on page ${i} (adjusted to ${pageNb})`);
+        if (pageIndex + 1 < tocOptions.startPage) {
+            unresolved.push(entry);
+            continue;
+        }
+        const pageNb = pageIndex + 1 + tocOptions.pageOffset;
 
-                    // Reset accumulator after a match to avoid re-matching parts of the same title
-                    scrapText = "";
-                }
-            });
+        if (!titlesPages[pageNb]) {
+            titlesPages[pageNb] = [];
         }
+        titlesPages[pageNb].push(index);
     }
-    return titlesPages; // Return the mapping of page numbers to title indices
+
+    return { titlesPages, unresolved };
 }
 
 
 /**
  * Orchestrates the process of updating the table of contents with page numbers.
- * 1. Selects the correct list of TOC titles based on the report type.
- * 2. Calls `find_page_number` to determine where each title appears in the preliminary PDF.
- * 3. Calls `add_number_to_sommaire` to inject the page numbers into the HTML DOM.
+ * 1. Reads the anchor targeted by each entry of `#table-of-content`.
+ * 2. Calls `find_page_number` to determine where each anchor lands in the rendered document.
+ * 3. Injects the dots and page numbers into the HTML DOM, replacing the ones of a previous update.
  * @param {puppeteer.Page} page - The Puppeteer page object containing the HTML.
- * @param {pdfjs.PDFDocumentProxy} pdf - The parsed preliminary PDF document.
- * @param {string} rapportType - The type of report ('recensement' or 'evaluation_detaillee').
- * @returns {Promise<void>}
- * @throws {Error} If the report type is unknown.
+ * @param {Map<string, number>} anchors - The 0-based page index of each named destination of the document
+ * (see `getDocumentLayout`).
+ * @param {Object} profile - The layout profile (TOC selector and options).
+ * @returns {Promise<Object>} `entries` lists every `{ title, anchor, page, pageIndex }` TOC entry (`page` being the
+ * printed page number and `pageIndex` the 0-based page index, both null when unresolved), `unresolved` the entries
+ * whose anchor could not be resolved.
  */
-async function updateTableOfContent(page, pdf, extrapages) {
+async function updateTableOfContent(page, anchors, profile) {
     log("Mise à jour du sommaire.");
-    const tableOfContent = await page.$('#table-of-content'); // Get the TOC container element handle
+    const tableOfContent = await page.$(profile.selectors.tableOfContent); // Get the TOC container element handle
     if (!tableOfContent) {
         log("Le sommaire n'a pas été trouvé !");
-        return;
+        return { entries: [], unresolved: [] };
     }
 
-    const titles = await page.evaluate(toc => {
-        const titles = [];
-        Array.from(toc.children).forEach(currentChild => {
-            if (currentChild) {
-                let link = currentChild.children[0];
-                titles.push(link.textContent);
-            }
-        });
-        return titles;
-    }, tableOfContent);
+    const entries = await getTableOfContentAnchors(page, tableOfContent);
 
-    // Find the page number for each title in the PDF (executed in Node.js environment)
-    let titlesPages = await find_page_number(pdf, titles, extrapages);
+    // Find the page number for each anchor in the PDF (executed in Node.js environment)
+    const { titlesPages, unresolved } = find_page_number(anchors, entries, profile.toc);
+
+    unresolved.forEach(entry => {
+        log(`Entrée du sommaire non résolue : "${entry.title}" (ancre : ${entry.anchor ? '#' + entry.anchor : 'aucune'}).`);
+    });
 
     // Update the DOM with page numbers (executed in browser environment)
-    await page.evaluate((titlesPages) => {
-        const toc = document.getElementById('table-of-content');
+    await page.evaluate((titlesPages, tocSelector) => {
+        const toc = document.querySelector(tocSelector);
         if (!toc) {
-            console.error("Le sommaire n'a pas été trouvé !");
+            logError("Le sommaire n'a pas été trouvé !");
             return;
         }
+        // The page numbers of a previous pass
+        toc.querySelectorAll('[data-toc-page]').forEach(element => element.remove());
 
         for (const [page, childs] of Object.entries(titlesPages)) {
             childs.forEach(childIndex => {
                 const currentChild = toc.children[childIndex];
                 if (currentChild) {
                     let link = currentChild.querySelector('a');
+                    if (!link) {
+                        return;
+                    }
 
                     let titlePage = document.createElement('span');
                     titlePage.className = link.textContent.includes(".") ? 'subtitle-page-number': 'title-page-number';
                     titlePage.textContent = page;
+                    titlePage.dataset.tocPage = '';
 
                     let dots = document.createElement('span');
                     dots.className = 'dots';
-                    if (link) {
-                        link.appendChild(dots);
-                        link.appendChild(titlePage);
-                    }
+                    dots.dataset.tocPage = '';
+                    link.appendChild(dots);
+                    link.appendChild(titlePage);
                 }
             });
         }
-    }, titlesPages);
+    }, titlesPages, profile.selectors.tableOfContent);
 
     log('Fin de la mise à jour du sommaire.');
+
+    const entryPages = {};
+    for (const [page, childs] of Object.entries(titlesPages)) {
+        childs.forEach(childIndex => entryPages[childIndex] = Number(page));
+    }
+
+    return {
+        entries: entries.map((entry, index) => {
+            const page = entryPages[index] || null;
+            // Index of the page in the document, the printed number may be shifted by the TOC options
+            const pageIndex = page ? page - profile.toc.pageOffset - 1 : null;
+            return { ...entry, page, pageIndex };
+        }),
+        unresolved,
+    };
 }
 
-async function updatePageCount(page, firstPagesCount) {
-    log("Mise à jour du total des pages.");
-    const count = await page.$eval('.totalPages', (element, count) => element.textContent = count, firstPagesCount);
-    log('Fin de la mise à jour du total des pages. ' + await page.$eval('.totalPages', (element) => element.textContent));
+/**
+ * Turns the page count elements of the report into `total-pages` running placeholders: the page count is written
+ * once the document is merged (see running.js), so that it never changes the HTML of the runs rendered.
+ * @param {puppeteer.Page} page - The Puppeteer page object containing the HTML.
+ * @param {Object} selectors - The selectors of the layout profile.
+ * @returns {Promise<void>}
+ */
+async function markPageCount(page, selectors) {
+    const count = await page.$$eval(selectors.totalPages, elements => {
+        elements.forEach(element => {
+            element.dataset.running = 'total-pages';
+        });
+        return elements.length;
+    });
+    log(`Total des pages : ${count} emplacements, écrits après la fusion.`);
 }
 
 /**
- * Mergves two PDF buffers into a single PDF document using pdf-lib.
- * It takes the first page from the first PDF and prepends it to the second PDF,
- * removing a potentially blank second page from the second PDF (which might result
- * from hiding the first section).
- * @param {Buffer[]} pdfBuffers - An array containing two PDF buffers (first page PDF, rest of pages PDF).
- * @returns {Promise<Uint8Array>} A buffer containing the merged PDF data.
- * @throws {Error} If loading or merging PDFs fails.
+ * Reads the colour and the weight of the running placeholders (the `data-running` elements and the `totalPages`
+ * elements of the templates), for their values to be written in the same style once the document is merged.
+ * Each placeholder gets the index of its style in `data-running-style`, in base 36; the placeholders past the
+ * `MAX_STYLES` first styles keep the default one (black regular text).
+ * @param {puppeteer.Page} page - The Puppeteer page object containing the HTML.
+ * @returns {Promise<Object[]>} The `{ color, bold }` styles, `color` being the RGB components between 0 and 1.
  */
-async function mergePDFs(pdfBuffers, extrapages) {
-    if (pdfBuffers.length !== 2) {
-        throw new Error("mergePDFs requires exactly two PDF buffers.");
-    }
+async function markRunningStyles(page) {
+    return page.$$eval('[data-running], .totalPages', (elements, maxStyles) => {
+        const keys = [];
+        const styles = [];
+        elements.forEach(element => {
+            const style = getComputedStyle(element);
+            const color = (style.color.match(/[\d.]+/g) || [0, 0, 0]).slice(0, 3).map(value => Number(value) / 255);
+            const bold = Number(style.fontWeight) >= 600;
+            const key = `${color.join(',')}/${bold}`;
+            if (!keys.includes(key) && keys.length < maxStyles) {
+                keys.push(key);
+                styles.push({ color, bold });
+            }
+            if (keys.includes(key)) {
+                element.dataset.runningStyle = keys.indexOf(key).toString(36);
+            }
+        });
+        return styles;
+    }, MAX_STYLES);
+}
+
+/**
+ * Renders the pages of one page run (the pages of a page group sharing an orientation) to PDF.
+ * A run with a `firstPage` layout is rendered twice, like the historical cover page: once with the first page
+ * layout, keeping only its first page, and once with the run layout, dropping its first page.
+ * A part whose HTML and templates are the same as in the `previous` pass is not rendered again.
+ * @param {puppeteer.Page} page - The page containing the full HTML.
+ * @param {Function} getRenderPage - Returns the page used to render the isolated run, only called when a part
+ * is rendered.
+ * @param {Object} run - The page run settings (see `assignPageGroups`).
+ * @param {Object} layout - The `offset` of the run in the document (pages before it), the render `pass`
+ * (1 for the first one) and the `previous` parts of the run.
+ * @param {DebugRecorder} [debug] - Receives the HTML, templates and PDF of every part (see debug.js).
+ * @returns {Promise<Object[]>} The rendered parts of the run in page order, each being
+ * `{ buffer, skip, running, fingerprint, rendered }` where `skip` is the number of leading pages to drop when
+ * merging, `running` tells whether it uses running placeholders and `rendered` whether the
+ * part was rendered by this pass.
+ */
+async function renderPageGroup(page, getRenderPage, run, layout, debug = null) {
+    const parts = run.firstPage
+        ? [{ ...run.firstPage, firstPageOnly: true, skip: 0 }, { header: run.header, footer: run.footer, margins: run.margins, skip: 1 }]
+        : [{ header: run.header, footer: run.footer, margins: run.margins, skip: 0 }];
+
+    const rendered = [];
+    for (const [i, part] of parts.entries()) {
+        const [content, header, footer, running, visible] = await getPageGroupContent(page, run, {
+            header: part.header,
+            footer: part.footer,
+            offset: layout.offset,
+        });
+        const fingerprint = crypto.createHash('sha1').update(visible).update('\0').update(header).update('\0').update(footer).digest('hex');
+        const previous = layout.previous && layout.previous[i];
+        if (previous && previous.fingerprint === fingerprint) {
+            rendered.push({ ...previous, rendered: false });
+            continue;
+        }
 
-    // Load the two PDF buffers into pdf-lib documents
-    const firstPDFDoc = await PDFDocument.load(pdfBuffers[0]); // Contains only the first page content
-    const restPDFDoc = await PDFDocument.load(pdfBuffers[1]); // Contains the rest of the pages
+        const renderPage = await getRenderPage();
+        log(`Rendu du groupe de pages "${run.name}" (${run.orientation})${part.firstPageOnly ? ', première page' : ''}.`);
+        // Load the isolated HTML part, along with its images and fonts when they come from a bundle
+        const sandbox = getPageSandbox(renderPage);
+        await renderPage.setContent(content, { waitUntil: sandbox && sandbox.bundle ? 'load' : 'domcontentloaded' });
+        // The scripts of the part run again, wait for them like for the full HTML
+        const readiness = getPageReadiness(renderPage);
+        if (readiness) {
+            await waitForReady(renderPage, readiness);
+        }
+
+        const options = {
+            format: run.format,
+            landscape: run.orientation === 'landscape', // Chromium lays the header and footer out on the rotated page width
+            displayHeaderFooter: true, // Enable header/footer rendering
+            printBackground: true, // Ensure background colors/images are printed
+            headerTemplate: header,
+            footerTemplate: footer,
+            preferCSSPageSize: false, // Use @page size rules from CSS if available
+            margin: { ...part.margins },
+        };
+        // Leave the empty pages added before the run out of the PDF (Chromium caps the range to the page count)
+        if (layout.offset > 0 || part.firstPageOnly) {
+            const from = layout.offset + 1;
+            options.pageRanges = `${from}-${part.firstPageOnly ? from : MAX_PAGE_NUMBER}`;
+        }
 
-    // Remove the (now) second page (index 1) from the second document.
-    // This page is likely blank or contains minimal content because the
-    // corresponding section was hidden in the HTML before generating restPDFDoc.
-    // If the structure changes, this index might need adjustment.
-    // It was originally page 0 of restPDFDoc before insertion.
-    // After insertion, the original page 0 is at index 1, original page 1 is at index 2 etc.
-    // The original code removed page 2, which implies the original restPDFDoc might have had
-    // a blank page followed by the actual content starting on its page 2. Let's stick to that logic.
-    restPDFDoc.removePage(0);
-    if (extrapages > 0) {
-        for (let i = 0; i < extrapages; i++) {
-            firstPDFDoc.removePage(1);
+        const buffer = await renderPage.pdf(options);
+        if (debug) {
+            const name = `parts/pass-${layout.pass}/${run.run}-${run.name}${part.firstPageOnly ? '-first-page' : ''}`;
+            debug.addFile(`${name}.html`, content);
+            debug.addFile(`${name}-header.html`, header);
+            debug.addFile(`${name}-footer.html`, footer);
+            debug.addFile(`${name}.pdf`, buffer);
         }
+        rendered.push({ buffer, skip: part.skip, running, fingerprint, rendered: true });
     }
+    return rendered;
+}
 
-    // firstPDFDoc.getPages().forEach((_) => {
-    //      restPDFDoc.removePage(0); // Remove the page originally at index 1 in restPDFDoc
-    // });
+/**
+ * Measures the rendered parts of a run as they will be merged: their page count, and the page each named
+ * destination lands on, read like `mergePDFs` does. The parts are parsed once, `mergePDFs` reuses them.
+ * @param {Object[]} parts - The `{ buffer, skip, anchor }` rendered parts of a run.
+ * @returns {Promise<Object>} The `pageCount` of the run and its `anchors`, the 0-based page index in the run of
+ * each named destination.
+ */
+const measureRun = async parts => {
+    let pageCount = 0;
+    const anchors = new Map();
+    for (const part of parts) {
+        part.pdfDoc = part.pdfDoc || await PDFDocument.load(part.buffer);
+        if (part.anchor) {
+            anchors.set(part.anchor, pageCount);
+        } else {
+            for (const [name, location] of getNamedDestinations(part.pdfDoc)) {
+                if (location.pageIndex >= part.skip) {
+                    anchors.set(name, pageCount + location.pageIndex - part.skip);
+                }
+            }
+        }
+        pageCount += part.pdfDoc.getPageCount() - part.skip;
+    }
+    return { pageCount, anchors };
+};
 
-    // const firstPagePages = firstPDFDoc.getPages().map((_, index) => index);
+/**
+ * Lays the measured runs out one after the other.
+ * @param {Object[]} measures - The measures of every run, in page order (see `measureRun`).
+ * @returns {Object} The `offsets` of the runs (pages before each), the `totalPages` of the document and its
+ * `anchors`, the 0-based page index in the document of each named destination.
+ */
+const getDocumentLayout = measures => {
+    const offsets = [];
+    const anchors = new Map();
+    let totalPages = 0;
+    for (const measure of measures) {
+        offsets.push(totalPages);
+        measure.anchors.forEach((pageIndex, name) => anchors.set(name, totalPages + pageIndex));
+        totalPages += measure.pageCount;
+    }
+    return { offsets, totalPages, anchors };
+};
 
-    // Copy the first page from the first document into the second document
-    // We only need the first page ([0]) from firstPDFDoc
-    const [copiedPages] = await restPDFDoc.copyPages(firstPDFDoc, [0]);
+/**
+ * Tells whether two passes paginated the runs the same way: same page counts, anchors on the same pages.
+ * @param {Object[]} before - The measures of the runs in the first pass (see `measureRun`).
+ * @param {Object[]} after - The measures of the runs in the second pass.
+ * @returns {boolean}
+ */
+const isSameLayout = (before, after) => before.every((measure, i) => {
+    const other = after[i];
+    return measure.pageCount === other.pageCount && measure.anchors.size === other.anchors.size
+        && Array.from(measure.anchors).every(([name, pageIndex]) => other.anchors.get(name) === pageIndex);
+});
 
-    // Insert the copied first page at the beginning (index 0) of the second document
-    // copiedPages.forEach((page, index) => {
-    //     restPDFDoc.insertPage(index, page);
-    // });
-    
-    restPDFDoc.insertPage(0, copiedPages);
+/**
+ * Merges the rendered parts into a single PDF document using pdf-lib.
+ * The parts are appended in order, each without its `skip` leading pages (see `renderPageGroup`).
+ * The named destinations of every part are resolved against the merged page order, and
+ * the internal links are rewritten to point at them (see `remapLinks`). The parts of the annexes only get the
+ * `anchor` destination of their placeholder, on their first page: their own named destinations are not reachable
+ * from the report, but the internal links of an annex keep pointing at its pages (see `getLinkTargets`).
+ * @param {Object[]} parts - The `{ buffer, skip, anchor }` rendered parts, in page order, along with their parsed
+ * `pdfDoc` once measured (see `measureRun`).
+ * @returns {Promise<PDFDocument>} The merged pdf-lib document, not saved yet so that it can be post-processed.
+ * @throws {Error} If loading or merging PDFs fails.
+ */
+async function mergePDFs(parts) {
+    if (parts.length === 0) {
+        throw new Error("mergePDFs requires at least one PDF buffer.");
+    }
 
+    const mergedPDFDoc = await PDFDocument.create();
+    const destinations = new Map();
+
+    for (const part of parts) {
+        const partPDFDoc = part.pdfDoc || await PDFDocument.load(part.buffer);
+        const offset = mergedPDFDoc.getPageCount();
+
+        // Resolve the anchors of the part before its pages are copied.
+        // Anchors landing on dropped pages are rendered again by another part.
+        if (part.anchor) {
+            destinations.set(part.anchor, { pageIndex: offset, view: [PDFName.of('Fit')] });
+        } else {
+            for (const [name, location] of getNamedDestinations(partPDFDoc)) {
+                if (location.pageIndex >= part.skip) {
+                    destinations.set(name, { ...location, pageIndex: offset + location.pageIndex - part.skip });
+                }
+            }
+        }
 
-    // Save the modified second document (which now contains all pages) into a buffer
-    const mergedPdfBuffer = await restPDFDoc.save();
+        // The links of an annex are resolved before its pages are copied, pdf-lib would leave them without target
+        const linkTargets = part.anchor ? getLinkTargets(partPDFDoc) : null;
+        const pageIndices = partPDFDoc.getPageIndices().slice(part.skip);
+        const copiedPages = await mergedPDFDoc.copyPages(partPDFDoc, pageIndices);
+        copiedPages.forEach(copiedPage => mergedPDFDoc.addPage(copiedPage));
+        if (linkTargets) {
+            setLinkTargets(mergedPDFDoc, copiedPages, linkTargets, offset);
+        }
+    }
 
-    return mergedPdfBuffer; // Return the merged PDF data
-}
+    const links = remapLinks(mergedPDFDoc, destinations);
+    log(`Liens internes : ${links.remapped} redirigés, ${links.removed} supprimés (cible absente).`);
 
-function log(text) {
-    console.log(`${new Date().toUTCString()} - ${text}`)
+    return mergedPDFDoc; // Return the merged document (which now contains all pages)
 }
 
 /**
- * Generates an intermediate HTML file with an updated table of contents.
- * 1. Launches Puppeteer.
- * 2. Reads the initial HTML file (`rapport.html`).
- * 3. Loads the HTML into a Puppeteer page.
- * 4. Extracts header/footer templates.
- * 5. Generates a *preliminary* PDF (in memory) using the initial HTML. This PDF is *only* used to determine page numbers for the TOC.
- * 6. Parses the preliminary PDF using `pdfjs`.
- * 7. Calls `updateTableOfContent` to add page numbers to the HTML DOM in the Puppeteer page.
- * 8. Saves the *modified* HTML content (with page numbers in the TOC) to the final HTML output file.
- * 9. Closes the browser.
- * @returns {Promise<void>}
- * @throws {Error} If Puppeteer fails to launch or if `updateTableOfContent` throws an error.
+ * Loads the report HTML into a page of the shared browser, ready for `generatePDF`, `generateDOCX` or `page.content()`.
+ * 1. With `preflight`, checks the HTML first (see preflight.js) and refuses it when it has errors.
+ * 2. Waits for a render slot of the browser pool, held until the page is closed.
+ * 3. Applies the network sandbox to the page (see network.js): the assets of the bundle are served to it, the other
+ *    requests follow the network policy.
+ * 4. Loads the HTML, then waits for the readiness conditions (see readiness.js).
+ * The page numbers and the table of contents are written later, by `generatePDF`.
+ * @param {string|AssetBundle} htmlPage - The report HTML, or an asset bundle whose assets are served to the page
+ * and stay available to `generatePDF` (see bundles.js).
+ * @param {Object} [options]
+ * @param {Object} [options.network] - The `{ mode, hosts, javascript }` network policy options of the page
+ * (see network.js), also applied by `generatePDF`.
+ * @param {Object} [options.ready] - The `{ conditions, selector, timeout }` readiness options: what to wait for
+ * once the HTML is loaded (see readiness.js), also waited for by `generatePDF` for every rendered part.
+ * @param {boolean} [options.preflight] - Whether to check the HTML first (see preflight.js) and refuse it when
+ * it has errors.
+ * @param {Object} [options.profile] - The layout profile the HTML is checked against (default profile if omitted).
+ * @param {DebugRecorder} [options.debug] - Times the stage and records the browser console of the page (see debug.js).
+ * @returns {Promise<puppeteer.Page>} The loaded page. The caller closes it, which frees its render slot.
+ * @throws {RenderQueueFullError} If the render queue is full.
+ * @throws {ReportNotReadyError} If the readiness conditions are not met in time (the page is closed).
+ * @throws {PreflightFailedError} If `preflight` is set and the HTML has preflight errors.
  */
-async function generateHTML(htmlPage) {
-    const browser = await Browser.getInstance();
+async function generateHTML(htmlPage, options = {}) {
+    const debug = options.debug || null;
+    if (debug) {
+        debug.startStage('html');
+    }
+    setLogContext({ stage: 'html' });
+    const stageTimer = metrics.createStageTimer();
+    stageTimer('html');
+    if (options.preflight) {
+        const result = preflightReport(htmlPage, options.profile || getProfile());
+        result.diagnostics.forEach(diagnostic => log(`Preflight (${diagnostic.severity}) : ${diagnostic.message}`));
+        if (!result.valid) {
+            throw new PreflightFailedError(result);
+        }
+    }
+
+    const bundle = htmlPage instanceof AssetBundle ? htmlPage : null;
+    const sandbox = new NetworkSandbox(resolveNetworkPolicy({ ...options.network, bundle: Boolean(bundle) }), bundle);
+    sandbox.onBlocked = url => log(`Requête bloquée (politique réseau ${sandbox.policy.mode}) : ${url.slice(0, 200)}`);
+    const readiness = resolveReadiness(options.ready);
+
+    // Wait for a render slot, released when the page is closed
+    const page = await Browser.newPage();
+    if (debug) {
+        debug.watchPage(page, 'html');
+    }
 
     // Log the browser version being used
-    const version = await browser.version();
-    log("Chrome version:", version);
+    const version = await page.browser().version();
+    log(`Chrome version: ${version}`, { chromeVersion: version });
     
-    const page = await browser.newPage();
     await page.setUserAgent("Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.121 Safari/537.36");
-    await page.setContent(htmlPage, { waitUntil: 'domcontentloaded' });
+    await sandbox.attach(page);
+    if (bundle) {
+        // The assets are served locally, wait for them
+        await page.setContent(bundle.getHTML(), { waitUntil: 'load' });
+    } else {
+        await page.setContent(htmlPage, { waitUntil: 'domcontentloaded' });
+    }
 
+    setPageReadiness(page, readiness);
+    if (readiness.conditions.length > 0) {
+        log(`Attente de la page : ${readiness.conditions.join(', ')}.`);
+        try {
+            await waitForReady(page, readiness);
+        } catch (err) {
+            // The caller never gets the page, free its render slot now
+            await page.close().catch(() => {});
+            throw err;
+        }
+    }
+
+    stageTimer();
     return page;
 }
 
@@ -378,232 +1005,457 @@ async function generateHTML(htmlPage) {
 
 
 /**
- * Generates the final PDF report by splitting the HTML into two parts (first page vs. rest)
- * and merging the resulting PDFs.
- * 1. Launches Puppeteer.
- * 2. Reads the *final* HTML (generated by `generateHTML`, containing the updated TOC).
- * 3. **Part 1 (First Page):**
- *    - Loads the HTML into a page.
- *    - Uses `getFirstSection` to isolate the first section's content.
- *    - Renders this content to a temporary PDF (`0.pdf`) with the first page header/footer.
- * 4. **Part 2 (Remaining Pages):**
- *    - Loads the HTML into another page.
- *    - Uses `getAllSectionsExceptFirst` to isolate the remaining content.
- *    - Renders this content to a temporary PDF (`1.pdf`) with the standard header/footer.
- * 5. Closes the browser.
- * 6. Calls `mergePDFs` to combine `0.pdf` and `1.pdf`.
- * 7. Deletes the temporary PDF files.
- * 8. Saves the merged PDF to the final output path.
- * @returns {Promise<void>}
- * @throws {Error} If Puppeteer fails, file reading fails, PDF generation fails, or merging fails.
+ * Generates the final PDF report by rendering each page group with its own layout and merging the resulting PDFs.
+ * 1. Assigns the sections to their page groups, split into runs of the same orientation (see `assignPageGroups`).
+ * 2. **Layout pass:** renders every run in order, each one after the pages of the previous ones. The named
+ *    destinations of the rendered parts give the page count of each run and where the TOC anchors land
+ *    (see `measureRun`).
+ * 3. Updates the table of contents in the HTML DOM.
+ * 4. **Final pass:** renders again, several at once, the runs whose HTML or templates changed (the TOC), the
+ *    others keep their first render. When that moved the pages, the TOC is updated and the changed runs are
+ *    rendered again, up to `MAX_RENDER_PASSES` passes.
+ * 5. Calls `mergePDFs` to stitch the runs in order, then writes the running values and the page count (see
+ *    running.js), and adds the bookmarks and the document metadata.
+ * The runs of the PDF annexes are not rendered, their pages are merged along with the rendered ones.
+ * @param {puppeteer.Page} htmlPage - The page returned by `generateHTML`.
+ * @param {Object} [renderOptions]
+ * @param {Function} [renderOptions.onProgress] - Called with the name of each stage (see `PDF_STAGES`) when it starts,
+ * and for the 'parts' stage with `{ part, parts, group, orientation, pass }` for each page run of each pass.
+ * @param {Object} [renderOptions.profile] - The layout profile of the report type (see `getProfile`), the default one if omitted.
+ * @param {Object[]} [renderOptions.annexes] - The `{ name, title, content }` PDF annexes (see annexes.js), placed at
+ * their `data-annex` placeholder or after the body.
+ * @param {Object} [renderOptions.metadata] - Title, author, subject, keywords, language or creationDate overriding the
+ * ones of the HTML (see metadata.js).
+ * @param {Object} [renderOptions.watermark] - The watermark stamped on the merged document (see watermark.js).
+ * @param {Object} [renderOptions.signature] - The signature options (see signature.js), the document is signed once complete.
+ * @param {Object} [renderOptions.encryption] - The passwords and permissions (see encryption.js), the document is
+ * encrypted once complete. Encrypted documents cannot be signed.
+ * @param {boolean} [renderOptions.pdfa] - Whether to produce a PDF/A-2b document (see pdfa.js), which cannot be encrypted.
+ * @param {Function} [renderOptions.onConformance] - Called with the self-check of the PDF/A document,
+ * `{ conformant, violations }` (see `checkPDFA`).
+ * @param {DebugRecorder} [renderOptions.debug] - Receives the intermediate HTML and PDFs, the TOC pages, the browser
+ * console and the stage timings (see debug.js).
+ * @param {Function} [renderOptions.onRenderStats] - Called with `{ passes, renders, reused }`: the render passes
+ * that rendered parts with Chromium, the parts rendered and the parts of the result kept from an earlier pass.
+ * @returns {Promise<Uint8Array>} The merged PDF data.
+ * @throws {Error} If Puppeteer fails, PDF generation fails, or merging fails.
  */
-async function generatePDF(htmlPage) {
-    const browser = await Browser.getInstance();
-
-    // Define PDF generation options for this part
-    const options = {
-        format: 'A4',
-        displayHeaderFooter: true, // Enable header/footer rendering
-        printBackground: true, // Ensure background colors/images are printed
-        headerTemplate: "", // Use the determined header template
-        footerTemplate: "", // Use the determined footer template
-        preferCSSPageSize: false, // Use @page size rules from CSS if available
-        margin: { bottom: '25mm', top: '20mm' }, // margins
+async function generatePDF(htmlPage, renderOptions = {}) {
+    const startedAt = Date.now();
+    const stageTimer = metrics.createStageTimer();
+    try {
+        const { pdfBytes, pageCount, passes } = await renderPDF(htmlPage, renderOptions, stageTimer);
+        metrics.recordRender('pdf', { seconds: (Date.now() - startedAt) / 1000, bytes: pdfBytes.length, pages: pageCount, passes });
+        log(`PDF généré : ${pageCount} pages, ${pdfBytes.length} octets en ${Date.now() - startedAt} ms.`, { pages: pageCount, bytes: pdfBytes.length });
+        return pdfBytes;
+    } catch (err) {
+        metrics.recordRenderError('pdf');
+        throw err;
+    } finally {
+        stageTimer();
+    }
+}
+
+/**
+ * Renders the PDF of `generatePDF`.
+ * @param {puppeteer.Page} htmlPage - The page returned by `generateHTML`.
+ * @param {Object} renderOptions - The options of `generatePDF`.
+ * @param {Function} stageTimer - Times the stages (see metrics.js).
+ * @returns {Promise<Object>} The `pdfBytes`, the `pageCount` of the document and the render `passes`.
+ */
+async function renderPDF(htmlPage, renderOptions, stageTimer) {
+    const debug = renderOptions.debug || null;
+    const onProgress = (stage, detail) => {
+        setLogContext({ stage });
+        stageTimer(stage);
+        if (debug) {
+            debug.startStage(stage);
+        }
+        if (renderOptions.onProgress) {
+            renderOptions.onProgress(stage, detail);
+        }
     };
+    const profile = renderOptions.profile || getProfile();
+    const selectors = profile.selectors;
+    const watermark = resolveWatermark(renderOptions.watermark);
+    const signature = renderOptions.signature ? resolveSignature(renderOptions.signature) : null;
+    const encryption = renderOptions.encryption ? resolveEncryption(renderOptions.encryption) : null;
+    if (signature && encryption) {
+        throw new InvalidEncryptionError('Encrypted documents cannot be signed.');
+    }
+    const pdfa = Boolean(renderOptions.pdfa);
+    if (pdfa && encryption) {
+        throw new InvalidEncryptionError('PDF/A documents cannot be encrypted.');
+    }
 
-    const pdfBuffers = []; // Array to hold the generated PDF buffers
+    // Render on the browser holding the page, it may have been relaunched since
+    const browser = htmlPage.browser();
 
     // Log browser version
     const version = await browser.version();
-    log("Chrome version:", version);
+    log(`Chrome version: ${version}`, { chromeVersion: version });
 
-    // Create a page for loading the full HTML and extracting parts
+    // page1 holds the full HTML, the render pages render the isolated page runs.
+    // This avoids potential side effects from DOM manipulation on page1 affecting rendering
     const page1 = htmlPage;
-    const page2 = await browser.newPage();
-    await page2.setUserAgent("Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.121 Safari/537.36");
-
-    let [content_after, header, footer] = await getFirstSection(page1); // Get HTML with only the first section visible
-
-    await page2.setContent(content_after, { waitUntil: 'domcontentloaded' });
-
-    await page1.evaluate(() => {
-        const sections = document.querySelectorAll('section'); // Select all section elements
-        sections.forEach((section, _) => {
-            section.style.display = 'flex'; // show it
-        });
-    });
-
-    let extrapages = 0;
-
-    try {
-        // Generate the preliminary PDF as a buffer
-        log("Generating preliminary PDF for page number analysis...");
-        const pdfContent = await page2.pdf(options);
-
-        // Prepare the PDF data for pdfjs
-        const pdfData = new Uint8Array(pdfContent);
-
-        // Load the PDF data using pdfjs
-        var loadingTask = pdfjs.getDocument(pdfData);
-        const pdf = await loadingTask.promise;
-
-        extrapages = pdf.numPages - 1;
-    } catch (err) {
-        console.error("Erreur lors de la récupération des pages initiales supplémentaires.", err);
-        throw err; // Re-throw the specific error
+    // The render pages get the network policy, the assets and the readiness options of page1
+    const sandbox = getPageSandbox(page1);
+    const readiness = getPageReadiness(page1);
+    const openRenderPage = async () => {
+        const renderPage = await browser.newPage();
+        if (debug) {
+            debug.watchPage(renderPage, 'parts');
+        }
+        // The render pages belong to the render slot of page1, close them along with page1
+        page1.once('close', () => renderPage.close().catch(() => {}));
+        if (sandbox) {
+            await sandbox.attach(renderPage);
+        }
+        if (readiness) {
+            setPageReadiness(renderPage, readiness);
+        }
+        await renderPage.setUserAgent("Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/85.0.4183.121 Safari/537.36");
+        return renderPage;
+    };
+    // One render page per run rendered at once, opened when first needed
+    const renderPages = [await openRenderPage()];
+    const getRenderPage = async index => renderPages[index] || (renderPages[index] = openRenderPage());
+
+    // The annexes get their placeholder and TOC entry before the TOC is linked
+    const annexes = await placeAnnexes(page1, renderOptions.annexes || [], sandbox && sandbox.bundle, selectors.tableOfContent);
+    if (annexes.size > 0) {
+        log(`Annexes : ${Array.from(annexes.values(), annex => `${annex.name} (${annex.pageCount} pages)`).join(', ')}.`);
     }
+    // The pages of an annex run are the pages of the annex, reached through the id of its placeholder
+    const renderRun = (run, layout, renderPage) => run.annex
+        ? [{ buffer: annexes.get(run.annex).content, skip: 0, running: false, anchor: run.annex, rendered: false }]
+        : renderPageGroup(page1, renderPage, run, layout, debug);
+
+    // Make sure every TOC entry links to its anchor before anything is rendered
+    await linkTableOfContentTargets(page1, selectors);
+    await markPageCount(page1, selectors);
+    const runningStyles = await markRunningStyles(page1);
+
+    // The metadata of the HTML, written on the merged document
+    const metadata = resolveMetadata(await readDocumentMetadata(page1), renderOptions.metadata);
+
+    const runs = await assignPageGroups(page1, profile);
+    log(`Groupes de pages : ${runs.map(run => `${run.name} (${run.orientation})`).join(', ')}.`);
+
+    const stats = { passes: 0, renders: 0, reused: 0 };
+    const countPass = runParts => {
+        const renders = runParts.flat().filter(part => part.rendered).length;
+        if (renders > 0) {
+            stats.passes++;
+        }
+        stats.renders += renders;
+        return renders;
+    };
 
-    try {
-        // Generate the preliminary PDF as a buffer
-        log("Generating preliminary PDF for page number analysis...");
-        const pdfContent = await page1.pdf(options);
-        log("Preliminary PDF generated in memory.");
-
-        // Prepare the PDF data for pdfjs
-        const pdfData = new Uint8Array(pdfContent);
-
-        log("Parsing preliminary PDF with pdfjs...");
-        // Load the PDF data using pdfjs
-        var loadingTask = pdfjs.getDocument(pdfData);
-        const pdf = await loadingTask.promise; // Wait for the PDF to be parsed
-
-        log("Preliminary PDF parsed. Pages count: " + (pdf.numPages));
-        // Update the table of contents in the HTML DOM based on the parsed PDF
-        await updatePageCount(page1, pdf.numPages);
-        await updateTableOfContent(page1, pdf, extrapages);
-        // await updatePageCount(page, pdf);
-    } catch (err) {
-        // Handle errors during TOC update (e.g., unknown report type)
-        console.error("Error updating table of content:", err);
-        throw err; // Re-throw the specific error
-        // No return needed here
+    onProgress('preliminary');
+    // First pass: render every run alone, in order, to measure the document. Each run starts after the pages of
+    // the previous ones, so that the runs whose content does not depend on the measures are already final.
+    log("Generating preliminary PDF for page number analysis...");
+    let runParts = [];
+    let measures = [];
+    let offset = 0;
+    for (const run of runs) {
+        const parts = await renderRun(run, { offset, pass: 1 }, () => getRenderPage(0));
+        const measure = await measureRun(parts);
+        runParts.push(parts);
+        measures.push(measure);
+        offset += measure.pageCount;
+    }
+    countPass(runParts);
+    log(`Pagination mesurée : ${offset} pages.`);
+    if (debug) {
+        debug.addFile('preliminary.pdf', await (await mergePDFs(runParts.flat())).save());
     }
 
-    [content_after, header, footer] = await getFirstSection(page1); // Get HTML with only the first section visible
-
-    // Loop twice: once for the first page, once for the rest
-    for (let i = 0; i < 2; i++) {
-        log(`--- Generating PDF Part ${i + 1} ---`);
+    // Next passes: write the measures in the HTML (TOC page numbers) and render again the runs whose
+    // HTML or templates changed. Another pass is only needed when that moved the pages, e.g. when the page numbers
+    // make a TOC entry wrap onto a new page.
+    let tableOfContent = { entries: [], unresolved: [] };
+    onProgress('toc');
+    for (let pass = 2; ; pass++) {
+        const layout = getDocumentLayout(measures);
+        try {
+            tableOfContent = await updateTableOfContent(page1, layout.anchors, profile);
+        } catch (err) {
+            logError("Error updating table of content:", err);
+            throw err; // Re-throw the specific error
+        }
+        if (debug) {
+            debug.addFile('toc.json', tableOfContent.entries.map(({ title, anchor, page }) => ({ title, anchor, page })));
+        }
 
-        if (i !== 0) {
-            content_after = await getAllSectionsExceptFirst(page1, extrapages); // Get HTML with the first section hidden
+        // The runs are independent once their offset is known, several of them are rendered at once
+        const previousParts = runParts;
+        runParts = new Array(runs.length);
+        let next = 0;
+        const renderNextRuns = async worker => {
+            while (next < runs.length) {
+                const i = next++;
+                const run = runs[i];
+                onProgress('parts', { part: i + 1, parts: runs.length, group: run.name, orientation: run.orientation, pass });
+                runParts[i] = await renderRun(run, {
+                    offset: layout.offsets[i],
+                    pass,
+                    previous: previousParts[i],
+                }, () => getRenderPage(worker));
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(RENDER_CONCURRENCY, runs.length) }, (_, worker) => renderNextRuns(worker)));
 
-            await fs.writeFileSync("output.html", content_after);
+        const previousMeasures = measures;
+        measures = [];
+        for (const parts of runParts) {
+            measures.push(await measureRun(parts));
         }
+        const renders = countPass(runParts);
+        log(`Passe ${pass} : ${renders} parties rendues à nouveau.`);
 
-        // Create a second page specifically for rendering the PDF part
-        // This avoids potential side effects from DOM manipulation on page1 affecting rendering
-        log("Loading extracted content into rendering page...");
-        await page2.setContent(content_after, { waitUntil: 'domcontentloaded' }); // Load the isolated HTML part
-        log("Extracted content loaded.");
-
-        if (i !== 0) {
-            // --- Part 2: Remaining Pages ---
-            log("Extracting content for remaining sections...");
-            // Use the standard header and footer for subsequent pages
-            header = await getHeader(page2);
-            footer = await getFooter(page2);
+        if (isSameLayout(previousMeasures, measures)) {
+            break;
+        }
+        if (pass >= MAX_RENDER_PASSES) {
+            log(`La pagination change encore après ${pass} passes, les numéros de page du sommaire peuvent être décalés.`);
+            break;
+        }
+        log("La pagination a changé, nouvelle passe.");
+    }
+    const renderedParts = runParts.flat(); // Rendered parts of every run, in page order
+    const finalPageCounts = measures.map(measure => measure.pageCount);
+    stats.reused = renderedParts.filter(part => part.rendered === false && !part.anchor).length;
+    log(`Rendu en ${stats.passes} passes : ${stats.renders} rendus Chromium, ${stats.reused} parties réutilisées.`, stats);
+    if (renderOptions.onRenderStats) {
+        renderOptions.onRenderStats(stats);
+    }
 
-            log("Remaining sections extracted.");
+    // Close the temporary pages used for the parts
+    await Promise.all(renderPages.map(async renderPage => (await renderPage).close()));
+    await page1.close();
 
-            options.margin.top = '35mm';
+    if (sandbox) {
+        const { blockedRequests, missingAssets } = sandbox.getDiagnostics();
+        if (missingAssets.length > 0) {
+            log(`Ressources absentes du bundle : ${missingAssets.join(', ')}.`);
         }
+        if (blockedRequests.length > 0) {
+            log(`${blockedRequests.length} requêtes bloquées par la politique réseau.`);
+        }
+    }
 
-        options.headerTemplate = header;
-        options.footerTemplate = footer;
-
-        log(`Generating PDF buffer for part ${i + 1}...`);
-        // Generate the PDF for the current part as a buffer
+    onProgress('merge');
+    let mergedPdf = await mergePDFs(renderedParts);
+
+    // Bookmarks are added on the merged document, pdf-lib does not copy them along with the pages
+    const bookmarksCount = addOutline(mergedPdf, tableOfContent.entries);
+    log(`${bookmarksCount} signets ajoutés au PDF.`);
+
+    // Running headers and page numbers are only known once the pages of every run are in place
+    if (renderedParts.some(part => part.running)) {
+        const runningValues = computeRunningValues(runs, finalPageCounts, tableOfContent.entries);
+        // The annexes are PDF files of their own, left as they are
+        const runningPages = new Set();
+        runs.reduce((offset, run, i) => {
+            if (!run.annex) {
+                for (let page = offset; page < offset + finalPageCounts[i]; page++) {
+                    runningPages.add(page);
+                }
+            }
+            return offset + finalPageCounts[i];
+        }, 0);
+        const stamped = await stampRunningValues(await mergedPdf.save(), runningValues, {
+            embedFonts: pdfa, styles: runningStyles, pages: runningPages,
+        });
+        mergedPdf = stamped.pdfDoc;
+        log(`${stamped.count} valeurs d'en-tête et de pied de page écrites.`);
+    }
 
-        const pdfBuffer = await page2.pdf(options);
-        pdfBuffers.push(pdfBuffer); // Add the buffer to the array
-        log(`PDF buffer for part ${i + 1} generated.`);
-        log(`Temporary pages for part ${i + 1} closed.`);
-    } // End of loop
+    if (watermark) {
+        const watermarkedCount = await addWatermark(mergedPdf, watermark, { report: profile.name }, { embedFonts: pdfa });
+        log(`Filigrane ajouté sur ${watermarkedCount} pages.`);
+    }
 
-    // Close the temporary pages used for this part
-    await page2.close();
-    await page1.close();
+    // The merged document starts without metadata, the one of the rendered parts is not copied
+    applyMetadata(mergedPdf, metadata, pdfa ? { xmpProperties: PDFA_XMP_PROPERTIES } : {});
+    if (pdfa) {
+        convertToPDFA(mergedPdf);
+    }
 
-    // Close the browser instance now that both parts are generated
-    log("Browser closed after generating PDF parts.");
+    // The signature or the encryption comes last, any later change would break it
+    let pdfBytes;
+    if (signature) {
+        log("Signature du PDF.");
+        pdfBytes = await signPDF(mergedPdf, signature, { embedFonts: pdfa });
+    } else if (encryption) {
+        log("Chiffrement du PDF.");
+        pdfBytes = await encryptPDF(mergedPdf, encryption);
+    } else {
+        // Save the merged document into a buffer
+        pdfBytes = await mergedPdf.save();
+    }
 
-    // Check if we have the expected number of PDF buffers
-    if (pdfBuffers.length !== 2) {
-        throw new Error(`Expected 2 PDF buffers, but got ${pdfBuffers.length}`);
+    if (pdfa) {
+        const conformance = await checkPDFA(pdfBytes);
+        if (conformance.conformant) {
+            log("PDF/A-2b : aucune règle enfreinte.");
+        } else {
+            log(`PDF/A-2b : règles enfreintes : ${conformance.violations.map(violation => violation.message).join(' ')}`);
+        }
+        if (renderOptions.onConformance) {
+            renderOptions.onConformance(conformance);
+        }
     }
+    return { pdfBytes, pageCount: mergedPdf.getPageCount(), passes: stats.passes };
+}
 
-    return await mergePDFs(pdfBuffers, extrapages);
+/**
+ * Generates a Word (DOCX) version of the report from the page returned by `generateHTML`: one Word section per page
+ * run with the header and footer of its page group, Word heading styles and a Word TOC field (see word.js).
+ * @param {puppeteer.Page} htmlPage - The page returned by `generateHTML`.
+ * @param {Object} [renderOptions]
+ * @param {Object} [renderOptions.profile] - The layout profile of the report type (default profile if omitted).
+ * @param {Object} [renderOptions.metadata] - The metadata overriding the one of the HTML (see metadata.js).
+ * @returns {Promise<Buffer>} The DOCX file.
+ */
+async function generateDOCX(htmlPage, renderOptions = {}) {
+    const startedAt = Date.now();
+    setLogContext({ stage: 'docx' });
+    const stageTimer = metrics.createStageTimer();
+    stageTimer('docx');
+    try {
+        const profile = renderOptions.profile || getProfile();
+        const metadata = resolveMetadata(await readDocumentMetadata(htmlPage), renderOptions.metadata);
+
+        // The annexes are PDF documents, they only exist in the PDF
+        const runs = (await assignPageGroups(htmlPage, profile)).filter(run => !run.annex);
+        log(`Export Word : ${runs.length} sections (${runs.map(run => run.name).join(', ')}).`);
+        const content = await readWordContent(htmlPage, runs, profile.selectors);
+        const docx = await buildWordDocument(content, runs, { sandbox: getPageSandbox(htmlPage), metadata, log });
+        metrics.recordRender('docx', { seconds: (Date.now() - startedAt) / 1000, bytes: docx.length });
+        return docx;
+    } catch (err) {
+        metrics.recordRenderError('docx');
+        throw err;
+    } finally {
+        stageTimer();
+    }
 }
 
 /**
- * Generates an intermediate HTML file with an updated table of contents.
- * 1. Launches Puppeteer.
- * 2. Reads the initial HTML file (`rapport.html`).
- * 3. Loads the HTML into a Puppeteer page.
- * 4. Extracts header/footer templates.
- * 5. Generates a *preliminary* PDF (in memory) using the initial HTML. This PDF is *only* used to determine page numbers for the TOC.
- * 6. Parses the preliminary PDF using `pdfjs`.
- * 7. Calls `updateTableOfContent` to add page numbers to the HTML DOM in the Puppeteer page.
- * 8. Saves the *modified* HTML content (with page numbers in the TOC) to the final HTML output file.
- * 9. Closes the browser.
+ * Generates the intermediate HTML file from the command line.
+ * 1. Reads the initial HTML file (`rapport.html`) of the output path.
+ * 2. Loads it with `generateHTML`, checked first with `--preflight=true` against the profile of the report type.
+ * 3. Saves the HTML of the loaded page (as its scripts left it) to the output file, then closes the page.
  * @returns {Promise<void>}
- * @throws {Error} If Puppeteer fails to launch or if `updateTableOfContent` throws an error.
+ * @throws {Error} If the file cannot be read, the HTML cannot be loaded or the output cannot be written.
  */
 async function createHTMLFile() {
     // Get command line arguments: output file name, output path, report type
-    const reportName = process.argv[3]; // e.g., "final_report.html"
-    const outputPath = process.argv[4]; // e.g., "/path/to/output"
-    const rapportType = process.argv[5]; // e.g., "recensement"
+    const { args, options } = parseArguments();
+    const reportName = args[0]; // e.g., "final_report.html"
+    const outputPath = args[1]; // e.g., "/path/to/output"
+    const rapportType = args[2]; // e.g., "recensement"
+    // Refuse an HTML failing the preflight checks, e.g. --preflight
+    const preflight = options['preflight'] === 'true';
+    const profile = preflight ? getProfile(rapportType) : null;
 
     // Log messages from the browser console to the Node console
-    console.log("Generating intermediate HTML from ", outputPath);
+    log(`Generating intermediate HTML from ${outputPath}`);
     let content;
     try {
         // Read the initial HTML report content
         content = fs.readFileSync(path.join(outputPath, REPORT_HTML), "utf8");
     } catch (readErr) {
-        console.error(`Failed to read input HTML file: ${path.join(outputPath, REPORT_HTML)}`, readErr);
+        logError(`Failed to read input HTML file: ${path.join(outputPath, REPORT_HTML)}`, readErr);
         throw new Error(`Failed to read input HTML: ${readErr.message}`);
     }
 
     try {
         // Get the final HTML content (with updated TOC) from the page
-        const finalHtmlContent = await generateHTML(content);
+        const finalHtmlContent = await generateHTML(content, { ...getRenderArguments(options), preflight, profile });
         // Write the final HTML to the specified output file
         fs.writeFileSync(path.join(outputPath, reportName), await finalHtmlContent.content());
-        console.log(`Final HTML with updated TOC saved to: ${path.join(outputPath, reportName)}`);
+        await finalHtmlContent.close();
+        log(`Final HTML with updated TOC saved to: ${path.join(outputPath, reportName)}`);
     } catch (writeErr) {
-        console.error(`Failed to write final HTML file: ${path.join(outputPath, reportName)}`, writeErr);
+        logError(`Failed to write final HTML file: ${path.join(outputPath, reportName)}`, writeErr);
         throw new Error(`Failed to write final HTML: ${writeErr.message}`);
     }
 }
 
 
 /**
- * Generates the final PDF report by splitting the HTML into two parts (first page vs. rest)
- * and merging the resulting PDFs.
- * 1. Launches Puppeteer.
- * 2. Reads the *final* HTML (generated by `generateHTML`, containing the updated TOC).
- * 3. **Part 1 (First Page):**
- *    - Loads the HTML into a page.
- *    - Uses `getFirstSection` to isolate the first section's content.
- *    - Renders this content to a temporary PDF (`0.pdf`) with the first page header/footer.
- * 4. **Part 2 (Remaining Pages):**
- *    - Loads the HTML into another page.
- *    - Uses `getAllSectionsExceptFirst` to isolate the remaining content.
- *    - Renders this content to a temporary PDF (`1.pdf`) with the standard header/footer.
- * 5. Closes the browser.
- * 6. Calls `mergePDFs` to combine `0.pdf` and `1.pdf`.
- * 7. Deletes the temporary PDF files.
- * 8. Saves the merged PDF to the final output path.
+ * Generates the final PDF report file from the command line.
+ * 1. Reads the *final* HTML (generated by `createHTMLFile`, named after the target PDF).
+ * 2. Loads it with `generateHTML`, in the network sandbox and once ready (see `getRenderArguments`).
+ * 3. Calls `generatePDF` with the layout profile of the report type.
+ * 4. Saves the merged PDF to the final output path.
  * @returns {Promise<void>}
- * @throws {Error} If Puppeteer fails, file reading fails, PDF generation fails, or merging fails.
+ * @throws {Error} If file reading fails, the report type is unknown, PDF generation fails, or saving fails.
  */
 async function createPDFFile() {
     // Get command line arguments
-    const reportName = process.argv[3]; // e.g., "final_report.pdf"
-    const outputPath = process.argv[4]; // e.g., "/path/to/output"
+    const { args, options } = parseArguments();
+    const reportName = args[0]; // e.g., "final_report.pdf"
+    const outputPath = args[1]; // e.g., "/path/to/output"
+    const profile = getProfile(args[2]); // e.g., "recensement", default profile if omitted
+
+    // Watermark options, e.g. --watermark="BROUILLON {date}" --watermark-pages=2-
+    const watermark = {
+        text: options['watermark'],
+        image: options['watermark-image'] ? fs.readFileSync(options['watermark-image']) : undefined,
+        position: options['watermark-position'],
+        opacity: options['watermark-opacity'],
+        pages: options['watermark-pages'],
+        size: options['watermark-size'],
+        color: options['watermark-color'],
+        reference: options['reference'],
+    };
+
+    // Signature options, e.g. --sign --sign-reason="Rapport contractuel" --sign-box=380,40,180,50
+    const signature = options['sign'] ? {
+        reason: options['sign-reason'],
+        location: options['sign-location'],
+        page: options['sign-page'],
+        box: options['sign-box'],
+    } : null;
+
+    // Metadata overriding the one of the HTML, e.g. --title="Rapport annuel" --keywords=audit,2024
+    const metadata = {
+        title: options['title'],
+        author: options['author'],
+        subject: options['subject'],
+        keywords: options['keywords'],
+        language: options['language'],
+        creationDate: options['creation-date'],
+    };
+
+    // PDF annexes, relative to the output path, e.g. --annexes=certificat.pdf,plans/plan.pdf
+    const annexes = (options['annexes'] ? options['annexes'].split(',') : []).map(name => ({
+        name,
+        content: fs.readFileSync(path.resolve(outputPath, name)),
+    }));
+
+    // PDF/A-2b archival output, e.g. --pdfa
+    const pdfa = options['pdfa'] === 'true';
+
+    // Debug bundle written next to the PDF (see debug.js), e.g. --debug
+    const debug = options['debug'] === 'true' ? new DebugRecorder() : null;
+
+    // Encryption options, e.g. --user-password=... --allow-printing=low --allow-copying
+    const encryption = options['user-password'] ? {
+        userPassword: options['user-password'],
+        ownerPassword: options['owner-password'],
+        permissions: {
+            printing: options['allow-printing'],
+            copying: options['allow-copying'],
+            modifying: options['allow-modifying'],
+            annotating: options['allow-annotating'],
+        },
+    } : null;
 
     // Determine the input HTML file name (derived from the target PDF name)
     const inputHtmlFileName = reportName.replace(".pdf", ".html");
@@ -612,46 +1464,200 @@ async function createPDFFile() {
     let content_before; // Variable to hold the HTML content
     try {
         // Read the final HTML content (generated by generateHTML)
-        console.log(`Reading final HTML from: ${inputHtmlPath}`);
+        log(`Reading final HTML from: ${inputHtmlPath}`);
         content_before = fs.readFileSync(inputHtmlPath, "utf8");
-        console.log("Final HTML read successfully.");
+        log("Final HTML read successfully.");
     } catch (err) {
-        console.error(`Failed to read final HTML file: ${inputHtmlPath}`, err);
+        logError(`Failed to read final HTML file: ${inputHtmlPath}`, err);
         throw new Error(`File not found: ${inputHtmlPath}`);
         // No return needed
     }
 
-    const browser = await Browser.getInstance();
-    const page = await browser.newPage();
-    await page.setContent(content_before, { waitUntil: 'domcontentloaded' }); 
-
-    const mergedPdfBuffer = await generatePDF(page);
+    let mergedPdfBuffer;
+    try {
+        // Loaded in the network sandbox, once ready, like the HTTP routes do
+        const page = await generateHTML(content_before, { ...getRenderArguments(options), profile, debug });
+        mergedPdfBuffer = await generatePDF(page, { profile, annexes, metadata, watermark, signature, encryption, pdfa, debug });
+    } catch (err) {
+        if (debug) {
+            debug.addFile('error.json', { stage: debug.stage, message: err.message || String(err) });
+        }
+        throw err;
+    } finally {
+        if (debug) {
+            const debugPath = path.join(outputPath, reportName.replace(".pdf", "-debug.zip"));
+            fs.writeFileSync(debugPath, await debug.toZip());
+            log(`Debug bundle saved to: ${debugPath}`);
+        }
+    }
 
     try {
         // Write the final merged PDF to the specified output file
         const finalPdfPath = path.join(outputPath, reportName);
         fs.writeFileSync(finalPdfPath, mergedPdfBuffer);
-        console.log('Final merged PDF saved successfully:', finalPdfPath);
+        log(`Final merged PDF saved successfully: ${finalPdfPath}`);
     } catch (mergeErr) {
-        console.error("Error during PDF merging or saving:", mergeErr);
+        logError("Error during PDF merging or saving:", mergeErr);
         throw new Error(`PDF merging/saving failed: ${mergeErr.message}`);
+    }
+}
+
+
+/**
+ * Generates the Word version of the report from the command line, from the same *final* HTML as `createPDFFile`
+ * (named after the target DOCX).
+ * @returns {Promise<void>}
+ * @throws {Error} If file reading fails, the report type is unknown, or the export fails.
+ */
+async function createDOCXFile() {
+    const { args, options } = parseArguments();
+    const reportName = args[0]; // e.g., "final_report.docx"
+    const outputPath = args[1]; // e.g., "/path/to/output"
+    const profile = getProfile(args[2]); // e.g., "recensement", default profile if omitted
+
+    // Metadata overriding the one of the HTML, e.g. --title="Rapport annuel" --keywords=audit,2024
+    const metadata = {
+        title: options['title'],
+        author: options['author'],
+        subject: options['subject'],
+        keywords: options['keywords'],
+        language: options['language'],
+        creationDate: options['creation-date'],
+    };
+
+    const inputHtmlPath = path.join(outputPath, reportName.replace(".docx", ".html"));
+    let content;
+    try {
+        log(`Reading final HTML from: ${inputHtmlPath}`);
+        content = fs.readFileSync(inputHtmlPath, "utf8");
+    } catch (err) {
+        logError(`Failed to read final HTML file: ${inputHtmlPath}`, err);
+        throw new Error(`File not found: ${inputHtmlPath}`);
+    }
+
+    const page = await generateHTML(content, { ...getRenderArguments(options), profile });
+    try {
+        const docx = await generateDOCX(page, { profile, metadata });
+        const docxPath = path.join(outputPath, reportName);
+        fs.writeFileSync(docxPath, docx);
+        log(`Word document saved successfully: ${docxPath}`);
     } finally {
-        // Clean up temporary individual PDF files if they were saved (currently they are in memory)
-        // If options.path was used in the loop, uncomment the cleanup:
-        // pdfBuffers.forEach((_, i) => {
-        //     const tempPdfPath = path.join(outputPath, i + ".pdf");
-        //     try {
-        //         if (fs.existsSync(tempPdfPath)) {
-        //             fs.rmSync(tempPdfPath);
-        //             console.log(`Removed temporary file: ${tempPdfPath}`);
-        //         }
-        //     } catch (cleanupErr) {
-        //         console.warn(`Could not remove temporary file ${tempPdfPath}:`, cleanupErr);
-        //     }
-        // });
+        await page.close();
+    }
+}
+
+/**
+ * Verifies the signatures of a PDF file and prints the result as JSON.
+ * @returns {Promise<boolean>} Whether the document is signed and every signature is valid.
+ */
+async function verifyPDFFile() {
+    const { args } = parseArguments();
+    const pdfPath = args[0]; // e.g., "/path/to/final_report.pdf"
+    if (!pdfPath) {
+        throw new Error("Usage: node index.js verify <pdf_path>");
+    }
+
+    const result = verifyPDF(fs.readFileSync(pdfPath));
+    console.log(JSON.stringify(result, null, 2));
+    return result.valid;
+}
+
+/**
+ * Runs the PDF/A-2b self-check on a PDF file and prints the result as JSON.
+ * @returns {Promise<boolean>} Whether the document breaks none of the checked rules.
+ */
+async function checkPDFAFile() {
+    const { args } = parseArguments();
+    const pdfPath = args[0]; // e.g., "/path/to/final_report.pdf"
+    if (!pdfPath) {
+        throw new Error("Usage: node index.js check-pdfa <pdf_path>");
     }
+
+    const result = await checkPDFA(fs.readFileSync(pdfPath));
+    console.log(JSON.stringify(result, null, 2));
+    return result.conformant;
 }
 
+/**
+ * Runs the preflight checks on a report HTML file and prints the result as JSON.
+ * @returns {Promise<boolean>} Whether the HTML has no preflight error.
+ */
+async function preflightFile() {
+    const { args } = parseArguments();
+    const htmlPath = args[0]; // e.g., "/path/to/output/rapport.html"
+    if (!htmlPath) {
+        throw new Error("Usage: node index.js preflight <html_path> [report_type]");
+    }
+
+    const result = preflightReport(fs.readFileSync(htmlPath, "utf8"), getProfile(args[1]));
+    console.log(JSON.stringify(result, null, 2));
+    return result.valid;
+}
+
+/**
+ * Renders pages of a PDF file as images, written next to the PDF (or to the given directory) as
+ * `<pdf name>-page-01.png`..., or as a single `<pdf name>-pages.zip` archive with `--zip`.
+ * Options: `--format=png|jpeg`, `--dpi=96`, `--pages=1,3-5`, `--quality=85` (JPEG) and `--zip`.
+ * @returns {Promise<void>}
+ */
+async function exportPageImages() {
+    const { args, options } = parseArguments();
+    const pdfPath = args[0]; // e.g., "/path/to/final_report.pdf"
+    if (!pdfPath) {
+        throw new Error("Usage: node index.js images <pdf_path> [output_dir] [--format=png|jpeg] [--dpi=96] [--pages=1-3] [--quality=85] [--zip]");
+    }
+    const outputDir = args[1] || path.dirname(pdfPath);
+    const baseName = path.basename(pdfPath, path.extname(pdfPath));
+
+    const page = await Browser.newPage();
+    try {
+        const { pageCount, images } = await renderPageImages(page, fs.readFileSync(pdfPath), options);
+        log(`${images.length} pages sur ${pageCount} rendues en image.`);
+        if (options['zip'] === 'true') {
+            const zipPath = path.join(outputDir, `${baseName}-pages.zip`);
+            fs.writeFileSync(zipPath, await zipPageImages(images));
+            log(`Page images saved to: ${zipPath}`);
+        } else {
+            images.forEach(image => {
+                const imagePath = path.join(outputDir, `${baseName}-${image.name}`);
+                fs.writeFileSync(imagePath, image.content);
+                log(`Page image saved to: ${imagePath}`);
+            });
+        }
+    } finally {
+        await page.close();
+    }
+}
+
+/**
+ * Reads the command line after the action: the positional arguments and the `--name=value` options.
+ * @returns {Object} The positional `args` (output name, output path, report type) and the `options` by name.
+ */
+const parseArguments = () => {
+    const args = [];
+    const options = {};
+    process.argv.slice(3).forEach(arg => {
+        const option = /^--([\w-]+)(?:=(.*))?$/s.exec(arg);
+        if (option) {
+            options[option[1]] = option[2] === undefined ? 'true' : option[2];
+        } else {
+            args.push(arg);
+        }
+    });
+    return { args, options };
+};
+
+/**
+ * Returns the network policy and the readiness options of the command line, named after the query params of the
+ * HTTP routes, e.g. --network=allowlist --allow-hosts=cdn.example.com --javascript=false --wait-for=fonts
+ * --wait-selector=#charts --wait-timeout=5000. The defaults of the environment apply to the options left out.
+ * @param {Object} options - The options returned by `parseArguments`.
+ * @returns {Object} The `network` and `ready` options of `generateHTML`.
+ */
+const getRenderArguments = options => ({
+    network: { mode: options['network'], hosts: options['allow-hosts'], javascript: options['javascript'] },
+    ready: { conditions: options['wait-for'], selector: options['wait-selector'], timeout: options['wait-timeout'] },
+});
 
 /**
  * Main execution function.
@@ -661,7 +1667,13 @@ async function createPDFFile() {
 async function main() {
     // Check if enough arguments are provided (node script.js <action> ...)
     if (process.argv.length <= 2) {
-        console.log("Usage: node index.js <pdf|html> <output_name> <output_path> [report_type]");
+        // The usage, like the JSON results of preflight, verify and check-pdfa, is the output of the command, not a log
+        console.log("Usage: node index.js <pdf|html> <output_name> <output_path> [report_type] [--name=value options]");
+        console.log("       node index.js docx <output_name.docx> <output_path> [report_type] [--name=value options]");
+        console.log("       node index.js preflight <html_path> [report_type]");
+        console.log("       node index.js verify <pdf_path>");
+        console.log("       node index.js check-pdfa <pdf_path>");
+        console.log("       node index.js images <pdf_path> [output_dir] [--format=png|jpeg] [--dpi=96] [--pages=1-3] [--zip]");
         return; // Exit if no action specified
     }
 
@@ -674,10 +1686,10 @@ async function main() {
             try {
                 // Call the PDF generation function
                 await createPDFFile();
-                console.log('PDF generated successfully!');
+                log('PDF generated successfully!');
             } catch (err) {
                 // Log errors during PDF generation and exit with error code
-                console.error('Error generating PDF:', err.message || err);
+                logError('Error generating PDF:', err);
                 process.exit(1); // Exit with a non-zero code to indicate failure
             }
             break; // Exit switch statement
@@ -685,31 +1697,98 @@ async function main() {
             try {
                 // Call the HTML generation function (updates TOC)
                 await createHTMLFile();
-                console.log('HTML generated successfully!');
+                log('HTML generated successfully!');
             } catch (err) {
                 // Log errors during HTML generation and exit with error code
-                console.error('Error generating HTML:', err.message || err);
+                logError('Error generating HTML:', err);
                 process.exit(1); // Exit with a non-zero code to indicate failure
             }
             break; // Exit switch statement
+        case "docx":
+            try {
+                // Export the report as a Word document
+                await createDOCXFile();
+                log('DOCX generated successfully!');
+            } catch (err) {
+                logError('Error generating DOCX:', err);
+                process.exit(1);
+            }
+            break; // Exit switch statement
+        case "preflight":
+            try {
+                // Check a report HTML before rendering it
+                if (!await preflightFile()) {
+                    logError('The HTML fails the preflight checks.');
+                    process.exit(1);
+                }
+            } catch (err) {
+                logError('Error checking HTML:', err);
+                process.exit(1);
+            }
+            break; // Exit switch statement
+        case "verify":
+            try {
+                // Check the signatures of an existing PDF
+                if (!await verifyPDFFile()) {
+                    logError('The PDF is not signed or a signature is invalid.');
+                    process.exit(1);
+                }
+            } catch (err) {
+                logError('Error verifying PDF:', err);
+                process.exit(1);
+            }
+            break; // Exit switch statement
+        case "check-pdfa":
+            try {
+                // Check an existing PDF against the PDF/A-2b rules
+                if (!await checkPDFAFile()) {
+                    logError('The PDF breaks PDF/A-2b rules.');
+                    process.exit(1);
+                }
+            } catch (err) {
+                logError('Error checking PDF:', err);
+                process.exit(1);
+            }
+            break; // Exit switch statement
+        case "images":
+            try {
+                // Render pages of an existing PDF as images
+                await exportPageImages();
+            } catch (err) {
+                logError('Error rendering page images:', err);
+                process.exit(1);
+            }
+            break; // Exit switch statement
         default:
             // Handle unknown actions
-            console.error(`Unknown action: ${action}. Use 'pdf' or 'html'.`);
+            logError(`Unknown action: ${action}. Use 'pdf', 'html', 'docx', 'preflight', 'verify', 'check-pdfa' or 'images'.`);
     }
     process.exit(0);
 }
 
 // Execute the main function and catch any unhandled promise rejections or errors
 main().catch(err => {
-    console.error('Unhandled error in main execution:', err.message || err);
+    logError('Unhandled error in main execution:', err);
     process.exit(1); // Exit with a non-zero code
 });
 
 // Export functions and constants that might be used by other modules or for testing
 module.exports = {
+    Browser,              // Browser pool (limits can be set with Browser.configure)
+    RenderQueueFullError, // Thrown when the render queue is full
+    UnknownProfileError,  // Thrown for a report type without layout profile
+    getProfile,           // Layout profile of a report type
     updateTableOfContent, // Function to update TOC (potentially for testing)
     createHTMLFile,
     createPDFFile,
+    createDOCXFile,
+    preflightFile,
+    verifyPDFFile,
+    checkPDFAFile,
+    exportPageImages,
     generateHTML,         // Main HTML generation function
-    generatePDF          // Main PDF generation function (added for completeness, though not in original exports)
+    generatePDF,         // Main PDF generation function (added for completeness, though not in original exports)
+    generateDOCX,        // Word export of the report
+    PDF_STAGES,          // Stages reported by generatePDF
+    log,                 // Structured logging (see logging.js)
 };
\ No newline at end of file
@@ -0,0 +1,319 @@
+// Render jobs: a report is queued, rendered in the background, polled with GET /jobs/:id and its result downloaded
+// with GET /jobs/:id/result, or announced to a callback URL (see app.js).
+// The jobs are only kept in the memory of the process that took them: their state and their result are lost when
+// it restarts, and the results stored in JOBS_DIR are no longer served. With several instances, a job is only
+// known by the instance that took it.
+
+// Import necessary modules
+const fs = require('fs'); // File system module for storing the job results
+const os = require('os'); // Used for the default storage directory
+const path = require('path'); // Module for handling file and directory paths
+const crypto = require('crypto'); // Used to generate the job ids
+const https = require('https'); // Posts the callbacks to the address checked
+const { generateHTML, generatePDF, PDF_STAGES, log } = require('./index');
+const { getPageSandbox, normalizeHost, matchesHost, resolveReachableHost } = require('./network');
+const { withLogContext, logError } = require('./logging');
+
+// Directory where the job results are stored, and how long they are kept.
+const JOBS_DIR = process.env.JOBS_DIR || path.join(os.tmpdir(), 'report-jobs');
+const JOBS_TTL = Number(process.env.JOBS_TTL) || 60 * 60 * 1000; // 1 hour
+const CLEANUP_INTERVAL = 5 * 60 * 1000;
+const CALLBACK_TIMEOUT = 10 * 1000;
+
+// Hosts the job callbacks may be sent to (comma separated, "*.example.com" for the subdomains of example.com).
+// No callback is accepted when empty.
+const CALLBACK_HOSTS = (process.env.JOBS_CALLBACK_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+
+// Stages reported for each kind of job
+const JOB_STAGES = {
+    pdf: ['html', ...PDF_STAGES],
+    html: ['html'],
+};
+
+// Known jobs by id, lost on restart (see above).
+const jobs = new Map();
+
+/**
+ * Error thrown when the callback URL of a job is refused.
+ */
+class InvalidCallbackUrlError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidCallbackUrlError';
+    }
+}
+
+/**
+ * Checks the callback URL of a job and resolves its host: an https URL whose host is listed in
+ * JOBS_CALLBACK_HOSTS and does not resolve to a private, loopback or link-local address.
+ * @param {string} value - The callback URL.
+ * @returns {Promise<Object>} The parsed `url` and the `{ address, family }` checked, to connect to.
+ * @throws {InvalidCallbackUrlError} If the URL is refused.
+ */
+async function resolveCallbackTarget(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        throw new InvalidCallbackUrlError(`Invalid callback URL: ${value}.`);
+    }
+    if (url.protocol !== 'https:') {
+        throw new InvalidCallbackUrlError(`The callback URL must use https: ${value}.`);
+    }
+    const host = normalizeHost(url.hostname);
+    if (!CALLBACK_HOSTS.some(entry => matchesHost(host, entry))) {
+        throw new InvalidCallbackUrlError(`Callback host not allowed: ${host}. Allowed hosts: ${CALLBACK_HOSTS.join(', ') || 'none'}.`);
+    }
+    const target = await resolveReachableHost(host, { allowPrivate: false });
+    if (!target) {
+        throw new InvalidCallbackUrlError(`Callback host unreachable or private: ${host}.`);
+    }
+    return { url, ...target };
+}
+
+/**
+ * Checks the callback URL of a job (see `resolveCallbackTarget`).
+ * @param {string} [value] - The callback URL.
+ * @returns {Promise<string|null>} The URL, or null when there is none.
+ * @throws {InvalidCallbackUrlError} If the URL is refused.
+ */
+async function resolveCallbackUrl(value) {
+    return value ? (await resolveCallbackTarget(value)).url.href : null;
+}
+
+/**
+ * Posts a JSON body to a callback URL, connecting to the address its host was checked with rather than resolving
+ * it again. Redirects are not followed, they could lead anywhere.
+ * @param {Object} target - The `url`, `address` and `family` returned by `resolveCallbackTarget`.
+ * @param {Object} body - The body to send.
+ * @returns {Promise<number>} The HTTP status of the answer.
+ */
+function postCallback({ url, address, family }, body) {
+    return new Promise((resolve, reject) => {
+        const request = https.request(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            timeout: CALLBACK_TIMEOUT,
+            lookup: (hostname, options, callback) => options.all
+                ? callback(null, [{ address, family }])
+                : callback(null, address, family),
+        }, response => {
+            response.resume();
+            resolve(response.statusCode);
+        });
+        request.on('timeout', () => request.destroy(new Error('Callback timed out.')));
+        request.on('error', reject);
+        request.end(JSON.stringify(body));
+    });
+}
+
+/**
+ * Returns the public view of a job, as sent to the callers.
+ * @param {Object} job - The job.
+ * @returns {Object} The id, status, progress and error of the job.
+ */
+const describeJob = job => ({
+    id: job.id,
+    type: job.type,
+    status: job.status, // queued, running, done or failed
+    progress: {
+        stage: job.stage,
+        detail: job.stageDetail, // Page group being rendered, for the 'parts' stage
+        step: job.step,
+        steps: job.stages.length,
+        percent: job.status === 'done' ? 100 : Math.round(100 * Math.max(job.step - 1, 0) / job.stages.length),
+    },
+    error: job.error,
+    blockedRequests: job.blockedRequests, // Requests blocked by the network policy
+    missingAssets: job.missingAssets, // Assets the bundle of the report could not serve
+    pdfaViolations: job.pdfaViolations, // PDF/A-2b rules broken by the result, for PDF/A jobs
+    renderPasses: job.renderPasses, // Chromium render passes of the result, for PDF jobs
+    createdAt: new Date(job.createdAt).toISOString(),
+    expiresAt: new Date(job.createdAt + JOBS_TTL).toISOString(),
+});
+
+/**
+ * Notifies the callback URL of a job that it is finished.
+ * Failures are only logged, the result stays available through polling.
+ * @param {Object} job - The finished job.
+ * @returns {Promise<void>}
+ */
+async function notifyCallback(job) {
+    if (!job.callbackUrl) {
+        return;
+    }
+    try {
+        // Checked again, the host may resolve to another address since the submission
+        const target = await resolveCallbackTarget(job.callbackUrl);
+        const status = await postCallback(target, { ...describeJob(job), resultUrl: `/jobs/${job.id}/result` });
+        log(`Callback du job ${job.id} notifié (${status}).`);
+    } catch (err) {
+        logError(`Callback of job ${job.id} failed:`, err);
+    }
+}
+
+/**
+ * Runs a job through the same pipeline as the synchronous routes and stores its result on disk.
+ * @param {Object} job - The job to run.
+ * @param {string|AssetBundle} htmlPage - The report HTML, or its asset bundle.
+ * @returns {Promise<void>}
+ */
+async function runJob(job, htmlPage) {
+    const onProgress = (stage, detail) => {
+        job.status = 'running';
+        job.stage = stage;
+        job.stageDetail = detail || null;
+        job.step = job.stages.indexOf(stage) + 1;
+    };
+
+    const onConformance = conformance => {
+        job.pdfaViolations = conformance.violations;
+    };
+
+    const onRenderStats = stats => {
+        job.renderPasses = stats.passes;
+    };
+
+    let html;
+    try {
+        onProgress('html');
+        html = await generateHTML(htmlPage, { network: job.network, ready: job.ready, profile: job.profile });
+        const result = job.type === 'pdf' ? await generatePDF(html, { onProgress, profile: job.profile, annexes: job.annexes, metadata: job.metadata, watermark: job.watermark, signature: job.signature, encryption: job.encryption, pdfa: job.pdfa, onConformance, onRenderStats }) : await html.content();
+
+        await fs.promises.mkdir(JOBS_DIR, { recursive: true });
+        await fs.promises.writeFile(job.resultPath, result);
+        job.status = 'done';
+        log(`Job ${job.id} terminé.`);
+    } catch (err) {
+        logError(`Job ${job.id} failed:`, err);
+        job.status = 'failed';
+        job.error = err.message || String(err);
+    } finally {
+        if (html) {
+            Object.assign(job, getPageSandbox(html).getDiagnostics());
+        }
+        // Closing the page frees its render slot
+        if (html && !html.isClosed()) await html.close().catch(() => {});
+    }
+
+    await notifyCallback(job);
+}
+
+/**
+ * Creates a render job and starts it in the background.
+ * @param {string|AssetBundle} htmlPage - The report HTML, or its asset bundle.
+ * @param {Object} options
+ * @param {string} [options.type] - The expected result, 'pdf' (default) or 'html'.
+ * @param {string} [options.callbackUrl] - URL notified with a POST when the job is finished, checked by
+ *   `resolveCallbackUrl`.
+ * @param {Object} [options.profile] - The layout profile of the report type.
+ * @param {Object} [options.network] - The network policy options (see network.js).
+ * @param {Object} [options.ready] - The readiness options (see readiness.js).
+ * @param {Object[]} [options.annexes] - The PDF annexes of a PDF job (see annexes.js).
+ * @param {Object} [options.metadata] - The metadata overrides of a PDF job (see metadata.js).
+ * @param {Object} [options.watermark] - The watermark options of a PDF job (see watermark.js).
+ * @param {Object} [options.signature] - The signature options of a PDF job (see signature.js).
+ * @param {Object} [options.encryption] - The encryption options of a PDF job (see encryption.js).
+ * @param {boolean} [options.pdfa] - Whether a PDF job produces a PDF/A-2b document (see pdfa.js).
+ * @returns {Object} The public view of the job (see `describeJob`).
+ * @throws {Error} If the type is unknown.
+ */
+function submitJob(htmlPage, options = {}) {
+    const type = options.type || 'pdf';
+    if (!JOB_STAGES[type]) {
+        throw new Error(`Unknown job type: ${type}. Use 'pdf' or 'html'.`);
+    }
+
+    const id = crypto.randomUUID();
+    const job = {
+        id,
+        type,
+        status: 'queued',
+        stages: JOB_STAGES[type],
+        stage: null,
+        stageDetail: null,
+        step: 0,
+        error: null,
+        blockedRequests: [],
+        missingAssets: [],
+        callbackUrl: options.callbackUrl || null,
+        profile: options.profile,
+        network: options.network,
+        ready: options.ready,
+        annexes: options.annexes,
+        metadata: options.metadata,
+        watermark: options.watermark,
+        signature: options.signature,
+        encryption: options.encryption,
+        pdfa: Boolean(options.pdfa),
+        pdfaViolations: [],
+        renderPasses: null,
+        createdAt: Date.now(),
+        resultPath: path.join(JOBS_DIR, `${id}.${type}`),
+    };
+    jobs.set(id, job);
+
+    // The job logs carry its id, along with the id of the request that submitted it
+    withLogContext({ jobId: job.id }, () => runJob(job, htmlPage));
+    return describeJob(job);
+}
+
+/**
+ * @param {string} id - The job id.
+ * @returns {Object|null} The public view of the job, or null if it is unknown or expired.
+ */
+function getJob(id) {
+    const job = jobs.get(id);
+    return job ? describeJob(job) : null;
+}
+
+/**
+ * @param {string} id - The job id.
+ * @returns {Object|null} The `path` and `contentType` of the result, or null if the job is unknown or not done.
+ */
+function getJobResult(id) {
+    const job = jobs.get(id);
+    if (!job || job.status !== 'done') {
+        return null;
+    }
+    return {
+        path: job.resultPath,
+        contentType: job.type === 'pdf' ? 'application/pdf' : 'text/html',
+    };
+}
+
+/**
+ * Removes the jobs older than the TTL along with their result, and stray result files left by a previous run.
+ * Running jobs are kept until they finish.
+ */
+function cleanupJobs() {
+    const expiry = Date.now() - JOBS_TTL;
+    for (const [id, job] of jobs) {
+        if (job.createdAt < expiry && (job.status === 'done' || job.status === 'failed')) {
+            jobs.delete(id);
+            fs.rm(job.resultPath, { force: true }, () => {});
+        }
+    }
+
+    fs.readdir(JOBS_DIR, (err, files) => {
+        if (err) {
+            return;
+        }
+        files.forEach(file => {
+            const id = path.parse(file).name;
+            if (!jobs.has(id)) {
+                fs.rm(path.join(JOBS_DIR, file), { force: true }, () => {});
+            }
+        });
+    });
+}
+
+setInterval(cleanupJobs, CLEANUP_INTERVAL).unref();
+
+module.exports = {
+    InvalidCallbackUrlError,
+    resolveCallbackUrl,
+    submitJob,
+    getJob,
+    getJobResult,
+};
@@ -0,0 +1,220 @@
+// Import necessary modules
+const { PDFName, PDFDict, PDFArray, PDFRef, PDFString, PDFHexString } = require('pdf-lib'); // Low-level PDF objects used to read and rewrite links
+
+/**
+ * Decodes the name of a destination, whether it is written as a PDF name or as a PDF string.
+ * @param {PDFObject} object - The name or string object.
+ * @returns {string|null} The decoded name, or null when the object is neither.
+ */
+const getDestinationName = object => {
+    if (object instanceof PDFName || object instanceof PDFString || object instanceof PDFHexString) {
+        return object.decodeText();
+    }
+    return null;
+};
+
+/**
+ * Returns the destination an internal link points at: the /Dest of the annotation, or the /D of its GoTo action.
+ * @param {PDFDict} annot - The annotation dictionary.
+ * @returns {PDFObject|null} The destination, null for the other annotations and the external links.
+ */
+const getLinkTarget = annot => {
+    if (annot.get(PDFName.of('Subtype')) !== PDFName.of('Link')) {
+        return null;
+    }
+    const action = annot.lookupMaybe(PDFName.of('A'), PDFDict);
+    const isGoTo = action && action.get(PDFName.of('S')) === PDFName.of('GoTo');
+    return annot.get(PDFName.of('Dest')) || (isGoTo ? action.get(PDFName.of('D')) : null) || null;
+};
+
+/**
+ * Reads the named destinations of a document, resolved to the index of the page they land on.
+ * Both the catalog `/Dests` dictionary (written by Chromium) and the `/Names` `/Dests` name tree are read.
+ * @param {PDFDocument} pdfDoc - The pdf-lib document.
+ * @returns {Map<string, Object>} The `{ pageIndex, view }` location of each destination, `view` being
+ * the destination array without its page (e.g. [/XYZ, x, y, zoom]).
+ */
+function getNamedDestinations(pdfDoc) {
+    const context = pdfDoc.context;
+    const pageIndices = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+    const destinations = new Map();
+
+    const addDestination = (name, object) => {
+        let destination = context.lookup(object);
+        // A destination may be wrapped in a dictionary holding it under /D
+        if (destination instanceof PDFDict) {
+            destination = destination.lookup(PDFName.of('D'));
+        }
+        if (!(destination instanceof PDFArray) || destination.size() === 0) {
+            return;
+        }
+
+        const pageRef = destination.get(0);
+        const pageIndex = pageRef instanceof PDFRef ? pageIndices.get(pageRef.toString()) : undefined;
+        if (name !== null && pageIndex !== undefined) {
+            destinations.set(name, { pageIndex, view: destination.asArray().slice(1) });
+        }
+    };
+
+    const dests = pdfDoc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    if (dests) {
+        for (const [key, value] of dests.entries()) {
+            addDestination(getDestinationName(key), value);
+        }
+    }
+
+    const readNameTree = node => {
+        const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+        if (names) {
+            for (let i = 0; i + 1 < names.size(); i += 2) {
+                addDestination(getDestinationName(names.lookup(i)), names.get(i + 1));
+            }
+        }
+        const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+        if (kids) {
+            kids.asArray().forEach(kid => readNameTree(context.lookup(kid, PDFDict)));
+        }
+    };
+
+    const nameDictionary = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    const destsTree = nameDictionary && nameDictionary.lookupMaybe(PDFName.of('Dests'), PDFDict);
+    if (destsTree) {
+        readNameTree(destsTree);
+    }
+
+    return destinations;
+}
+
+/**
+ * Rewrites the internal links of a merged document so that they point at the right pages.
+ * The named destinations are written again in the catalog `/Dests` dictionary with references to the
+ * pages of the merged document, and each internal link annotation gets an explicit destination.
+ * Internal links whose target is not part of the merged document are removed rather than left dangling.
+ * External links (URI actions) are left untouched.
+ * @param {PDFDocument} pdfDoc - The merged pdf-lib document.
+ * @param {Map<string, Object>} destinations - The `{ pageIndex, view }` location of each named destination
+ * in the merged document.
+ * @returns {Object} The number of `remapped` and `removed` internal links.
+ */
+function remapLinks(pdfDoc, destinations) {
+    const context = pdfDoc.context;
+    const pages = pdfDoc.getPages();
+    const pageRefs = new Set(pages.map(page => page.ref.toString()));
+    const stats = { remapped: 0, removed: 0 };
+
+    const makeDestination = ({ pageIndex, view }) => context.obj([pages[pageIndex].ref, ...view]);
+
+    // Write the named destinations again, with references to the pages of the merged document
+    const dests = context.obj({});
+    for (const [name, location] of destinations.entries()) {
+        dests.set(PDFName.of(name), makeDestination(location));
+    }
+    pdfDoc.catalog.set(PDFName.of('Dests'), context.register(dests));
+    const nameDictionary = pdfDoc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    if (nameDictionary) {
+        nameDictionary.delete(PDFName.of('Dests'));
+    }
+
+    // Returns the explicit destination a link should point at, or null if it cannot be resolved
+    const resolveDestination = object => {
+        const destination = context.lookup(object);
+        if (destination instanceof PDFArray) {
+            const pageRef = destination.get(0);
+            return pageRef instanceof PDFRef && pageRefs.has(pageRef.toString()) ? destination : null;
+        }
+        const location = destinations.get(getDestinationName(destination));
+        return location ? makeDestination(location) : null;
+    };
+
+    pages.forEach(page => {
+        const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+        if (!annots) {
+            return;
+        }
+
+        for (let i = annots.size() - 1; i >= 0; i--) {
+            const annot = annots.lookupMaybe(i, PDFDict);
+            const target = annot && getLinkTarget(annot);
+            if (!target) {
+                continue; // External link or other action
+            }
+
+            const destination = resolveDestination(target);
+            if (destination) {
+                annot.delete(PDFName.of('A'));
+                annot.set(PDFName.of('Dest'), destination);
+                stats.remapped++;
+            } else {
+                annots.remove(i);
+                stats.removed++;
+            }
+        }
+    });
+
+    return stats;
+}
+
+/**
+ * Reads the page each internal link of a document lands on, for the links to keep their target once the pages are
+ * copied into another document (see `setLinkTargets`): pdf-lib copies the page a link points at along with the
+ * link, as a page out of the page tree, so that the copied link leads nowhere.
+ * @param {PDFDocument} pdfDoc - The pdf-lib document, before its pages are copied.
+ * @returns {Array<Map<number, Object>>} For each page, the `{ pageIndex, view }` location of its internal links by
+ * index in its annotations. The links whose target is not in the document are left out.
+ */
+function getLinkTargets(pdfDoc) {
+    const context = pdfDoc.context;
+    const pageIndices = new Map(pdfDoc.getPages().map((page, index) => [page.ref.toString(), index]));
+    const destinations = getNamedDestinations(pdfDoc);
+
+    return pdfDoc.getPages().map(page => {
+        const targets = new Map();
+        const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+        for (let i = 0; annots && i < annots.size(); i++) {
+            const annot = annots.lookupMaybe(i, PDFDict);
+            const target = annot && context.lookup(getLinkTarget(annot));
+            if (target instanceof PDFArray) {
+                const pageRef = target.get(0);
+                const pageIndex = pageRef instanceof PDFRef ? pageIndices.get(pageRef.toString()) : undefined;
+                if (pageIndex !== undefined) {
+                    targets.set(i, { pageIndex, view: target.asArray().slice(1) });
+                }
+            } else if (target) {
+                const location = destinations.get(getDestinationName(target));
+                if (location) {
+                    targets.set(i, location);
+                }
+            }
+        }
+        return targets;
+    });
+}
+
+/**
+ * Points the internal links of copied pages at the pages of the document they were copied into, with explicit
+ * destinations. The links without a target are left for `remapLinks` to remove.
+ * @param {PDFDocument} pdfDoc - The document the pages were copied into.
+ * @param {PDFPage[]} copiedPages - The copied pages, in the order of their source document.
+ * @param {Array<Map<number, Object>>} targets - The targets of the links of the source pages (see `getLinkTargets`).
+ * @param {number} offset - The index in `pdfDoc` of the first page of the source document.
+ */
+function setLinkTargets(pdfDoc, copiedPages, targets, offset) {
+    const pages = pdfDoc.getPages();
+    copiedPages.forEach((page, i) => {
+        const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+        targets[i].forEach(({ pageIndex, view }, index) => {
+            const annot = annots && annots.lookupMaybe(index, PDFDict);
+            if (annot && pages[offset + pageIndex]) {
+                annot.delete(PDFName.of('A'));
+                annot.set(PDFName.of('Dest'), pdfDoc.context.obj([pages[offset + pageIndex].ref, ...view]));
+            }
+        });
+    });
+}
+
+module.exports = {
+    getNamedDestinations,
+    remapLinks,
+    getLinkTargets,
+    setLinkTargets,
+};
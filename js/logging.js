@@ -0,0 +1,90 @@
+// Structured logs: one JSON object per line, read by Cloud Logging (`severity` and `message` are its standard
+// fields). Every line carries the context of the work being done, kept across the awaits of a request:
+//   requestId     the id of the HTTP request (X-Request-Id), see app.js
+//   jobId         the id of the render job, see jobs.js
+//   stage         the render stage: 'html', then the stages of generatePDF (see PDF_STAGES in index.js)
+// LOG_FORMAT=text prints the former "date - message" lines instead, easier to read when running the CLI.
+
+// Import necessary modules
+const { AsyncLocalStorage } = require('async_hooks'); // Context of the current request, across awaits
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Runs a function with more log context, added to the one of the caller.
+ * @param {Object} context - The context fields (`requestId`, `jobId`...).
+ * @param {Function} fn
+ * @returns {*} The result of the function.
+ */
+function withLogContext(context, fn) {
+    return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Sets fields of the current log context (the render stage...). Does nothing outside of a context.
+ * @param {Object} fields
+ */
+function setLogContext(fields) {
+    const context = contextStorage.getStore();
+    if (context) {
+        Object.assign(context, fields);
+    }
+}
+
+/**
+ * Returns the current log context.
+ * @returns {Object}
+ */
+function getLogContext() {
+    return contextStorage.getStore() || {};
+}
+
+/**
+ * Writes a log line.
+ * @param {string} severity - 'INFO' or 'ERROR'.
+ * @param {string} message
+ * @param {Object} [fields] - Other fields of the line.
+ */
+function write(severity, message, fields = {}) {
+    const line = process.env.LOG_FORMAT === 'text'
+        ? `${new Date().toUTCString()} - ${message}`
+        : JSON.stringify({ severity, time: new Date().toISOString(), message, ...getLogContext(), ...fields });
+    if (severity === 'ERROR') {
+        console.error(line);
+    } else {
+        console.log(line);
+    }
+}
+
+/**
+ * Logs an information.
+ * @param {string} message
+ * @param {Object} [fields] - Other fields of the line.
+ */
+function log(message, fields) {
+    write('INFO', message, fields);
+}
+
+/**
+ * Logs an error, along with its stack.
+ * @param {string} message
+ * @param {Error} [error]
+ * @param {Object} [fields] - Other fields of the line.
+ */
+function logError(message, error, fields = {}) {
+    if (error && process.env.LOG_FORMAT === 'text') {
+        return write('ERROR', `${message} ${error.stack || error}`);
+    }
+    write('ERROR', error ? `${message} ${error.message || error}` : message, {
+        ...fields,
+        ...(error && error.stack ? { stack: error.stack } : {}),
+    });
+}
+
+module.exports = {
+    withLogContext,
+    setLogContext,
+    getLogContext,
+    log,
+    logError,
+};
@@ -0,0 +1,186 @@
+// Document metadata of the final PDF, read from the report HTML and written to both the Info dictionary and the
+// XMP metadata stream, so that the document management system can index the reports:
+//   title           <title>
+//   language        <html lang="fr">
+//   author          <meta name="author">
+//   subject         <meta name="description"> (or "subject")
+//   keywords        <meta name="keywords">, comma separated
+//   creationDate    <meta name="date"> (or "dcterms.created"), an ISO 8601 date, the generation date by default
+// Every value may be overridden by the request.
+
+// Import necessary modules
+const { PDFName } = require('pdf-lib'); // Catalog entry of the XMP stream
+const { name: packageName, version: packageVersion } = require('../package.json');
+
+const METADATA_FIELDS = ['title', 'language', 'author', 'subject', 'keywords', 'creationDate'];
+
+// Application creating the documents, written as their creator tool
+const CREATOR = `${packageName} ${packageVersion}`;
+const PRODUCER = 'pdf-lib (https://github.com/Hopding/pdf-lib)';
+
+/**
+ * Error thrown when a metadata override is invalid.
+ */
+class InvalidMetadataError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidMetadataError';
+    }
+}
+
+/**
+ * Reads the metadata declared in the HTML of a page.
+ * @param {puppeteer.Page} page - The page holding the report HTML.
+ * @returns {Promise<Object>} The metadata found (see the top of this file), missing values being null.
+ */
+async function readDocumentMetadata(page) {
+    return page.evaluate(() => {
+        const meta = (...names) => {
+            for (const name of names) {
+                const element = document.querySelector(`meta[name="${name}" i]`);
+                if (element && element.content.trim()) {
+                    return element.content.trim();
+                }
+            }
+            return null;
+        };
+        return {
+            title: document.title.trim() || null,
+            language: document.documentElement.lang || null,
+            author: meta('author', 'dcterms.creator'),
+            subject: meta('description', 'subject', 'dcterms.description'),
+            keywords: meta('keywords'),
+            creationDate: meta('date', 'dcterms.created'),
+        };
+    });
+}
+
+/**
+ * Merges the metadata of the HTML with the overrides of the request, and checks them.
+ * @param {Object} htmlMetadata - The metadata read from the HTML (see `readDocumentMetadata`).
+ * @param {Object} [overrides] - The values given by the request, taking precedence.
+ * @returns {Object} The metadata, `keywords` being an array and `creationDate` a Date.
+ * @throws {InvalidMetadataError} If a field is unknown or the creation date cannot be read.
+ */
+function resolveMetadata(htmlMetadata = {}, overrides = {}) {
+    const unknown = Object.keys(overrides).find(field => !METADATA_FIELDS.includes(field));
+    if (unknown) {
+        throw new InvalidMetadataError(`Unknown metadata: ${unknown}. Use ${METADATA_FIELDS.join(', ')}.`);
+    }
+
+    const value = field => (overrides[field] !== undefined && overrides[field] !== '' ? overrides[field] : htmlMetadata[field]) || null;
+    const keywords = value('keywords');
+    const creationDate = value('creationDate') ? new Date(value('creationDate')) : new Date();
+    if (Number.isNaN(creationDate.getTime())) {
+        throw new InvalidMetadataError(`Invalid creation date: ${value('creationDate')}. Use an ISO 8601 date.`);
+    }
+
+    return {
+        title: value('title'),
+        language: value('language'),
+        author: value('author'),
+        subject: value('subject'),
+        keywords: Array.isArray(keywords) ? keywords : (keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean),
+        creationDate,
+    };
+}
+
+/**
+ * Escapes a value for XML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXml = text => String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Formats a date for XMP, to the second like the dates of the Info dictionary.
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatXmpDate = date => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+/**
+ * Builds the XMP packet of the metadata.
+ * @param {Object} metadata - See `resolveMetadata`.
+ * @param {Date} modificationDate
+ * @param {string} [extraProperties] - Additional rdf:Description elements (e.g. the PDF/A identification).
+ * @returns {string}
+ */
+function buildXmp(metadata, modificationDate, extraProperties = '') {
+    const altText = text => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(text)}</rdf:li></rdf:Alt>`;
+    const dublinCore = [
+        '<dc:format>application/pdf</dc:format>',
+        metadata.title && `<dc:title>${altText(metadata.title)}</dc:title>`,
+        metadata.author && `<dc:creator><rdf:Seq><rdf:li>${escapeXml(metadata.author)}</rdf:li></rdf:Seq></dc:creator>`,
+        metadata.subject && `<dc:description>${altText(metadata.subject)}</dc:description>`,
+        metadata.keywords.length > 0 && `<dc:subject><rdf:Bag>${metadata.keywords.map(keyword => `<rdf:li>${escapeXml(keyword)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`,
+        metadata.language && `<dc:language><rdf:Bag><rdf:li>${escapeXml(metadata.language)}</rdf:li></rdf:Bag></dc:language>`,
+    ].filter(Boolean).join('\n      ');
+
+    return `<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+  <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+    <rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+      ${dublinCore}
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+      <xmp:CreatorTool>${escapeXml(CREATOR)}</xmp:CreatorTool>
+      <xmp:CreateDate>${formatXmpDate(metadata.creationDate)}</xmp:CreateDate>
+      <xmp:ModifyDate>${formatXmpDate(modificationDate)}</xmp:ModifyDate>
+      <xmp:MetadataDate>${formatXmpDate(modificationDate)}</xmp:MetadataDate>
+    </rdf:Description>
+    <rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+      <pdf:Producer>${escapeXml(PRODUCER)}</pdf:Producer>${metadata.keywords.length > 0 ? `
+      <pdf:Keywords>${escapeXml(metadata.keywords.join(', '))}</pdf:Keywords>` : ''}
+    </rdf:Description>${extraProperties}
+  </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
+
+/**
+ * Writes the metadata to the Info dictionary, the XMP metadata stream and the language of a document.
+ * It must be applied on the final merged document, the metadata of the rendered parts is not copied.
+ * @param {PDFDocument} pdfDoc - The merged pdf-lib document.
+ * @param {Object} metadata - See `resolveMetadata`.
+ * @param {Object} [options]
+ * @param {string} [options.xmpProperties] - Additional rdf:Description elements of the XMP packet.
+ */
+function applyMetadata(pdfDoc, metadata, options = {}) {
+    const modificationDate = new Date();
+
+    if (metadata.title) {
+        pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+    }
+    if (metadata.author) {
+        pdfDoc.setAuthor(metadata.author);
+    }
+    if (metadata.subject) {
+        pdfDoc.setSubject(metadata.subject);
+    }
+    if (metadata.keywords.length > 0) {
+        pdfDoc.setKeywords([metadata.keywords.join(', ')]);
+    }
+    if (metadata.language) {
+        pdfDoc.setLanguage(metadata.language);
+    }
+    pdfDoc.setCreator(CREATOR);
+    pdfDoc.setProducer(PRODUCER);
+    pdfDoc.setCreationDate(metadata.creationDate);
+    pdfDoc.setModificationDate(modificationDate);
+
+    // The XMP packet is stored uncompressed and UTF-8 encoded, so that indexers can read it without parsing the PDF
+    const xmp = pdfDoc.context.stream(Buffer.from(buildXmp(metadata, modificationDate, options.xmpProperties), 'utf8'), {
+        Type: 'Metadata',
+        Subtype: 'XML',
+    });
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(xmp));
+}
+
+module.exports = {
+    METADATA_FIELDS,
+    InvalidMetadataError,
+    readDocumentMetadata,
+    resolveMetadata,
+    applyMetadata,
+};
@@ -0,0 +1,156 @@
+// Prometheus metrics of the service, served by the /metrics route of app.js:
+//   report_renders_total{format,outcome}               documents rendered ('pdf', 'docx'), 'success' or 'error'
+//   report_render_stage_duration_seconds{stage}        duration of each render stage ('html', then PDF_STAGES)
+//   report_render_duration_seconds{format}             duration of a whole render, from the HTML to the document
+//   report_render_pages                                page count of the PDF documents
+//   report_render_passes                               Chromium render passes of the PDF documents
+//   report_output_bytes{format}                        size of the documents
+//   report_render_queue_depth                          renders waiting for a slot of the browser pool
+//   report_render_active                               renders holding a slot
+//   report_chromium_restarts_total{reason}             Chromium relaunches: 'unhealthy', 'disconnected', 'recycled'
+//   report_http_requests_total{route,status}           answered HTTP requests
+//   report_http_request_duration_seconds{route}        duration of the HTTP requests
+// along with the default Node.js process metrics.
+
+// Import necessary modules
+const client = require('prom-client'); // Prometheus metric types and text format
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// From 100 ms to about 7 minutes
+const DURATION_BUCKETS = client.exponentialBuckets(0.1, 2, 13);
+
+const renders = new client.Counter({
+    name: 'report_renders_total',
+    help: 'Documents rendered, by format and outcome.',
+    labelNames: ['format', 'outcome'],
+    registers: [registry],
+});
+
+const stageDuration = new client.Histogram({
+    name: 'report_render_stage_duration_seconds',
+    help: 'Duration of the render stages.',
+    labelNames: ['stage'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+});
+
+const renderDuration = new client.Histogram({
+    name: 'report_render_duration_seconds',
+    help: 'Duration of the renders, from the loaded HTML to the document.',
+    labelNames: ['format'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+});
+
+const pageCount = new client.Histogram({
+    name: 'report_render_pages',
+    help: 'Page count of the rendered PDF documents.',
+    buckets: [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000],
+    registers: [registry],
+});
+
+const renderPasses = new client.Histogram({
+    name: 'report_render_passes',
+    help: 'Chromium render passes of the PDF documents.',
+    buckets: [1, 2, 3, 4],
+    registers: [registry],
+});
+
+const outputSize = new client.Histogram({
+    name: 'report_output_bytes',
+    help: 'Size of the rendered documents.',
+    labelNames: ['format'],
+    buckets: client.exponentialBuckets(16 * 1024, 4, 9), // From 16 kB to 1 GB
+    registers: [registry],
+});
+
+const queueDepth = new client.Gauge({
+    name: 'report_render_queue_depth',
+    help: 'Renders waiting for a slot of the browser pool.',
+    registers: [registry],
+});
+
+const activeRenders = new client.Gauge({
+    name: 'report_render_active',
+    help: 'Renders holding a slot of the browser pool.',
+    registers: [registry],
+});
+
+const chromiumRestarts = new client.Counter({
+    name: 'report_chromium_restarts_total',
+    help: 'Chromium relaunches, by reason.',
+    labelNames: ['reason'],
+    registers: [registry],
+});
+
+const httpRequests = new client.Counter({
+    name: 'report_http_requests_total',
+    help: 'Answered HTTP requests, by route and status.',
+    labelNames: ['route', 'status'],
+    registers: [registry],
+});
+
+const httpDuration = new client.Histogram({
+    name: 'report_http_request_duration_seconds',
+    help: 'Duration of the HTTP requests, by route.',
+    labelNames: ['route'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry],
+});
+
+/**
+ * Times the stages of a render: each call ends the current stage and starts the next one.
+ * @returns {Function} Called with the name of the stage starting, or with nothing once the last one is done.
+ */
+function createStageTimer() {
+    let endStage = null;
+    return stage => {
+        if (endStage) {
+            endStage();
+        }
+        endStage = stage ? stageDuration.startTimer({ stage }) : null;
+    };
+}
+
+/**
+ * Records a rendered document.
+ * @param {string} format - 'pdf' or 'docx'.
+ * @param {Object} result
+ * @param {number} result.seconds - The render duration.
+ * @param {number} result.bytes - The document size.
+ * @param {number} [result.pages] - The page count of a PDF.
+ * @param {number} [result.passes] - The render passes of a PDF.
+ */
+function recordRender(format, { seconds, bytes, pages, passes }) {
+    renders.inc({ format, outcome: 'success' });
+    renderDuration.observe({ format }, seconds);
+    outputSize.observe({ format }, bytes);
+    if (pages !== undefined) {
+        pageCount.observe(pages);
+    }
+    if (passes !== undefined) {
+        renderPasses.observe(passes);
+    }
+}
+
+/**
+ * Records a failed render.
+ * @param {string} format - 'pdf' or 'docx'.
+ */
+function recordRenderError(format) {
+    renders.inc({ format, outcome: 'error' });
+}
+
+module.exports = {
+    registry,
+    queueDepth,
+    activeRenders,
+    chromiumRestarts,
+    httpRequests,
+    httpDuration,
+    createStageTimer,
+    recordRender,
+    recordRenderError,
+};
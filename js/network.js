@@ -0,0 +1,334 @@
+// Network sandbox of the rendered pages. The report HTML is untrusted and Chromium runs with `--no-sandbox`,
+// so every request of the pages goes through request interception and is checked against a network policy:
+//   allow       any http(s) URL of a public address (historical behaviour)
+//   allowlist   data: and blob: URLs, and the http(s) URLs of the `hosts` ("cdn.example.com", "*.example.com")
+//   inline      data: and blob: URLs only
+//   deny        nothing at all
+// Whatever the mode, the cloud metadata endpoints are never reachable, and neither are the loopback, private and
+// link-local addresses, checked once the host is resolved (NETWORK_ALLOW_PRIVATE=true lifts the latter for the
+// deployments reading assets from their own network).
+// The assets of an asset bundle are always served (see bundles.js), and bundles default to the `inline` policy.
+// WebSocket and WebRTC connections do not go through request interception, so they cannot be checked: whatever the
+// mode, the WebSocket URLs are blocked through DevTools and the WebRTC API is removed from the pages.
+// JavaScript may also be disabled in the page, `page.evaluate` keeps working as it runs through DevTools.
+
+// Import necessary modules
+const dns = require('dns'); // Resolves the requested hosts before they are checked
+const net = require('net'); // IP address parsing and ranges
+const { BUNDLE_ORIGIN } = require('./bundles'); // Origin of the assets served from a bundle
+
+const NETWORK_MODES = ['allow', 'allowlist', 'inline', 'deny'];
+
+// Never reachable, whatever the policy: instance metadata endpoints hold the service credentials
+const BLOCKED_HOSTS = ['metadata.google.internal', 'metadata', 'localhost'];
+
+// Addresses never reachable: loopback, private, link-local (metadata endpoints), carrier-grade NAT, unspecified,
+// and in IPv6 the deprecated site-local addresses and the NAT64 prefix, which reaches any IPv4 address
+const PRIVATE_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.168.0.0', 16]].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['64:ff9b::', 96]]
+    .forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// URL patterns blocked through DevTools: the WebSocket connections, never intercepted
+const BLOCKED_URL_PATTERNS = ['ws://*', 'wss://*'];
+
+/**
+ * Removes the WebRTC API from a page, run in every frame before its scripts (see `NetworkSandbox.attach`).
+ */
+const removeWebRTC = () => {
+    ['RTCPeerConnection', 'webkitRTCPeerConnection', 'RTCDataChannel', 'RTCSessionDescription', 'RTCIceCandidate']
+        .forEach(name => delete window[name]);
+};
+const ALLOW_PRIVATE_ADDRESSES = process.env.NETWORK_ALLOW_PRIVATE === 'true';
+
+// Default policy, the per-request options override it
+const DEFAULT_NETWORK_POLICY = {
+    mode: process.env.NETWORK_POLICY || 'allow',
+    hosts: (process.env.NETWORK_ALLOW_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+    javascript: process.env.DISABLE_JAVASCRIPT !== 'true',
+};
+
+// Sandbox of each page, see `NetworkSandbox.attach`
+const pageSandboxes = new WeakMap();
+
+/**
+ * Error thrown when a network policy option is invalid.
+ */
+class InvalidNetworkPolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidNetworkPolicyError';
+    }
+}
+
+/**
+ * Builds a network policy from the request options, completed by the default policy.
+ * @param {Object} [options]
+ * @param {string} [options.mode] - One of `NETWORK_MODES`.
+ * @param {string|string[]} [options.hosts] - The hosts of the `allowlist` mode, as an array or a comma separated list.
+ * @param {boolean|string} [options.javascript] - false (or "false") to disable JavaScript in the page.
+ * @param {boolean} [options.bundle] - Whether the report comes with an asset bundle, which defaults to `inline`.
+ * @returns {Object} The `{ mode, hosts, javascript }` policy.
+ * @throws {InvalidNetworkPolicyError} If the mode is unknown, or `allowlist` has no host.
+ */
+function resolveNetworkPolicy(options = {}) {
+    const mode = options.mode || (options.bundle ? 'inline' : DEFAULT_NETWORK_POLICY.mode);
+    if (!NETWORK_MODES.includes(mode)) {
+        throw new InvalidNetworkPolicyError(`Unknown network policy: ${mode}. Use ${NETWORK_MODES.join(', ')}.`);
+    }
+
+    const hosts = typeof options.hosts === 'string'
+        ? options.hosts.split(',').map(host => host.trim()).filter(Boolean)
+        : options.hosts || DEFAULT_NETWORK_POLICY.hosts;
+    if (mode === 'allowlist' && hosts.length === 0) {
+        throw new InvalidNetworkPolicyError('The allowlist network policy needs at least one host.');
+    }
+
+    const javascript = options.javascript === undefined
+        ? DEFAULT_NETWORK_POLICY.javascript
+        : options.javascript !== false && options.javascript !== 'false';
+    return { mode, hosts: hosts.map(host => host.toLowerCase()), javascript };
+}
+
+/**
+ * Normalizes the host name of a URL: lowercase, without the trailing dot of a fully qualified name nor the
+ * brackets of an IPv6 address, an IPv4-mapped IPv6 address ("::ffff:169.254.169.254") becoming its IPv4 address.
+ * @param {string} hostname - The `hostname` of a parsed URL.
+ * @returns {string}
+ */
+function normalizeHost(hostname) {
+    let host = hostname.toLowerCase().replace(/\.+$/, '');
+    if (host.startsWith('[') && host.endsWith(']')) {
+        host = host.slice(1, -1);
+    }
+    const mapped = /^(?:0{0,4}:){0,5}:?ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/.exec(host);
+    if (mapped && net.isIPv6(host)) {
+        if (mapped[1]) {
+            return mapped[1];
+        }
+        const high = parseInt(mapped[2], 16);
+        const low = parseInt(mapped[3], 16);
+        return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
+    return host;
+}
+
+/**
+ * Tells whether an IP address is loopback, private or link-local (see `PRIVATE_ADDRESSES`).
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean}
+ */
+function isPrivateAddress(address) {
+    const normalized = normalizeHost(address);
+    const family = net.isIP(normalized);
+    return family !== 0 && PRIVATE_ADDRESSES.check(normalized, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolves a host that may be reached from the server: it is not a metadata endpoint, and neither it nor any of
+ * the addresses it resolves to is private (see `PRIVATE_ADDRESSES`). A host that does not resolve is refused.
+ * Connecting to the address returned, rather than resolving the host again, keeps a DNS answer that changed
+ * since the check (DNS rebinding) from leading to another address.
+ * @param {string} hostname - The `hostname` of a parsed URL.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate] - Whether the private addresses may be reached (NETWORK_ALLOW_PRIVATE).
+ * @returns {Promise<Object|null>} The `{ address, family }` to connect to, null if the host is refused.
+ */
+async function resolveReachableHost(hostname, options = {}) {
+    const allowPrivate = options.allowPrivate === undefined ? ALLOW_PRIVATE_ADDRESSES : options.allowPrivate;
+    const host = normalizeHost(hostname);
+    if (BLOCKED_HOSTS.includes(host) || host.endsWith('.localhost')) {
+        return null;
+    }
+    const isBlocked = address => {
+        const normalized = normalizeHost(address);
+        // The link-local range holds the metadata endpoints, it stays blocked when the private addresses are allowed
+        return allowPrivate ? normalized.startsWith('169.254.') || normalized === 'fd00:ec2::254' : isPrivateAddress(normalized);
+    };
+    if (net.isIP(host)) {
+        return isBlocked(host) ? null : { address: host, family: net.isIP(host) };
+    }
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+        return null;
+    }
+    return addresses.length > 0 && !addresses.some(({ address }) => isBlocked(address)) ? addresses[0] : null;
+}
+
+/**
+ * Tells whether a host may be reached from the server (see `resolveReachableHost`).
+ * @param {string} hostname - The `hostname` of a parsed URL.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowPrivate] - Whether the private addresses may be reached (NETWORK_ALLOW_PRIVATE).
+ * @returns {Promise<boolean>}
+ */
+const isReachableHost = async (hostname, options) => await resolveReachableHost(hostname, options) !== null;
+
+/**
+ * Tells whether a host matches an allowlist entry, "*.example.com" matching the subdomains of example.com.
+ * @param {string} host - The requested host name.
+ * @param {string} entry - The allowlist entry.
+ * @returns {boolean}
+ */
+const matchesHost = (host, entry) => entry.startsWith('*.') ? host.endsWith(entry.slice(1)) : host === entry;
+
+/**
+ * Network sandbox shared by the pages rendering one report: the policy, the bundle serving the assets,
+ * and the requests blocked so far.
+ */
+class NetworkSandbox {
+    /**
+     * @param {Object} policy - The network policy (see `resolveNetworkPolicy`).
+     * @param {AssetBundle} [bundle] - The asset bundle of the report.
+     */
+    constructor(policy, bundle = null) {
+        this.policy = policy;
+        this.bundle = bundle;
+        this.blocked = new Set(); // Blocked URLs
+        this.onBlocked = () => {}; // Called with each newly blocked URL
+        this.reachableHosts = new Map(); // Pending or done `isReachableHost` check of each host
+    }
+
+    /**
+     * Checks a URL against the policy, before its host is resolved (see `isReachable`).
+     * @param {string} url - The requested URL.
+     * @returns {boolean}
+     */
+    isAllowed(url) {
+        const { mode, hosts } = this.policy;
+        if (mode === 'deny') {
+            return false;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return false;
+        }
+        if (parsed.protocol === 'data:' || parsed.protocol === 'blob:') {
+            return true;
+        }
+        if (mode === 'inline' || !['http:', 'https:'].includes(parsed.protocol)) {
+            return false;
+        }
+
+        const host = normalizeHost(parsed.hostname);
+        if (BLOCKED_HOSTS.includes(host) || (net.isIP(host) && isPrivateAddress(host) && !ALLOW_PRIVATE_ADDRESSES)) {
+            return false;
+        }
+        return mode === 'allow' || hosts.some(entry => matchesHost(host, entry));
+    }
+
+    /**
+     * Checks a URL against the policy, then the addresses its host resolves to (see `isReachableHost`).
+     * The host checks are cached for the sandbox.
+     * @param {string} url - The requested URL.
+     * @returns {Promise<boolean>}
+     */
+    async isReachable(url) {
+        if (!this.isAllowed(url)) {
+            return false;
+        }
+        const { protocol, hostname } = new URL(url);
+        if (protocol === 'data:' || protocol === 'blob:') {
+            return true;
+        }
+        if (!this.reachableHosts.has(hostname)) {
+            this.reachableHosts.set(hostname, isReachableHost(hostname));
+        }
+        return this.reachableHosts.get(hostname);
+    }
+
+    /**
+     * Answers an intercepted request, aborting it if that fails: the request listener must never throw, an
+     * unhandled rejection would stop the process.
+     * @param {puppeteer.HTTPRequest} request
+     * @returns {Promise<void>}
+     */
+    async handleRequest(request) {
+        try {
+            await this.answerRequest(request);
+        } catch (error) {
+            // A request left unanswered would hang the page
+            await request.abort('failed').catch(() => {});
+        }
+    }
+
+    /**
+     * Answers an intercepted request: from the bundle for the bundle URLs, from the network when the policy
+     * allows it, and blocked otherwise.
+     * @param {puppeteer.HTTPRequest} request
+     * @returns {Promise<void>}
+     */
+    async answerRequest(request) {
+        const url = request.url();
+        if (this.bundle && url.startsWith(BUNDLE_ORIGIN + '/')) {
+            const asset = this.bundle.getAsset(url);
+            if (asset) {
+                return request.respond({ status: 200, contentType: asset.contentType, body: asset.body });
+            }
+            this.bundle.missing.add(url);
+            return request.respond({ status: 404, contentType: 'text/plain', body: 'Not found' });
+        }
+
+        if (await this.isReachable(url)) {
+            return request.continue();
+        }
+        if (!this.blocked.has(url)) {
+            this.blocked.add(url);
+            this.onBlocked(url);
+        }
+        return request.abort('blockedbyclient');
+    }
+
+    /**
+     * Applies the sandbox to a page: JavaScript setting, WebSocket and WebRTC blocking, and request interception.
+     * @param {puppeteer.Page} page
+     * @returns {Promise<void>}
+     */
+    async attach(page) {
+        pageSandboxes.set(page, this);
+        await page.setJavaScriptEnabled(this.policy.javascript);
+        if (this.policy.javascript) {
+            await page.evaluateOnNewDocument(removeWebRTC);
+        }
+        const session = await page.target().createCDPSession();
+        await session.send('Network.enable');
+        await session.send('Network.setBlockedURLs', { urls: BLOCKED_URL_PATTERNS });
+        await page.setRequestInterception(true);
+        page.on('request', request => this.handleRequest(request));
+    }
+
+    /**
+     * @returns {Object} The `blockedRequests` and the `missingAssets` of the bundle, reported to the callers.
+     */
+    getDiagnostics() {
+        return {
+            blockedRequests: Array.from(this.blocked, url => url.startsWith('data:') ? url.slice(0, 64) + '...' : url),
+            missingAssets: this.bundle ? this.bundle.getMissingAssets() : [],
+        };
+    }
+}
+
+/**
+ * @param {puppeteer.Page} page
+ * @returns {NetworkSandbox|undefined} The sandbox applied to the page, if any.
+ */
+const getPageSandbox = page => pageSandboxes.get(page);
+
+module.exports = {
+    NETWORK_MODES,
+    InvalidNetworkPolicyError,
+    NetworkSandbox,
+    resolveNetworkPolicy,
+    getPageSandbox,
+    normalizeHost,
+    matchesHost,
+    isPrivateAddress,
+    resolveReachableHost,
+    isReachableHost,
+};
@@ -0,0 +1,122 @@
+// Import necessary modules
+const { PDFName, PDFHexString, PDFNumber } = require('pdf-lib'); // Low-level PDF objects used to write the outline dictionaries
+
+/**
+ * Reads the numbering at the start of a TOC title ("2.1 Méthodologie" -> [2, 1]).
+ * @param {string} title - The TOC entry title.
+ * @returns {number} The nesting level of the entry: 1 for "2", 2 for "2.1", 1 when the title is not numbered.
+ */
+const getOutlineLevel = title => {
+    const numbering = /^\s*(\d+(?:\.\d+)*)\.?(?:\s|$)/.exec(title);
+    return numbering ? numbering[1].split('.').length : 1;
+};
+
+/**
+ * Builds the bookmark tree from the flat list of TOC entries.
+ * Each entry is nested under the closest previous entry with a lower level.
+ * Entries without a resolved page are left out, their children move up to the closest resolved ancestor.
+ * @param {Object[]} entries - The `{ title, pageIndex }` TOC entries, `pageIndex` being the 0-based page index or null.
+ * @returns {Object[]} The root bookmarks, each being `{ title, pageIndex, children }`.
+ */
+const buildOutlineTree = entries => {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    entries.forEach(entry => {
+        if (entry.pageIndex === null || entry.pageIndex === undefined) {
+            return;
+        }
+
+        const node = { title: entry.title, pageIndex: entry.pageIndex, level: getOutlineLevel(entry.title), children: [] };
+        while (stack[stack.length - 1].level >= node.level) {
+            stack.pop();
+        }
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    });
+
+    return root.children;
+};
+
+/**
+ * Writes the outline items of one level, and recursively their children.
+ * @param {PDFDocument} pdfDoc - The pdf-lib document receiving the outline.
+ * @param {Object[]} nodes - The bookmarks of this level.
+ * @param {PDFRef} parentRef - Reference of the parent outline item (or of the outline root).
+ * @returns {Object} The `first` and `last` item references and the `count` of visible descendants.
+ */
+const writeOutlineItems = (pdfDoc, nodes, parentRef) => {
+    const context = pdfDoc.context;
+    const pages = pdfDoc.getPages();
+    const refs = nodes.map(() => context.nextRef());
+    let count = nodes.length;
+
+    nodes.forEach((node, i) => {
+        // Clamp the page in case the TOC points past the end of the merged document
+        const pageIndex = Math.min(Math.max(node.pageIndex, 0), pages.length - 1);
+        const item = context.obj({
+            Title: PDFHexString.fromText(node.title),
+            Parent: parentRef,
+            Dest: [pages[pageIndex].ref, PDFName.of('Fit')],
+        });
+
+        if (i > 0) {
+            item.set(PDFName.of('Prev'), refs[i - 1]);
+        }
+        if (i < nodes.length - 1) {
+            item.set(PDFName.of('Next'), refs[i + 1]);
+        }
+
+        if (node.children.length > 0) {
+            const children = writeOutlineItems(pdfDoc, node.children, refs[i]);
+            item.set(PDFName.of('First'), children.first);
+            item.set(PDFName.of('Last'), children.last);
+            // A positive count keeps the item open in the viewer
+            item.set(PDFName.of('Count'), PDFNumber.of(children.count));
+            count += children.count;
+        }
+
+        context.assign(refs[i], item);
+    });
+
+    return { first: refs[0], last: refs[refs.length - 1], count };
+};
+
+/**
+ * Adds a document outline (bookmarks) to a PDF document from the table of contents entries.
+ * The nesting follows the numbering of the titles ("2", "2.1", "2.1.3"...) and each bookmark
+ * points at the page resolved for its entry. It must be applied on the final merged document,
+ * as pdf-lib does not carry the outline over when copying pages between documents.
+ * @param {PDFDocument} pdfDoc - The merged pdf-lib document.
+ * @param {Object[]} entries - The `{ title, pageIndex }` TOC entries, as returned by `updateTableOfContent`.
+ * @returns {number} The number of bookmarks written.
+ */
+function addOutline(pdfDoc, entries) {
+    const tree = buildOutlineTree(entries);
+    if (tree.length === 0 || pdfDoc.getPageCount() === 0) {
+        return 0;
+    }
+
+    const context = pdfDoc.context;
+    const outlinesRef = context.nextRef();
+    const items = writeOutlineItems(pdfDoc, tree, outlinesRef);
+
+    context.assign(outlinesRef, context.obj({
+        Type: 'Outlines',
+        First: items.first,
+        Last: items.last,
+        Count: items.count,
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    // Open the bookmarks panel when the document is opened
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+    return items.count;
+}
+
+module.exports = {
+    addOutline,
+    buildOutlineTree,
+    getOutlineLevel,
+};
@@ -0,0 +1,516 @@
+// PDF/A-2b archival output: the merged document gets an sRGB ICC output intent, the PDF/A identification in its
+// XMP metadata (see metadata.js), a file identifier, printable annotations and no actions, JavaScript or
+// interpolated images. The fonts drawn over the pages are embedded (see fonts.js) and PDF/A documents are never
+// encrypted.
+// `checkPDFA` is the self-check of the result: it lists the rules a PDF breaks, without replacing a full
+// validator such as veraPDF. Rules:
+//   file-header         %PDF-1.n header followed by a binary comment
+//   file-trailer        file identifier, nothing after the last %%EOF
+//   encryption          no encryption
+//   streams             no external streams, no LZW compression
+//   output-intent       a GTS_PDFA1 output intent with an ICC profile
+//   device-colours      device colour spaces matching the output intent
+//   graphics-state      no transfer functions or halftones, standard blend modes
+//   images              no interpolation, alternates or OPI
+//   fonts-embedded      every font embedded
+//   annotations         printable and visible annotations, with an appearance
+//   actions             no JavaScript, launch... actions and no additional actions
+//   embedded-files      no embedded files (they must be PDF/A documents, which is not checked)
+//   xmp-metadata        an uncompressed XMP metadata stream identifying PDF/A-2
+//   info-consistency    the Info dictionary matching the XMP metadata
+
+// Import necessary modules
+const crypto = require('crypto'); // File identifier
+const {
+    PDFDocument, PDFDict, PDFArray, PDFName, PDFNumber, PDFString, PDFHexString, PDFRawStream, PDFBool,
+    decodePDFRawStream,
+} = require('pdf-lib'); // Low-level PDF objects of the document
+
+const PDFA_PART = 2;
+const PDFA_CONFORMANCE = 'B';
+
+// PDF/A identification, added to the XMP metadata of the document (see `applyMetadata`)
+const PDFA_XMP_PROPERTIES = `
+    <rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+      <pdfaid:part>${PDFA_PART}</pdfaid:part>
+      <pdfaid:conformance>${PDFA_CONFORMANCE}</pdfaid:conformance>
+    </rdf:Description>`;
+
+const OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+
+const PDFA_RULES = [
+    'file-header', 'file-trailer', 'encryption', 'streams', 'output-intent', 'device-colours', 'graphics-state',
+    'images', 'fonts-embedded', 'annotations', 'actions', 'embedded-files', 'xmp-metadata', 'info-consistency',
+];
+
+const FORBIDDEN_ACTIONS = [
+    'Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'Hide', 'SetOCGState', 'Rendition', 'Trans',
+    'GoTo3DView', 'JavaScript',
+];
+const BLEND_MODES = [
+    'Normal', 'Compatible', 'Multiply', 'Screen', 'Overlay', 'Darken', 'Lighten', 'ColorDodge', 'ColorBurn',
+    'HardLight', 'SoftLight', 'Difference', 'Exclusion', 'Hue', 'Saturation', 'Color', 'Luminosity',
+];
+
+// Annotation flags (PDF 32000-1, table 165)
+const ANNOTATION_FLAGS = { invisible: 1, hidden: 2, print: 4, noView: 32, toggleNoView: 256 };
+
+// The output intent profile, built on first use
+let srgbProfile = null;
+
+/**
+ * Builds an ICC v2 display profile of the sRGB colour space: D50 primaries and the sRGB tone curve.
+ * @returns {Buffer}
+ */
+function buildSRGBProfile() {
+    const fixed = value => {
+        const bytes = Buffer.alloc(4);
+        bytes.writeInt32BE(Math.round(value * 65536));
+        return bytes;
+    };
+    const xyz = (x, y, z) => Buffer.concat([Buffer.from('XYZ \0\0\0\0', 'latin1'), fixed(x), fixed(y), fixed(z)]);
+    const text = value => Buffer.from(`text\0\0\0\0${value}\0`, 'latin1');
+    const description = value => {
+        const ascii = Buffer.from(`${value}\0`, 'latin1');
+        const header = Buffer.alloc(12);
+        header.write('desc', 0, 'latin1');
+        header.writeUInt32BE(ascii.length, 8);
+        // No Unicode nor ScriptCode description
+        return Buffer.concat([header, ascii, Buffer.alloc(4 + 4 + 2 + 1 + 67)]);
+    };
+    const curve = (() => {
+        const entries = 1024;
+        const bytes = Buffer.alloc(12 + 2 * entries);
+        bytes.write('curv', 0, 'latin1');
+        bytes.writeUInt32BE(entries, 8);
+        for (let i = 0; i < entries; i++) {
+            const value = i / (entries - 1);
+            const linear = value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            bytes.writeUInt16BE(Math.round(linear * 65535), 12 + 2 * i);
+        }
+        return bytes;
+    })();
+
+    // The three tone curves share the same data
+    const tags = [
+        ['desc', description(OUTPUT_CONDITION)],
+        ['cprt', text('No copyright, use freely')],
+        ['wtpt', xyz(0.9642, 1, 0.8249)],
+        ['rXYZ', xyz(0.4361, 0.2225, 0.0139)],
+        ['gXYZ', xyz(0.3851, 0.7169, 0.0971)],
+        ['bXYZ', xyz(0.1431, 0.0606, 0.7141)],
+        ['rTRC', curve],
+        ['gTRC', curve],
+        ['bTRC', curve],
+    ];
+
+    const table = Buffer.alloc(4 + 12 * tags.length);
+    table.writeUInt32BE(tags.length, 0);
+    const data = [];
+    const offsets = new Map();
+    let offset = 128 + table.length;
+    tags.forEach(([signature, content], i) => {
+        if (!offsets.has(content)) {
+            offsets.set(content, offset);
+            // Tag data starts on 4 bytes boundaries
+            const padded = Buffer.concat([content, Buffer.alloc((4 - content.length % 4) % 4)]);
+            data.push(padded);
+            offset += padded.length;
+        }
+        table.write(signature, 4 + 12 * i, 'latin1');
+        table.writeUInt32BE(offsets.get(content), 8 + 12 * i);
+        table.writeUInt32BE(content.length, 12 + 12 * i);
+    });
+
+    const header = Buffer.alloc(128);
+    header.writeUInt32BE(offset, 0);
+    header.writeUInt32BE(0x02100000, 8); // Version 2.1
+    header.write('mntrRGB XYZ ', 12, 'latin1'); // Display profile, RGB data, XYZ connection space
+    [2024, 1, 1, 0, 0, 0].forEach((value, i) => header.writeUInt16BE(value, 24 + 2 * i));
+    header.write('acsp', 36, 'latin1');
+    fixed(0.9642).copy(header, 68); // D50 illuminant of the connection space
+    fixed(1).copy(header, 72);
+    fixed(0.8249).copy(header, 76);
+
+    return Buffer.concat([header, table, ...data]);
+}
+
+/**
+ * Calls `visit` on every dictionary of a document, stream dictionaries and direct dictionaries included.
+ * @param {PDFContext} context
+ * @param {Function} visit - Called with each `PDFDict` (and the stream holding it, if any).
+ */
+function forEachDict(context, visit) {
+    const walk = (object, stream) => {
+        if (object instanceof PDFDict) {
+            visit(object, stream);
+            object.entries().forEach(([, value]) => walk(value));
+        } else if (object instanceof PDFArray) {
+            object.asArray().forEach(value => walk(value));
+        }
+    };
+    context.enumerateIndirectObjects().forEach(([, object]) => {
+        if (object && object.dict instanceof PDFDict) {
+            walk(object.dict, object);
+        } else {
+            walk(object);
+        }
+    });
+}
+
+/**
+ * Returns the annotation dictionaries of every page.
+ * @param {PDFDocument} pdfDoc
+ * @returns {PDFDict[]}
+ */
+const getAnnotations = pdfDoc => pdfDoc.getPages().flatMap(page => {
+    const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+    return annots ? annots.asArray().map(ref => pdfDoc.context.lookup(ref)).filter(annot => annot instanceof PDFDict) : [];
+});
+
+/**
+ * Whether a dictionary is an action of a forbidden type.
+ * @param {PDFDict} dict
+ * @returns {boolean}
+ */
+const isForbiddenAction = dict => {
+    const type = dict.get(PDFName.of('S'));
+    return type instanceof PDFName && FORBIDDEN_ACTIONS.includes(type.decodeText())
+        && (!dict.has(PDFName.of('Type')) || dict.get(PDFName.of('Type')) === PDFName.of('Action'));
+};
+
+/**
+ * Turns a merged document into a PDF/A-2b document. The metadata must have been applied with the PDF/A
+ * identification (`PDFA_XMP_PROPERTIES`) and the text drawn over the pages with embedded fonts.
+ * @param {PDFDocument} pdfDoc - The merged pdf-lib document, before signing.
+ */
+function convertToPDFA(pdfDoc) {
+    const { context, catalog } = pdfDoc;
+
+    // sRGB output intent: the colours of Chrome are device RGB
+    if (!srgbProfile) {
+        srgbProfile = buildSRGBProfile();
+    }
+    const profile = context.register(context.flateStream(srgbProfile, { N: 3 }));
+    catalog.set(PDFName.of('OutputIntents'), context.obj([context.obj({
+        Type: 'OutputIntent',
+        S: 'GTS_PDFA1',
+        OutputConditionIdentifier: PDFString.of(OUTPUT_CONDITION),
+        RegistryName: PDFString.of('http://www.color.org'),
+        Info: PDFString.of(OUTPUT_CONDITION),
+        DestOutputProfile: profile,
+    })]));
+
+    if (!context.trailerInfo.ID) {
+        const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+        context.trailerInfo.ID = context.obj([id, id]);
+    }
+
+    // Annotations must be printed as they are displayed
+    getAnnotations(pdfDoc).forEach(annot => {
+        const flags = annot.lookupMaybe(PDFName.of('F'), PDFNumber);
+        const hidden = ANNOTATION_FLAGS.invisible | ANNOTATION_FLAGS.hidden | ANNOTATION_FLAGS.noView | ANNOTATION_FLAGS.toggleNoView;
+        annot.set(PDFName.of('F'), PDFNumber.of(((flags ? flags.asNumber() : 0) | ANNOTATION_FLAGS.print) & ~hidden));
+    });
+
+    // No scripts nor actions outside of the document
+    const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    if (names) {
+        names.delete(PDFName.of('JavaScript'));
+    }
+    forEachDict(context, dict => {
+        dict.delete(PDFName.of('AA'));
+        ['A', 'OpenAction'].forEach(key => {
+            const action = dict.lookup(PDFName.of(key));
+            if (action instanceof PDFDict && isForbiddenAction(action)) {
+                dict.delete(PDFName.of(key));
+            }
+        });
+        if (dict.get(PDFName.of('Subtype')) === PDFName.of('Image') && dict.get(PDFName.of('Interpolate')) === PDFBool.True) {
+            dict.delete(PDFName.of('Interpolate'));
+        }
+    });
+}
+
+/**
+ * Reads the text of a string of the Info dictionary.
+ * @param {PDFDict} info
+ * @param {string} key
+ * @returns {string|null}
+ */
+const readInfoText = (info, key) => {
+    const value = info && info.lookup(PDFName.of(key));
+    return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+};
+
+/**
+ * Reads a property of the XMP packet, the first item of the arrays.
+ * @param {string} xmp
+ * @param {string} property - e.g. 'dc:title'
+ * @returns {string|null}
+ */
+const readXmpProperty = (xmp, property) => {
+    const element = new RegExp(`<${property}(?:\\s[^>]*)?>([\\s\\S]*?)</${property}>`).exec(xmp);
+    const attribute = new RegExp(`\\s${property}="([^"]*)"`).exec(xmp);
+    let value = element ? element[1] : attribute ? attribute[1] : null;
+    if (value === null) {
+        return null;
+    }
+    const item = /<rdf:li(?:\s[^>]*)?>([\s\S]*?)<\/rdf:li>/.exec(value);
+    value = item ? item[1] : value;
+    return value.trim()
+        .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCodePoint(Number(code)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+};
+
+/**
+ * Returns the device colour spaces used by the content streams and the resources of a document.
+ * @param {PDFDocument} pdfDoc
+ * @returns {Set<string>} 'RGB' and/or 'CMYK', the grey device colour space is always allowed.
+ */
+function getDeviceColourSpaces(pdfDoc) {
+    const { context } = pdfDoc;
+    const spaces = new Set();
+    const addName = value => {
+        if (value === PDFName.of('DeviceRGB') || value === PDFName.of('RGB')) spaces.add('RGB');
+        if (value === PDFName.of('DeviceCMYK') || value === PDFName.of('CMYK')) spaces.add('CMYK');
+    };
+
+    // Images, colour space resources and transparency groups
+    const contentStreams = [];
+    forEachDict(context, (dict, stream) => {
+        ['ColorSpace', 'CS'].forEach(key => addName(dict.get(PDFName.of(key))));
+        const colorSpaces = dict.lookupMaybe(PDFName.of('ColorSpace'), PDFDict);
+        if (colorSpaces) {
+            colorSpaces.entries().forEach(([, value]) => addName(value));
+        }
+        if (stream && dict.get(PDFName.of('Subtype')) === PDFName.of('Form')) {
+            contentStreams.push(stream);
+        }
+    });
+
+    // Colour operators of the page contents and the form XObjects
+    pdfDoc.getPages().forEach(page => {
+        const contents = page.node.Contents();
+        const streams = contents instanceof PDFArray ? contents.asArray().map(ref => context.lookup(ref)) : [contents];
+        contentStreams.push(...streams);
+    });
+    contentStreams.filter(stream => stream instanceof PDFRawStream).forEach(stream => {
+        let content;
+        try {
+            content = Buffer.from(decodePDFRawStream(stream).decode()).toString('latin1');
+        } catch (error) {
+            return; // Unsupported filter
+        }
+        // Strings are left out, their text could look like operators
+        const operators = content.replace(/\((?:\\.|[^\\)])*\)/g, ' ');
+        if (/(?:^|\s)(?:rg|RG)(?=\s|$)|\/DeviceRGB\b/.test(operators)) spaces.add('RGB');
+        if (/(?:^|\s)(?:k|K)(?=\s|$)|\/DeviceCMYK\b/.test(operators)) spaces.add('CMYK');
+    });
+    return spaces;
+}
+
+/**
+ * Checks a PDF against the PDF/A-2b rules listed at the top of this file.
+ * @param {Uint8Array|Buffer} pdfBytes - The saved (and possibly signed) document.
+ * @returns {Promise<Object>} `{ conformant, violations }`, each violation being `{ rule, message }`.
+ */
+async function checkPDFA(pdfBytes) {
+    const bytes = Buffer.from(pdfBytes);
+    const violations = [];
+    const report = (rule, message) => {
+        if (!violations.some(violation => violation.rule === rule && violation.message === message)) {
+            violations.push({ rule, message });
+        }
+    };
+
+    // File structure
+    const header = bytes.subarray(0, 32);
+    const headerMatch = /^%PDF-1\.[0-7](\r\n|\r|\n)%/.exec(header.toString('latin1'));
+    if (!headerMatch) {
+        report('file-header', 'The file does not start with a %PDF-1.n header, n from 0 to 7.');
+    } else {
+        const comment = header.subarray(headerMatch[0].length, headerMatch[0].length + 4);
+        if (comment.length < 4 || comment.some(byte => byte < 128)) {
+            report('file-header', 'The header is not followed by a comment of at least 4 binary bytes.');
+        }
+    }
+    const end = bytes.lastIndexOf('%%EOF');
+    if (end < 0 || !/^(\r\n|\r|\n)?$/.test(bytes.subarray(end + 5).toString('latin1'))) {
+        report('file-trailer', 'Data follows the last %%EOF marker.');
+    }
+
+    const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+    const { context, catalog } = pdfDoc;
+    if (!context.trailerInfo.ID) {
+        report('file-trailer', 'The trailer has no file identifier (ID).');
+    }
+    if (context.trailerInfo.Encrypt) {
+        report('encryption', 'The document is encrypted, its content cannot be checked.');
+        return { conformant: false, violations };
+    }
+
+    // Output intent
+    const intents = catalog.lookupMaybe(PDFName.of('OutputIntents'), PDFArray);
+    const profiles = (intents ? intents.asArray() : [])
+        .map(intent => context.lookup(intent))
+        .filter(intent => intent instanceof PDFDict && intent.get(PDFName.of('S')) === PDFName.of('GTS_PDFA1'))
+        .map(intent => intent.get(PDFName.of('DestOutputProfile')));
+    let intentComponents = null;
+    if (profiles.length === 0 || !profiles[0]) {
+        report('output-intent', 'The document has no GTS_PDFA1 output intent with an ICC profile.');
+    } else if (profiles.some(profile => profile !== profiles[0])) {
+        report('output-intent', 'The output intents use different ICC profiles.');
+    } else {
+        const profile = context.lookup(profiles[0]);
+        const components = profile && profile.dict && profile.dict.lookupMaybe(PDFName.of('N'), PDFNumber);
+        intentComponents = components ? components.asNumber() : null;
+        if (![1, 3, 4].includes(intentComponents)) {
+            report('output-intent', 'The ICC profile of the output intent has no valid number of components (N).');
+        }
+    }
+    const deviceSpaces = getDeviceColourSpaces(pdfDoc);
+    if (deviceSpaces.has('RGB') && intentComponents !== 3) {
+        report('device-colours', 'DeviceRGB colours are used without an RGB output intent.');
+    }
+    if (deviceSpaces.has('CMYK') && intentComponents !== 4) {
+        report('device-colours', 'DeviceCMYK colours are used without a CMYK output intent.');
+    }
+
+    // Objects of the document
+    const fontsNotEmbedded = new Set();
+    forEachDict(context, (dict, stream) => {
+        const type = dict.get(PDFName.of('Type'));
+        const subtype = dict.get(PDFName.of('Subtype'));
+
+        if (stream) {
+            if (['F', 'FFilter', 'FDecodeParms'].some(key => dict.has(PDFName.of(key)))) {
+                report('streams', 'A stream refers to an external file.');
+            }
+            const filter = dict.get(PDFName.of('Filter'));
+            const filters = filter instanceof PDFArray ? filter.asArray() : [filter];
+            if (filters.includes(PDFName.of('LZWDecode'))) {
+                report('streams', 'A stream uses the LZW compression.');
+            }
+        }
+
+        if (dict.has(PDFName.of('TR')) || dict.has(PDFName.of('HTP'))
+            || (dict.has(PDFName.of('TR2')) && dict.get(PDFName.of('TR2')) !== PDFName.of('Default'))) {
+            report('graphics-state', 'A graphics state uses a transfer function or a halftone.');
+        }
+        const blendMode = dict.get(PDFName.of('BM'));
+        if (blendMode instanceof PDFName && !BLEND_MODES.includes(blendMode.decodeText())) {
+            report('graphics-state', `Unknown blend mode: ${blendMode.decodeText()}.`);
+        }
+
+        if (subtype === PDFName.of('Image')) {
+            if (dict.get(PDFName.of('Interpolate')) === PDFBool.True) {
+                report('images', 'An image is interpolated.');
+            }
+            if (dict.has(PDFName.of('Alternates')) || dict.has(PDFName.of('OPI'))) {
+                report('images', 'An image has alternates or OPI information.');
+            }
+        }
+
+        if (type === PDFName.of('Font') && subtype !== PDFName.of('Type3')) {
+            const descendants = dict.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray);
+            const font = subtype === PDFName.of('Type0') && descendants ? context.lookup(descendants.get(0)) : dict;
+            const descriptor = font instanceof PDFDict ? font.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict) : null;
+            if (!descriptor || !['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)))) {
+                const baseFont = dict.get(PDFName.of('BaseFont'));
+                fontsNotEmbedded.add(baseFont instanceof PDFName ? baseFont.decodeText() : 'unnamed');
+            }
+        }
+
+        if (dict.has(PDFName.of('AA'))) {
+            report('actions', 'The document has additional actions (AA).');
+        }
+        if (isForbiddenAction(dict)) {
+            report('actions', `The document has a ${dict.get(PDFName.of('S')).decodeText()} action.`);
+        }
+    });
+    fontsNotEmbedded.forEach(font => report('fonts-embedded', `The font ${font} is not embedded.`));
+
+    const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+    if (names && names.has(PDFName.of('JavaScript'))) {
+        report('actions', 'The document has JavaScript.');
+    }
+    if (names && names.has(PDFName.of('EmbeddedFiles'))) {
+        report('embedded-files', 'The document has embedded files.');
+    }
+
+    getAnnotations(pdfDoc).forEach(annot => {
+        const subtype = annot.get(PDFName.of('Subtype'));
+        const name = subtype instanceof PDFName ? subtype.decodeText() : 'unknown';
+        const flagsValue = annot.lookupMaybe(PDFName.of('F'), PDFNumber);
+        const flags = flagsValue ? flagsValue.asNumber() : 0;
+        if (name !== 'Popup' && (!(flags & ANNOTATION_FLAGS.print)
+            || flags & (ANNOTATION_FLAGS.invisible | ANNOTATION_FLAGS.hidden | ANNOTATION_FLAGS.noView | ANNOTATION_FLAGS.toggleNoView))) {
+            report('annotations', `A ${name} annotation is not printed or hidden.`);
+        }
+        const rect = annot.lookupMaybe(PDFName.of('Rect'), PDFArray);
+        const [x1, y1, x2, y2] = rect ? rect.asArray().map(value => (value instanceof PDFNumber ? value.asNumber() : 0)) : [0, 0, 0, 0];
+        const appearance = annot.lookupMaybe(PDFName.of('AP'), PDFDict);
+        if (!['Popup', 'Link'].includes(name) && x1 !== x2 && y1 !== y2 && !(appearance && appearance.has(PDFName.of('N')))) {
+            report('annotations', `A ${name} annotation has no appearance.`);
+        }
+    });
+
+    // Metadata
+    const metadata = catalog.lookup(PDFName.of('Metadata'));
+    let xmp = '';
+    if (!(metadata instanceof PDFRawStream)) {
+        report('xmp-metadata', 'The document has no XMP metadata stream.');
+    } else if (metadata.dict.has(PDFName.of('Filter'))) {
+        report('xmp-metadata', 'The XMP metadata stream is compressed.');
+    } else {
+        xmp = Buffer.from(metadata.contents).toString('utf8');
+        if (readXmpProperty(xmp, 'pdfaid:part') !== String(PDFA_PART)) {
+            report('xmp-metadata', `The XMP metadata does not identify a PDF/A-${PDFA_PART} document (pdfaid:part).`);
+        }
+        if (!['A', 'B', 'U'].includes(readXmpProperty(xmp, 'pdfaid:conformance'))) {
+            report('xmp-metadata', 'The XMP metadata has no PDF/A conformance level (pdfaid:conformance).');
+        }
+    }
+
+    const info = context.lookup(context.trailerInfo.Info);
+    if (info instanceof PDFDict && xmp) {
+        const textProperties = {
+            Title: 'dc:title', Author: 'dc:creator', Subject: 'dc:description', Keywords: 'pdf:Keywords',
+            Creator: 'xmp:CreatorTool', Producer: 'pdf:Producer',
+        };
+        Object.entries(textProperties).forEach(([key, property]) => {
+            const value = readInfoText(info, key);
+            if (value !== null && value !== readXmpProperty(xmp, property)) {
+                report('info-consistency', `The ${key} of the Info dictionary differs from ${property} in the XMP metadata.`);
+            }
+        });
+        const dateProperties = { CreationDate: 'xmp:CreateDate', ModDate: 'xmp:ModifyDate' };
+        Object.entries(dateProperties).forEach(([key, property]) => {
+            const value = info.lookup(PDFName.of(key));
+            if (!(value instanceof PDFString || value instanceof PDFHexString)) {
+                return;
+            }
+            const xmpDate = new Date(readXmpProperty(xmp, property));
+            let infoDate;
+            try {
+                infoDate = value.decodeDate();
+            } catch (error) {
+                infoDate = null;
+            }
+            if (!infoDate || Math.floor(infoDate.getTime() / 1000) !== Math.floor(xmpDate.getTime() / 1000)) {
+                report('info-consistency', `The ${key} of the Info dictionary differs from ${property} in the XMP metadata.`);
+            }
+        });
+    }
+
+    return { conformant: violations.length === 0, violations };
+}
+
+module.exports = {
+    PDFA_RULES,
+    PDFA_XMP_PROPERTIES,
+    convertToPDFA,
+    checkPDFA,
+};
@@ -0,0 +1,208 @@
+// Preflight validation of the report HTML, before any rendering: the HTML is parsed with jsdom (its scripts do not
+// run, the elements they would add are not seen) and checked against the layout profile. Each problem found is a
+// diagnostic `{ severity, code, message, selector, target }`:
+//   missing-element       error     a header, footer, TOC, page count or page group section of the profile is missing
+//                                   (Chromium would print "header missing", or the page count would fail)
+//   toc-entry-without-link error    a TOC entry has no <a>, its page number cannot be written
+//   broken-anchor         error     an internal link or a TOC target points at an id that does not exist, or an
+//                                   internal link is not a valid URL fragment ("#%E0")
+//   duplicate-title       warning   several TOC entries have the same title
+//   duplicate-id          warning   several elements have the same id, links land on the first one
+//   external-asset        warning   an image, stylesheet, script, font... is loaded from another site
+//   missing-asset         warning   a relative URL that the asset bundle cannot serve
+// The report is valid when there is no error.
+
+// Import necessary modules
+const { JSDOM } = require('jsdom'); // Parses the HTML without rendering it
+const { AssetBundle } = require('./bundles'); // Assets uploaded along with the HTML
+const { resolvePageGroup } = require('./profiles'); // Header and footer selectors of each page group
+
+// Attributes loading an asset, by element
+const ASSET_ATTRIBUTES = [
+    ['img', 'src'], ['img', 'srcset'], ['source', 'src'], ['source', 'srcset'], ['script', 'src'],
+    ['link[rel~="stylesheet" i]', 'href'], ['link[rel~="icon" i]', 'href'], ['link[rel~="preload" i]', 'href'],
+    ['video', 'src'], ['video', 'poster'], ['audio', 'src'], ['iframe', 'src'], ['embed', 'src'], ['object', 'data'],
+    ['image', 'href'], ['use', 'href'],
+];
+const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)|@import\s+(['"])(.*?)\3/g;
+
+/**
+ * Error thrown by the pre-render gate when the report HTML has preflight errors.
+ */
+class PreflightFailedError extends Error {
+    /**
+     * @param {Object} result - The preflight result (see `preflightReport`).
+     */
+    constructor(result) {
+        const errors = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+        super(`The report HTML failed the preflight checks: ${errors.map(error => error.message).join(' ')}`);
+        this.name = 'PreflightFailedError';
+        this.result = result;
+    }
+}
+
+/**
+ * Lists the selectors of the elements the profile needs: the headers and footers of every page group, the TOC,
+ * the page count and the sections of the page groups declared by a selector.
+ * @param {Object} profile - The layout profile.
+ * @returns {Object[]} `{ selector, role }` pairs, without duplicates.
+ */
+function getRequiredElements(profile) {
+    const required = new Map();
+    const add = (selector, role) => {
+        if (selector && !required.has(selector)) {
+            required.set(selector, role);
+        }
+    };
+
+    const groupNames = [...(profile.pageGroups || []).map(group => group.name), profile.defaultPageGroup];
+    new Set(groupNames).forEach(name => {
+        const group = resolvePageGroup(profile, name);
+        add(group.sections, `sections of the "${name}" page group`);
+        add(group.header, `header of the "${name}" page group`);
+        add(group.footer, `footer of the "${name}" page group`);
+        if (group.firstPage) {
+            add(group.firstPage.header, `first page header of the "${name}" page group`);
+            add(group.firstPage.footer, `first page footer of the "${name}" page group`);
+        }
+        if (group.landscape) {
+            add(group.landscape.header, `landscape header of the "${name}" page group`);
+            add(group.landscape.footer, `landscape footer of the "${name}" page group`);
+        }
+    });
+    add(profile.selectors.tableOfContent, 'table of contents');
+    add(profile.selectors.totalPages, 'page count');
+    return Array.from(required, ([selector, role]) => ({ selector, role }));
+}
+
+/**
+ * Lists the URLs of the assets an HTML document loads, from the asset attributes and the CSS.
+ * @param {Document} document - The parsed document.
+ * @returns {string[]} The URLs as written in the HTML, without duplicates.
+ */
+function getAssetUrls(document) {
+    const urls = new Set();
+    ASSET_ATTRIBUTES.forEach(([selector, attribute]) => {
+        document.querySelectorAll(`${selector}[${attribute}]`).forEach(element => {
+            const value = element.getAttribute(attribute).trim();
+            // srcset lists "url width" candidates
+            const values = attribute === 'srcset' ? value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]) : [value];
+            values.filter(Boolean).forEach(url => urls.add(url));
+        });
+    });
+
+    const styles = [
+        ...Array.from(document.querySelectorAll('style'), style => style.textContent),
+        ...Array.from(document.querySelectorAll('[style]'), element => element.getAttribute('style')),
+    ];
+    styles.forEach(css => {
+        for (const match of css.matchAll(CSS_URL_PATTERN)) {
+            const url = (match[2] || match[4] || '').trim();
+            if (url) {
+                urls.add(url);
+            }
+        }
+    });
+    return Array.from(urls);
+}
+
+/**
+ * Checks the report HTML against a layout profile.
+ * @param {string|AssetBundle} report - The report HTML, or an asset bundle holding it.
+ * @param {Object} profile - The layout profile of the report type.
+ * @returns {Object} `valid` (no error found) and the `diagnostics` (see the top of this file).
+ */
+function preflightReport(report, profile) {
+    const bundle = report instanceof AssetBundle ? report : null;
+    const { document } = new JSDOM(bundle ? bundle.html : report).window;
+    const diagnostics = [];
+    const addDiagnostic = (severity, code, message, details = {}) => diagnostics.push({ severity, code, message, ...details });
+
+    getRequiredElements(profile).forEach(({ selector, role }) => {
+        if (!document.querySelector(selector)) {
+            addDiagnostic('error', 'missing-element', `Missing ${role}: no element matches ${selector}.`, { selector });
+        }
+    });
+    // Headers and footers chosen in the HTML by the first section of a page group
+    document.querySelectorAll('section[data-page-header], section[data-page-footer]').forEach(section => {
+        [section.dataset.pageHeader, section.dataset.pageFooter].filter(Boolean).forEach(selector => {
+            let found;
+            try {
+                found = document.querySelector(selector);
+            } catch (error) {
+                found = null;
+            }
+            if (!found) {
+                addDiagnostic('error', 'missing-element', `Missing header or footer of a section: no element matches ${selector}.`, { selector });
+            }
+        });
+    });
+
+    const ids = new Map();
+    document.querySelectorAll('[id]').forEach(element => ids.set(element.id, (ids.get(element.id) || 0) + 1));
+    ids.forEach((count, id) => {
+        if (count > 1) {
+            addDiagnostic('warning', 'duplicate-id', `${count} elements have the id "${id}", links land on the first one.`, { target: id });
+        }
+    });
+
+    const toc = document.querySelector(profile.selectors.tableOfContent);
+    const titles = new Map();
+    if (toc) {
+        Array.from(toc.children).forEach((entry, index) => {
+            const link = entry.querySelector('a');
+            const title = (link || entry).textContent.replace(/\s+/g, ' ').trim();
+            if (!link) {
+                addDiagnostic('error', 'toc-entry-without-link', `TOC entry ${index + 1} ("${title}") has no link, its page number cannot be written.`,
+                    { selector: profile.selectors.tableOfContent, target: title });
+            }
+            if (title) {
+                titles.set(title, (titles.get(title) || 0) + 1);
+            }
+        });
+    }
+    titles.forEach((count, title) => {
+        if (count > 1) {
+            addDiagnostic('warning', 'duplicate-title', `${count} TOC entries have the title "${title}".`, { target: title });
+        }
+    });
+
+    // Annex placeholders get their id when the PDF is generated (see annexes.js)
+    const annexIds = /^annex-\d+-*$/;
+    const anchors = new Set();
+    document.querySelectorAll('a[href^="#"]').forEach(link => {
+        const href = link.getAttribute('href');
+        if (href.length <= 1) {
+            return;
+        }
+        try {
+            anchors.add(decodeURIComponent(href.slice(1)));
+        } catch (error) {
+            addDiagnostic('error', 'broken-anchor', `Broken internal link: "${href}" is not a valid URL fragment.`, { target: href });
+        }
+    });
+    document.querySelectorAll('[data-toc-target]').forEach(element => anchors.add(element.dataset.tocTarget));
+    anchors.forEach(anchor => {
+        if (!ids.has(anchor) && !document.getElementsByName(anchor).length && !annexIds.test(anchor)) {
+            addDiagnostic('error', 'broken-anchor', `Broken internal link: no element has the id "${anchor}".`, { target: anchor });
+        }
+    });
+
+    getAssetUrls(document).forEach(url => {
+        if (/^(data|blob|about|javascript):/i.test(url) || url.startsWith('#')) {
+            return;
+        }
+        if (/^(https?:)?\/\//i.test(url)) {
+            addDiagnostic('warning', 'external-asset', `Asset loaded from another site: ${url}.`, { target: url });
+        } else if (bundle && !bundle.getAsset(new URL(url, bundle.baseUrl).href)) {
+            addDiagnostic('warning', 'missing-asset', `Asset missing from the bundle: ${url}.`, { target: url });
+        }
+    });
+
+    return { valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'), diagnostics };
+}
+
+module.exports = {
+    PreflightFailedError,
+    preflightReport,
+};
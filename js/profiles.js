@@ -0,0 +1,154 @@
+// Layout profiles, chosen per report type with the `report` query param or the CLI `report_type` argument.
+// A profile sets the page format, the default margins, the selectors of the layout elements, the page groups
+// and the TOC options.
+
+/**
+ * Error thrown when asking for a report type that has no profile.
+ */
+class UnknownProfileError extends Error {
+    constructor(name) {
+        super(`Unknown report type: ${name}. Known types: ${Object.keys(profiles).join(', ')}.`);
+        this.name = 'UnknownProfileError';
+    }
+}
+
+// The historical layout, used when no report type is given
+const DEFAULT_PROFILE = {
+    format: 'A4',
+    margins: {
+        first: { top: '20mm', bottom: '25mm' }, // Default margins of the first page of a group (see `firstPage`)
+        rest: { top: '35mm', bottom: '25mm' }, // Default margins of the pages of a group
+    },
+    selectors: {
+        firstHeader: '#header-first-page', // Default header and footer of the first page of a group
+        firstFooter: '#footer-first-page',
+        header: '#header-container', // Default header and footer of the pages of a group
+        footer: '#footer',
+        tableOfContent: '#table-of-content',
+        totalPages: '.totalPages',
+    },
+    // Page groups, each rendered with its own header, footer, margins and orientation, then stitched in the order
+    // they first appear in the document. A section joins a group with its `data-page-group` attribute, or when it
+    // matches the `sections` selector of a group, otherwise it joins `defaultPageGroup`.
+    // Group settings: `sections`, `header`, `footer` (selectors), `margins`, `format`, `orientation` ('portrait' or
+    // 'landscape'), `firstPage` ({ header, footer, margins }) to give the first page of the group its own layout,
+    // `landscape` ({ header, footer, margins }) for the landscape sections of a portrait group, and `numbering`
+    // ({ format: 'arabic', 'roman' or 'Roman', restart, start, counted }) for the page numbers written by the
+    // running placeholders of the headers and footers (see running.js).
+    pageGroups: [
+        { name: 'cover', sections: '#presentation', firstPage: {} },
+        { name: 'body' },
+    ],
+    defaultPageGroup: 'body',
+    toc: {
+        startPage: 3, // Anchors landing before this page (the cover and the TOC) are not listed in the TOC
+        pageOffset: 0, // Added to the page numbers written in the TOC
+    },
+};
+
+const profiles = {};
+
+/**
+ * Deep merges plain objects, the values of `overrides` taking precedence.
+ * @param {Object} base
+ * @param {Object} overrides
+ * @returns {Object} A new object.
+ */
+const mergeProfile = (base, overrides) => {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(overrides || {})) {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        merged[key] = isObject ? mergeProfile(base[key], value) : value;
+    }
+    return merged;
+};
+
+/**
+ * Registers (or replaces) the profile of a report type.
+ * @param {string} name - The report type, e.g. "recensement".
+ * @param {Object} overrides - The settings that differ from the default profile.
+ * @returns {Object} The complete profile.
+ */
+function registerProfile(name, overrides = {}) {
+    profiles[name] = mergeProfile(DEFAULT_PROFILE, overrides);
+    profiles[name].name = name;
+    return profiles[name];
+}
+
+/**
+ * Returns the profile of a report type.
+ * @param {string} [name] - The report type. The default profile is returned when empty.
+ * @returns {Object} The profile.
+ * @throws {UnknownProfileError} If the report type has no profile.
+ */
+function getProfile(name) {
+    const key = name || 'default';
+    // Only the registered profiles, not the properties every object inherits ("toString", "constructor"...)
+    const profile = Object.hasOwn(profiles, key) ? profiles[key] : null;
+    if (!profile) {
+        throw new UnknownProfileError(name);
+    }
+    return profile;
+}
+
+/**
+ * Tells whether a report type has a profile of its own.
+ * @param {string} [name] - The report type.
+ * @returns {boolean}
+ */
+const hasProfile = name => Boolean(name) && Object.hasOwn(profiles, name);
+
+/**
+ * Parses CSS-like margins ("35mm 10mm 25mm") into puppeteer margins.
+ * @param {string} value - One to four lengths, in the CSS shorthand order.
+ * @returns {Object} The top, right, bottom and left margins.
+ */
+const parseMargins = value => {
+    const [top, right = top, bottom = top, left = right] = value.trim().split(/\s+/);
+    return { top, right, bottom, left };
+};
+
+/**
+ * Returns the complete settings of a page group: its profile settings, completed by the profile defaults
+ * and overridden by the attributes declared on its first section in the HTML
+ * (`data-page-header`, `data-page-footer`, `data-page-margins`).
+ * @param {Object} profile - The layout profile.
+ * @param {string} name - The group name.
+ * @param {Object} [attributes] - The `header`, `footer` and `margins` declared in the HTML.
+ * @returns {Object} The group settings.
+ */
+function resolvePageGroup(profile, name, attributes = {}) {
+    const declared = (profile.pageGroups || []).find(group => group.name === name) || { name };
+    const group = mergeProfile({
+        header: profile.selectors.header,
+        footer: profile.selectors.footer,
+        margins: profile.margins.rest,
+        format: profile.format,
+        orientation: 'portrait',
+    }, declared);
+
+    if (attributes.header) group.header = attributes.header;
+    if (attributes.footer) group.footer = attributes.footer;
+    if (attributes.margins) group.margins = parseMargins(attributes.margins);
+
+    if (group.firstPage) {
+        group.firstPage = mergeProfile({
+            header: profile.selectors.firstHeader,
+            footer: profile.selectors.firstFooter,
+            margins: profile.margins.first,
+        }, group.firstPage);
+    }
+    return group;
+}
+
+// The report types only get a profile of their own when their layout differs from the default one
+registerProfile('default');
+
+module.exports = {
+    DEFAULT_PROFILE,
+    UnknownProfileError,
+    registerProfile,
+    hasProfile,
+    getProfile,
+    resolvePageGroup,
+};
@@ -0,0 +1,153 @@
+// Readiness contract of the rendered pages: what to wait for after loading the HTML and before laying it out
+// or printing it, so that the preliminary PDF (TOC page numbers) and the final PDF see the same content.
+// The conditions, checked in this order, each within `timeout` milliseconds:
+//   fonts           `document.fonts.ready`, the web fonts are loaded
+//   network_idle    no request for 500 ms (lazily loaded images, data fetched by scripts)
+//   report_ready    `window.reportReady` set by the page: a promise, awaited, or a flag, waited until true
+//   selector        the CSS `selector` matches an element (e.g. added once the charts are drawn)
+// The page runs its scripts again for every rendered page run, so the conditions are checked on each of them.
+
+const READY_CONDITIONS = ['fonts', 'network_idle', 'report_ready', 'selector'];
+
+// Default conditions and timeout, the per-request options override them
+const DEFAULT_READINESS = {
+    conditions: (process.env.READY_CONDITIONS || '').split(',').map(condition => condition.trim()).filter(Boolean),
+    timeout: Number(process.env.READY_TIMEOUT) || 30 * 1000,
+};
+
+// Idle time of the `network_idle` condition
+const NETWORK_IDLE_TIME = 500;
+
+// Readiness of each page, see `setPageReadiness`
+const pageReadiness = new WeakMap();
+
+/**
+ * Error thrown when the readiness options are invalid.
+ */
+class InvalidReadinessError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidReadinessError';
+    }
+}
+
+/**
+ * Error thrown when a readiness condition is still not met at the end of its timeout.
+ */
+class ReportNotReadyError extends Error {
+    constructor(condition, timeout, detail) {
+        super(`Report not ready after ${timeout} ms: ${detail} (${condition} condition).`);
+        this.name = 'ReportNotReadyError';
+        this.condition = condition;
+    }
+}
+
+/**
+ * Builds the readiness of a render from the request options, completed by the defaults.
+ * @param {Object} [options]
+ * @param {string|string[]} [options.conditions] - The conditions to wait for (see `READY_CONDITIONS`), as an array
+ * or a comma separated list. `selector` is implied by the `selector` option.
+ * @param {string} [options.selector] - The CSS selector of the `selector` condition.
+ * @param {number|string} [options.timeout] - The timeout of each condition, in milliseconds.
+ * @returns {Object} The `{ conditions, selector, timeout }` readiness.
+ * @throws {InvalidReadinessError} If a condition is unknown, the selector is missing or the timeout is invalid.
+ */
+function resolveReadiness(options = {}) {
+    let conditions = typeof options.conditions === 'string'
+        ? options.conditions.split(',').map(condition => condition.trim()).filter(Boolean)
+        : options.conditions || DEFAULT_READINESS.conditions;
+    if (options.selector && !conditions.includes('selector')) {
+        conditions = [...conditions, 'selector'];
+    }
+
+    const unknown = conditions.find(condition => !READY_CONDITIONS.includes(condition));
+    if (unknown) {
+        throw new InvalidReadinessError(`Unknown readiness condition: ${unknown}. Use ${READY_CONDITIONS.join(', ')}.`);
+    }
+    if (conditions.includes('selector') && !options.selector) {
+        throw new InvalidReadinessError('The selector readiness condition needs a selector.');
+    }
+
+    const timeout = options.timeout === undefined || options.timeout === '' ? DEFAULT_READINESS.timeout : Number(options.timeout);
+    if (!Number.isFinite(timeout) || timeout <= 0) {
+        throw new InvalidReadinessError(`Invalid readiness timeout: ${options.timeout}.`);
+    }
+
+    // Always checked in the same order
+    conditions = READY_CONDITIONS.filter(condition => conditions.includes(condition));
+    return { conditions, selector: options.selector || null, timeout };
+}
+
+/**
+ * Waits for a promise, failing with a `ReportNotReadyError` when the timeout expires first.
+ * @param {Promise} promise
+ * @param {string} condition - The condition waited for.
+ * @param {number} timeout - In milliseconds.
+ * @param {string} detail - What is not ready, for the error message.
+ * @returns {Promise}
+ */
+const waitForCondition = (promise, condition, timeout, detail) => {
+    let timer;
+    const expiry = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new ReportNotReadyError(condition, timeout, detail)), timeout);
+    });
+    return Promise.race([promise, expiry]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Waits until a page meets the conditions of its readiness.
+ * @param {puppeteer.Page} page - The page, its HTML loaded.
+ * @param {Object} readiness - The readiness (see `resolveReadiness`).
+ * @returns {Promise<void>}
+ * @throws {ReportNotReadyError} If a condition is not met in time.
+ */
+async function waitForReady(page, readiness) {
+    const { timeout } = readiness;
+    for (const condition of readiness.conditions) {
+        switch (condition) {
+            case 'fonts':
+                await waitForCondition(page.evaluate(() => document.fonts.ready.then(() => true)),
+                    condition, timeout, 'web fonts are still loading');
+                break;
+            case 'network_idle':
+                await waitForCondition(page.waitForNetworkIdle({ idleTime: NETWORK_IDLE_TIME, timeout: 0 }),
+                    condition, timeout, 'requests are still pending');
+                break;
+            case 'report_ready':
+                // Polling by interval, animation frames do not run while JavaScript is disabled
+                await waitForCondition(page.waitForFunction(
+                    () => window.reportReady === true || (window.reportReady && typeof window.reportReady.then === 'function'),
+                    { polling: 100, timeout: 0 },
+                ).then(() => page.evaluate(() => Promise.resolve(window.reportReady).then(() => true))),
+                condition, timeout, 'window.reportReady was not set to true or resolved');
+                break;
+            case 'selector':
+                await waitForCondition(page.waitForSelector(readiness.selector, { timeout: 0 }),
+                    condition, timeout, `no element matches "${readiness.selector}"`);
+                break;
+        }
+    }
+}
+
+/**
+ * Attaches a readiness to a page, so that the pages rendering its content wait for the same conditions.
+ * @param {puppeteer.Page} page
+ * @param {Object} readiness - The readiness (see `resolveReadiness`).
+ */
+const setPageReadiness = (page, readiness) => pageReadiness.set(page, readiness);
+
+/**
+ * @param {puppeteer.Page} page
+ * @returns {Object|undefined} The readiness attached to the page, if any.
+ */
+const getPageReadiness = page => pageReadiness.get(page);
+
+module.exports = {
+    READY_CONDITIONS,
+    InvalidReadinessError,
+    ReportNotReadyError,
+    resolveReadiness,
+    waitForReady,
+    setPageReadiness,
+    getPageReadiness,
+};
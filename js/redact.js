@@ -0,0 +1,418 @@
+// Removes text from the content streams of a PDF: the glyphs are taken out of the text showing operators
+// (Tj, TJ, ' and "), so that the text is neither painted nor found by search, copy or screen readers.
+// The text of each operator is decoded with the ToUnicode map of its font (the one pdfjs reads), or as Latin-1
+// for the simple fonts without one. The page contents and the form XObjects they draw are both rewritten.
+
+// Import necessary modules
+const {
+    PDFName, PDFDict, PDFArray, PDFRef, PDFStream, PDFRawStream, PDFFlateStream, decodePDFRawStream,
+} = require('pdf-lib'); // Low-level PDF objects used to read and rewrite the content streams
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+const TEXT_OPERATORS = ['Tj', 'TJ', "'", '"'];
+// End of the data of an inline image, searched from the ID operator with `lastIndex`
+const INLINE_IMAGE_END = /[\0\t\n\f\r ]EI(?=[\0\t\n\f\r ]|$)/g;
+
+/**
+ * Reads the bytes of a stream, decoded.
+ * @param {PDFStream} stream
+ * @returns {string} The content, one character per byte.
+ */
+const readStream = stream => {
+    const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode()
+        : stream instanceof PDFFlateStream ? stream.getUnencodedContents()
+        : stream.getContents();
+    return Buffer.from(bytes).toString('latin1');
+};
+
+/**
+ * Splits a content stream into its operations.
+ * @param {string} content - The decoded content, one character per byte.
+ * @returns {Object[]} One `{ operator, operands, start, end }` per operation, `start` and `end` delimiting its
+ * source (operands included). Strings are `{ type: 'string', bytes }`, arrays `{ type: 'array', items }`.
+ */
+function parseContent(content) {
+    const operations = [];
+    let position = 0;
+
+    const skipSpaces = () => {
+        while (position < content.length) {
+            if (WHITESPACE.includes(content[position])) {
+                position++;
+            } else if (content[position] === '%') {
+                while (position < content.length && content[position] !== '\n' && content[position] !== '\r') {
+                    position++;
+                }
+            } else {
+                return;
+            }
+        }
+    };
+
+    const readLiteralString = () => {
+        let bytes = '';
+        let depth = 1;
+        position++;
+        while (position < content.length) {
+            const char = content[position++];
+            if (char === '\\') {
+                const next = content[position++];
+                const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+                if (escapes[next]) {
+                    bytes += escapes[next];
+                } else if (/[0-7]/.test(next)) {
+                    let octal = next;
+                    while (octal.length < 3 && /[0-7]/.test(content[position])) {
+                        octal += content[position++];
+                    }
+                    bytes += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                } else if (next === '\r') {
+                    // A line continuation
+                    if (content[position] === '\n') position++;
+                } else if (next !== '\n') {
+                    bytes += next;
+                }
+            } else if (char === '(') {
+                depth++;
+                bytes += char;
+            } else if (char === ')') {
+                if (--depth === 0) {
+                    break;
+                }
+                bytes += char;
+            } else {
+                bytes += char;
+            }
+        }
+        return { type: 'string', bytes };
+    };
+
+    const readHexString = () => {
+        const end = content.indexOf('>', position);
+        const hex = content.slice(position + 1, end < 0 ? content.length : end).replace(/[^0-9a-fA-F]/g, '');
+        position = end < 0 ? content.length : end + 1;
+        return { type: 'string', bytes: Buffer.from(hex.length % 2 ? hex + '0' : hex, 'hex').toString('latin1') };
+    };
+
+    const readObject = () => {
+        const char = content[position];
+        if (char === '(') {
+            return readLiteralString();
+        }
+        if (char === '<' && content[position + 1] === '<') {
+            position += 2;
+            const items = [];
+            for (skipSpaces(); position < content.length && !content.startsWith('>>', position); skipSpaces()) {
+                items.push(readObject());
+            }
+            position += 2;
+            return { type: 'dict', items };
+        }
+        if (char === '<') {
+            return readHexString();
+        }
+        if (char === '[') {
+            position++;
+            const items = [];
+            for (skipSpaces(); position < content.length && content[position] !== ']'; skipSpaces()) {
+                items.push(readObject());
+            }
+            position++;
+            return { type: 'array', items };
+        }
+        const start = position;
+        if (char === '/') {
+            position++;
+        } else if (DELIMITERS.includes(char)) {
+            // A stray delimiter (")", ">", "{"...), read alone
+            position++;
+            return { type: 'other', value: char };
+        }
+        while (position < content.length && !WHITESPACE.includes(content[position]) && !DELIMITERS.includes(content[position])) {
+            position++;
+        }
+        const value = content.slice(start, position);
+        if (char === '/') {
+            return { type: 'name', value: value.slice(1) };
+        }
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(value)) {
+            return { type: 'number', value: Number(value) };
+        }
+        return ['true', 'false', 'null'].includes(value) ? { type: 'other', value } : { type: 'operator', value };
+    };
+
+    let operands = [];
+    let start = null;
+    for (skipSpaces(); position < content.length; skipSpaces()) {
+        if (start === null) {
+            start = position;
+        }
+        const object = readObject();
+        if (object.type !== 'operator') {
+            operands.push(object);
+            continue;
+        }
+        if (object.value === 'ID') {
+            // Inline image data, up to the EI operator
+            INLINE_IMAGE_END.lastIndex = position + 1;
+            const end = INLINE_IMAGE_END.exec(content);
+            position = end ? end.index + 3 : content.length;
+        }
+        operations.push({ operator: object.value, operands, start, end: position });
+        operands = [];
+        start = null;
+    }
+    return operations;
+}
+
+/**
+ * Reads the character codes to Unicode map of a font.
+ * @param {PDFDict} font - The font dictionary.
+ * @returns {Object} The `codeLength` in bytes and the `toUnicode` function of the codes.
+ */
+function readFontEncoding(font) {
+    const composite = font.lookup(PDFName.of('Subtype')) === PDFName.of('Type0');
+    const codeLength = composite ? 2 : 1;
+    const map = new Map();
+
+    const toUnicode = font.lookup(PDFName.of('ToUnicode'));
+    if (toUnicode instanceof PDFStream) {
+        const cmap = readStream(toUnicode);
+        const hex = value => parseInt(value, 16);
+        const text = value => Buffer.from(value.length % 4 ? value.padStart(Math.ceil(value.length / 4) * 4, '0') : value, 'hex')
+            .swap16().toString('utf16le');
+        for (const [, block] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+            for (const [, code, unicode] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+                map.set(hex(code), text(unicode));
+            }
+        }
+        for (const [, block] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+            for (const [, low, high, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+                const targets = target.startsWith('[') ? Array.from(target.matchAll(/<([0-9a-fA-F]*)>/g), match => match[1]) : null;
+                for (let code = hex(low); code <= hex(high); code++) {
+                    if (targets) {
+                        map.set(code, text(targets[code - hex(low)] || ''));
+                    } else {
+                        // The last byte of the target is incremented along the range
+                        const first = target.slice(1, -1);
+                        const last = (hex(first.slice(-2)) + code - hex(low)).toString(16).padStart(2, '0');
+                        map.set(code, text(first.slice(0, -2) + last));
+                    }
+                }
+            }
+        }
+    }
+
+    return {
+        codeLength,
+        toUnicode: code => map.has(code) ? map.get(code) : (composite ? '' : String.fromCharCode(code)),
+    };
+}
+
+/**
+ * Splits the bytes of a string operand into character codes.
+ * @param {string} bytes - One character per byte.
+ * @param {number} codeLength - 1 or 2 bytes per code.
+ * @returns {number[]}
+ */
+const toCodes = (bytes, codeLength) => {
+    const codes = [];
+    for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+        codes.push(codeLength === 2 ? (bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1) : bytes.charCodeAt(i));
+    }
+    return codes;
+};
+
+/**
+ * Writes character codes as a hex string.
+ * @param {number[]} codes
+ * @param {number} codeLength - 1 or 2 bytes per code.
+ * @returns {string}
+ */
+const toHexString = (codes, codeLength) => `<${codes.map(code => code.toString(16).padStart(codeLength * 2, '0')).join('')}>`;
+
+/**
+ * Writes an operand back to the content stream syntax.
+ * @param {Object} operand - As read by `parseContent`.
+ * @returns {string}
+ */
+const writeOperand = operand => {
+    switch (operand.type) {
+        case 'number':
+            return String(operand.value);
+        case 'name':
+            return `/${operand.value}`;
+        case 'string':
+            return toHexString(Array.from(operand.bytes, char => char.charCodeAt(0)), 1);
+        case 'array':
+            return `[${operand.items.map(writeOperand).join(' ')}]`;
+        default:
+            return operand.value;
+    }
+};
+
+/**
+ * Removes the text matching a pattern from a content stream.
+ * The text of the text showing operators is joined in the order of the stream, so that a match may span several
+ * operators. An operator whose glyphs all match is removed, the others are written again without these glyphs.
+ * @param {string} content - The decoded content stream, one character per byte.
+ * @param {Function} getFont - Returns the encoding of a font resource (see `readFontEncoding`), null if unknown.
+ * @param {RegExp} pattern - The text to remove, a global pattern.
+ * @returns {Object} The new `content` and the `count` of operators changed.
+ */
+function removeTextFromContent(content, getFont, pattern) {
+    const operations = parseContent(content);
+
+    // The glyphs shown, with the operator (and array item) each one comes from
+    const glyphs = [];
+    let text = '';
+    let font = null;
+    const fontStack = [];
+    operations.forEach(operation => {
+        const { operator, operands } = operation;
+        if (operator === 'q') {
+            fontStack.push(font);
+        } else if (operator === 'Q') {
+            font = fontStack.length ? fontStack.pop() : font;
+        } else if (operator === 'Tf' && operands[0] && operands[0].type === 'name') {
+            font = getFont(operands[0].value);
+        } else if (TEXT_OPERATORS.includes(operator) && font) {
+            operation.font = font;
+            const strings = operator === 'TJ'
+                ? (operands[0] && operands[0].type === 'array' ? operands[0].items : [])
+                : [operands[operands.length - 1]];
+            strings.forEach(string => {
+                if (!string || string.type !== 'string') {
+                    return;
+                }
+                string.codes = toCodes(string.bytes, font.codeLength);
+                string.removed = new Set();
+                string.codes.forEach((code, index) => {
+                    const chars = font.toUnicode(code);
+                    for (let i = 0; i < chars.length; i++) {
+                        glyphs.push({ operation, string, index });
+                    }
+                    text += chars;
+                });
+            });
+        }
+    });
+
+    const changed = new Set();
+    for (const match of text.matchAll(pattern)) {
+        for (let i = match.index; i < match.index + match[0].length; i++) {
+            const { operation, string, index } = glyphs[i];
+            string.removed.add(index);
+            changed.add(operation);
+        }
+    }
+    if (changed.size === 0) {
+        return { content, count: 0 };
+    }
+
+    let result = '';
+    let position = 0;
+    operations.filter(operation => changed.has(operation)).forEach(operation => {
+        const { operator, operands, font } = operation;
+        const keep = string => string.codes.filter((code, index) => !string.removed.has(index));
+        let replacement;
+        if (operator === 'TJ') {
+            const items = operands[0].items.filter(item => item.type !== 'string' || keep(item).length > 0);
+            replacement = items.some(item => item.type === 'string')
+                ? `[${items.map(item => item.type === 'string' ? toHexString(keep(item), font.codeLength) : writeOperand(item)).join(' ')}] TJ`
+                : '';
+        } else {
+            const string = operands[operands.length - 1];
+            const codes = keep(string);
+            // ' and " also move to the next line, and " sets the word and character spacing
+            const lineOperators = operator === "'" ? 'T* ' : operator === '"' ? `${writeOperand(operands[0])} Tw ${writeOperand(operands[1])} Tc T* ` : '';
+            replacement = codes.length > 0 ? `${lineOperators}${toHexString(codes, font.codeLength)} Tj` : lineOperators.trim();
+        }
+        result += content.slice(position, operation.start) + replacement;
+        position = operation.end;
+    });
+    result += content.slice(position);
+    return { content: result, count: changed.size };
+}
+
+/**
+ * Removes the text matching a pattern from the pages of a document, and from the form XObjects they draw.
+ * @param {PDFDocument} pdfDoc - The pdf-lib document.
+ * @param {RegExp} pattern - The text to remove, a global pattern. It should not match across two lines, the
+ * text of a page being joined without separators.
+ * @param {Object} [options]
+ * @param {Set<number>} [options.pages] - The indexes of the pages to rewrite, every page by default.
+ * @returns {number} The count of text showing operators changed.
+ */
+function removeText(pdfDoc, pattern, options = {}) {
+    const context = pdfDoc.context;
+    const visitedForms = new Set();
+    let count = 0;
+
+    /**
+     * Rewrites a content stream and the forms drawn by it.
+     * @param {string} content - The decoded content.
+     * @param {PDFDict} [resources] - The resources of the content.
+     * @returns {string|null} The new content, null when it is unchanged.
+     */
+    const rewrite = (content, resources) => {
+        const fonts = resources && resources.lookupMaybe(PDFName.of('Font'), PDFDict);
+        const encodings = new Map();
+        const getFont = name => {
+            if (!encodings.has(name)) {
+                const font = fonts && fonts.lookupMaybe(PDFName.of(name), PDFDict);
+                encodings.set(name, font ? readFontEncoding(font) : null);
+            }
+            return encodings.get(name);
+        };
+
+        const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+        if (xObjects) {
+            for (const [, value] of xObjects.entries()) {
+                const form = context.lookup(value);
+                if (!(value instanceof PDFRef) || visitedForms.has(value.toString()) || !(form instanceof PDFStream)
+                    || form.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Form')) {
+                    continue;
+                }
+                visitedForms.add(value.toString());
+                const formContent = rewrite(readStream(form), form.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources);
+                if (formContent !== null) {
+                    const stream = context.flateStream(Buffer.from(formContent, 'latin1'));
+                    for (const [key, entry] of form.dict.entries()) {
+                        if (!['Length', 'Filter', 'DecodeParms'].includes(key.asString().slice(1))) {
+                            stream.dict.set(key, entry);
+                        }
+                    }
+                    context.assign(value, stream);
+                }
+            }
+        }
+
+        const result = removeTextFromContent(content, getFont, pattern);
+        count += result.count;
+        return result.count > 0 ? result.content : null;
+    };
+
+    pdfDoc.getPages().forEach((page, index) => {
+        const contents = page.node.Contents();
+        if (!contents || (options.pages && !options.pages.has(index))) {
+            return;
+        }
+        // Several content streams are joined, an operation may not span two of them but the text may
+        const streams = contents instanceof PDFArray
+            ? contents.asArray().map(ref => context.lookup(ref)).filter(stream => stream instanceof PDFStream)
+            : [contents];
+        const resources = context.lookupMaybe(page.node.getInheritableAttribute(PDFName.of('Resources')), PDFDict);
+        const content = rewrite(streams.map(readStream).join('\n'), resources);
+        if (content !== null) {
+            page.node.set(PDFName.of('Contents'), context.register(context.flateStream(Buffer.from(content, 'latin1'))));
+        }
+    });
+    return count;
+}
+
+module.exports = {
+    parseContent,
+    removeText,
+};
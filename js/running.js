@@ -0,0 +1,244 @@
+// Running header and footer values (chapter title, page numbers...), computed once the document is merged.
+//
+// Chromium only fills its own placeholders in the header and footer templates (`pageNumber`, `totalPages`...),
+// with the numbering of the part being rendered. The running placeholders are elements with a `data-running`
+// attribute instead:
+//   <span data-running="chapter-title"></span>    title of the current chapter (level 1 TOC entry)
+//   <span data-running="section-title"></span>    title of the current TOC entry, whatever its level
+//   <span data-running="chapter-page"></span>     page number within the current chapter
+//   <span data-running="page-number"></span>      page number in the document, following the page group numbering
+//   <span data-running="total-pages"></span>      number of numbered pages in the document
+// `data-format` ("arabic", "roman", "Roman") overrides the number format of the page group, `data-align`
+// ("left", "center", "right") aligns the value on the placeholder, and `data-width` sets the room kept for the
+// value, in characters (`MARKER_WIDTHS` by default).
+// The placeholders also work in the sections of the report, and the page count elements (the `.totalPages` class
+// of Chromium in the templates, the `totalPages` selector of the profile in the sections) are `total-pages`
+// placeholders: the page count never changes the HTML rendered, so it never causes another render pass.
+// The placeholders are rendered as nearly invisible markers as wide as the room kept, found back in the merged PDF
+// with pdfjs. Their glyphs are then removed from the pages (see redact.js), so that search, copy and screen readers
+// only get the values written in their place with pdf-lib. A value wider than its marker is shrunk, then clipped.
+// The values keep the colour and the weight of their placeholder: the marker refers to its style in the list read
+// from the document before the first render. The pages of the annexes are left as they are.
+
+// Import necessary modules
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js'); // Used to locate the markers in the merged PDF
+const {
+    PDFDocument, rgb, pushGraphicsState, popGraphicsState, rectangle, clip, endPath,
+} = require('pdf-lib'); // Used to write the values
+const { removeText } = require('./redact'); // Removes the marker glyphs
+const { embedTextFont } = require('./fonts'); // Font of the values
+const { getOutlineLevel } = require('./outline'); // Nesting level of a TOC entry
+
+const RUNNING_FIELDS = ['chapter-title', 'section-title', 'chapter-page', 'page-number', 'total-pages'];
+const NUMBER_FORMATS = ['', 'arabic', 'roman', 'Roman']; // '' follows the page group numbering
+const ALIGNMENTS = ['left', 'center', 'right'];
+// Markers are "@@<field>.<format>.<alignment>.<style>@@", padded with underscores up to the room kept for the
+// value. The style is a base 36 index in the styles of the document
+const MARKER_PATTERN = /@@(\d)\.(\d)\.(\d)\.([0-9a-z])@@_*/g;
+const MAX_STYLES = 36;
+const DEFAULT_STYLE = { color: [0, 0, 0], bold: false };
+// Default room kept for the values, in characters: the marker alone for the numbers
+const MARKER_WIDTHS = { 'chapter-title': 40, 'section-title': 40 };
+const MIN_FIT_SCALE = 0.7; // A value is shrunk down to this share of the marker size, then clipped
+
+/**
+ * Converts a number to roman numerals.
+ * @param {number} number - A positive integer.
+ * @returns {string} The lowercase roman numerals ("iv").
+ */
+const toRoman = number => {
+    const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+        [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+    let roman = '';
+    for (const [value, numeral] of numerals) {
+        while (number >= value) {
+            roman += numeral;
+            number -= value;
+        }
+    }
+    return roman;
+};
+
+const formatNumber = (number, format) => {
+    if (number === null || number === undefined) {
+        return '';
+    }
+    if (format === 'roman') {
+        return toRoman(number);
+    }
+    if (format === 'Roman') {
+        return toRoman(number).toUpperCase();
+    }
+    return String(number);
+};
+
+/**
+ * Computes the running values of every page of the merged document.
+ * The document numbering follows the `numbering` setting of the page groups:
+ * `restart` starts it again (at `start`, 1 by default) on the first page of the group, `counted: false` leaves
+ * the pages of the group unnumbered and out of the total, and `format` sets the number format.
+ * @param {Object[]} runs - The page runs, in page order (see `assignPageGroups`).
+ * @param {number[]} pageCounts - The page count of each run in the merged document.
+ * @param {Object[]} entries - The `{ title, pageIndex }` TOC entries, as returned by `updateTableOfContent`.
+ * @returns {Object[]} The values of each page.
+ */
+function computeRunningValues(runs, pageCounts, entries) {
+    const pages = [];
+    let counter = 0;
+    runs.forEach((run, i) => {
+        const numbering = run.numbering || {};
+        const isFirstRunOfGroup = runs.findIndex(other => other.name === run.name) === i;
+        if (isFirstRunOfGroup && numbering.restart) {
+            counter = (numbering.start || 1) - 1;
+        }
+        for (let page = 0; page < pageCounts[i]; page++) {
+            const counted = numbering.counted !== false;
+            if (counted) {
+                counter++;
+            }
+            pages.push({ pageNumber: counted ? counter : null, format: numbering.format || 'arabic' });
+        }
+    });
+
+    const totalPages = pages.filter(page => page.pageNumber !== null).length;
+    const resolvedEntries = entries.filter(entry => entry.pageIndex !== null && entry.pageIndex !== undefined);
+
+    pages.forEach((page, index) => {
+        const started = resolvedEntries.filter(entry => entry.pageIndex <= index);
+        const chapter = started.filter(entry => getOutlineLevel(entry.title) === 1).pop();
+        const section = started[started.length - 1];
+
+        page.totalPages = totalPages;
+        page.chapterTitle = chapter ? chapter.title : '';
+        page.sectionTitle = section ? section.title : '';
+        page.chapterPage = chapter ? index - chapter.pageIndex + 1 : index + 1;
+    });
+    return pages;
+}
+
+/**
+ * Returns the text of a placeholder for a page.
+ * @param {Object} values - The running values of the page.
+ * @param {string} field - The placeholder field (see `RUNNING_FIELDS`).
+ * @param {string} format - The number format of the placeholder, '' to follow the page group.
+ * @returns {string}
+ */
+const getRunningText = (values, field, format) => {
+    switch (field) {
+        case 'chapter-title':
+            return values.chapterTitle;
+        case 'section-title':
+            return values.sectionTitle;
+        case 'chapter-page':
+            return formatNumber(values.chapterPage, format || values.format);
+        case 'page-number':
+            return formatNumber(values.pageNumber, format || values.format);
+        case 'total-pages':
+            return formatNumber(values.totalPages, format || 'arabic');
+        default:
+            return '';
+    }
+};
+
+/**
+ * Writes the running values in place of the placeholder markers of a merged document.
+ * The markers are located with pdfjs, removed from the pages, and the values written in their box.
+ * The values are written on a document loaded from the saved bytes: pdf-lib keeps the encoded content of the
+ * pages once a document is saved, so drawing on the merged document itself would be lost.
+ * @param {Uint8Array} pdfBytes - The saved merged document.
+ * @param {Object[]} values - The running values of each page (see `computeRunningValues`).
+ * @param {Object} [options]
+ * @param {boolean} [options.embedFonts] - Whether the font of the values must be embedded (PDF/A).
+ * @param {Object[]} [options.styles] - The `{ color, bold }` styles the markers refer to, `color` being the
+ * RGB components between 0 and 1. The values are written in black regular text without them.
+ * @param {Set<number>} [options.pages] - The indexes of the pages holding placeholders, every page by default.
+ * The other pages (the annexes) are neither searched nor rewritten.
+ * @returns {Promise<Object>} The `pdfDoc` holding the values and the `count` of placeholders written.
+ */
+async function stampRunningValues(pdfBytes, values, options = {}) {
+    const pdf = await pdfjs.getDocument(new Uint8Array(pdfBytes)).promise;
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const styles = options.styles || [];
+    // The regular and bold fonts, embedded when a value needs them
+    const fonts = new Map();
+    const getFont = async bold => {
+        if (!fonts.has(bold)) {
+            const font = await embedTextFont(pdfDoc, { bold, embedded: options.embedFonts });
+            fonts.set(bold, { font, charset: new Set(font.getCharacterSet()) });
+        }
+        return fonts.get(bold);
+    };
+    // Characters the font cannot encode are replaced
+    const encodable = (text, charset) => Array.from(text).map(char => charset.has(char.codePointAt(0)) ? char : '?').join('');
+
+    // The boxes of the markers, read before their glyphs are removed
+    const stamps = [];
+    for (let i = 0; i < pdf.numPages; i++) {
+        const pageValues = values[i];
+        if (!pageValues || (options.pages && !options.pages.has(i))) {
+            continue;
+        }
+
+        const content = await (await pdf.getPage(i + 1)).getTextContent({ disableCombineTextItems: true });
+        for (const item of content.items) {
+            if (!item.str || !item.str.includes('@@')) {
+                continue;
+            }
+
+            const [, , , , x, y] = item.transform;
+            const size = Math.hypot(item.transform[2], item.transform[3]);
+            const charWidth = item.width / item.str.length;
+
+            for (const match of item.str.matchAll(MARKER_PATTERN)) {
+                const field = RUNNING_FIELDS[Number(match[1])];
+                const format = NUMBER_FORMATS[Number(match[2])];
+                const align = ALIGNMENTS[Number(match[3])];
+                const style = styles[parseInt(match[4], 36)] || DEFAULT_STYLE;
+                const { font, charset } = await getFont(Boolean(style.bold));
+                const text = encodable(getRunningText(pageValues, field, format), charset);
+                if (!text) {
+                    continue;
+                }
+
+                stamps.push({
+                    page: i, text, align, y, size, font, color: rgb(...style.color),
+                    x: x + charWidth * match.index, width: charWidth * match[0].length,
+                });
+            }
+        }
+    }
+    await pdf.destroy();
+
+    removeText(pdfDoc, MARKER_PATTERN, { pages: options.pages });
+    const pages = pdfDoc.getPages();
+    for (const { page, text, align, x, y, size, width, font, color } of stamps) {
+        // A value wider than the box of its marker is shrunk, and clipped if it is still too wide
+        const naturalWidth = font.widthOfTextAtSize(text, size);
+        const fitSize = naturalWidth > width ? Math.max(size * width / naturalWidth, size * MIN_FIT_SCALE) : size;
+        const textWidth = font.widthOfTextAtSize(text, fitSize);
+        // The value is aligned on the box of the marker
+        const textX = textWidth > width || align === 'left' ? x
+            : align === 'right' ? x + width - textWidth
+            : x + (width - textWidth) / 2;
+
+        if (textWidth > width) {
+            pages[page].pushOperators(pushGraphicsState(), rectangle(x, y - size / 2, width, size * 2), clip(), endPath());
+        }
+        pages[page].drawText(text, { x: textX, y, size: fitSize, font, color });
+        if (textWidth > width) {
+            pages[page].pushOperators(popGraphicsState());
+        }
+    }
+    return { pdfDoc, count: stamps.length };
+}
+
+module.exports = {
+    RUNNING_FIELDS,
+    MARKER_WIDTHS,
+    NUMBER_FORMATS,
+    ALIGNMENTS,
+    MAX_STYLES,
+    computeRunningValues,
+    getRunningText,
+    stampRunningValues,
+};
@@ -0,0 +1,427 @@
+// Digital signature of the final PDF with a PKCS#12 certificate (RSA key), and verification of signed PDFs.
+// The signature is a PAdES baseline B signature: a detached CAdES signature (SubFilter ETSI.CAdES.detached)
+// holding the signing certificate and its ESS signing-certificate-v2 attribute, the signing time being written
+// in the signature dictionary. It may be made visible with a box drawn on a chosen page.
+//
+// The certificate comes from the local config or a mounted secret:
+//   SIGNING_CERTIFICATE       path of the .p12 / .pfx file
+//   SIGNING_PASSPHRASE        its passphrase, or SIGNING_PASSPHRASE_FILE, path of a file holding it
+
+// Import necessary modules
+const fs = require('fs'); // File system module for reading the certificate
+const crypto = require('crypto'); // Digests, signature and certificate checks
+const forge = require('node-forge'); // Reads the PKCS#12 certificate and writes the CMS structure
+const { rgb } = require('pdf-lib'); // Used to draw the visible signature box
+const { SignPdf } = require('@signpdf/signpdf'); // Fills the signature placeholder of the PDF
+const { Signer, SUBFILTER_ETSI_CADES_DETACHED } = require('@signpdf/utils');
+const { pdflibAddPlaceholder } = require('@signpdf/placeholder-pdf-lib'); // Adds the signature dictionary and field
+const { embedTextFont } = require('./fonts'); // Font of the visible signature box
+
+const { asn1 } = forge;
+
+const OIDS = {
+    data: '1.2.840.113549.1.7.1',
+    signedData: '1.2.840.113549.1.7.2',
+    contentType: '1.2.840.113549.1.9.3',
+    messageDigest: '1.2.840.113549.1.9.4',
+    signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+    sha256: '2.16.840.1.101.3.4.2.1',
+    sha384: '2.16.840.1.101.3.4.2.2',
+    sha512: '2.16.840.1.101.3.4.2.3',
+    rsaEncryption: '1.2.840.113549.1.1.1',
+};
+const DIGESTS = { [OIDS.sha256]: 'sha256', [OIDS.sha384]: 'sha384', [OIDS.sha512]: 'sha512' };
+
+// Room kept in the PDF for the signature, in bytes (the certificate chain makes most of it)
+const SIGNATURE_LENGTH = 16384;
+
+let defaultCertificate = null;
+
+/**
+ * Error thrown when the signature cannot be applied: missing or unreadable certificate, invalid options.
+ */
+class SignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SignatureError';
+    }
+}
+
+/**
+ * Reads a PKCS#12 certificate: its private key, the matching certificate and the rest of the chain.
+ * @param {Buffer} p12 - The PKCS#12 file content.
+ * @param {string} [passphrase]
+ * @returns {Object} The `key`, `certificate` and `chain` (forge objects).
+ * @throws {SignatureError} If the file cannot be read or holds no RSA key matching a certificate.
+ */
+function loadCertificate(p12, passphrase = '') {
+    let store;
+    try {
+        store = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(forge.util.createBuffer(p12.toString('binary'))), false, passphrase);
+    } catch (error) {
+        throw new SignatureError(`Cannot read the signing certificate: ${error.message}`);
+    }
+
+    const bags = type => store.getBags({ bagType: type })[type] || [];
+    const keyBag = [...bags(forge.pki.oids.pkcs8ShroudedKeyBag), ...bags(forge.pki.oids.keyBag)].find(bag => bag.key);
+    const certificates = bags(forge.pki.oids.certBag).map(bag => bag.cert).filter(Boolean);
+    if (!keyBag) {
+        throw new SignatureError('The signing certificate holds no RSA private key.');
+    }
+
+    const key = keyBag.key;
+    const certificate = certificates.find(cert => cert.publicKey.n && cert.publicKey.n.compareTo(key.n) === 0);
+    if (!certificate) {
+        throw new SignatureError('The signing certificate holds no certificate matching its private key.');
+    }
+    return { key, certificate, chain: certificates.filter(cert => cert !== certificate) };
+}
+
+/**
+ * Returns the certificate configured with `SIGNING_CERTIFICATE`, read once.
+ * @returns {Object} See `loadCertificate`.
+ * @throws {SignatureError} If no certificate is configured or it cannot be read.
+ */
+function getDefaultCertificate() {
+    if (!defaultCertificate) {
+        const file = process.env.SIGNING_CERTIFICATE;
+        if (!file) {
+            throw new SignatureError('No signing certificate configured (SIGNING_CERTIFICATE).');
+        }
+        const passphrase = process.env.SIGNING_PASSPHRASE_FILE
+            ? fs.readFileSync(process.env.SIGNING_PASSPHRASE_FILE, 'utf8').trim()
+            : process.env.SIGNING_PASSPHRASE || '';
+        defaultCertificate = loadCertificate(fs.readFileSync(file), passphrase);
+    }
+    return defaultCertificate;
+}
+
+/**
+ * @param {Object} certificate - A forge certificate.
+ * @returns {string} Its DER encoding, as a binary string.
+ */
+const certificateToDer = certificate => asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+
+const sequence = values => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values);
+const set = values => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, values);
+const oid = value => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(value).getBytes());
+const octetString = bytes => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, bytes);
+const integer = bytes => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, bytes);
+const algorithm = value => sequence([oid(value), asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')]);
+const attribute = (type, value) => sequence([oid(type), set([value])]);
+
+/**
+ * Signer of the CAdES detached signatures (see @signpdf/signpdf).
+ */
+class CadesSigner extends Signer {
+    /**
+     * @param {Object} certificate - See `loadCertificate`.
+     */
+    constructor(certificate) {
+        super();
+        this.certificate = certificate;
+    }
+
+    /**
+     * @param {Buffer} pdfBuffer - The signed bytes of the PDF (everything but the signature placeholder).
+     * @returns {Promise<Buffer>} The DER encoded CMS SignedData.
+     */
+    async sign(pdfBuffer) {
+        const { key, certificate, chain } = this.certificate;
+        const certificateDer = certificateToDer(certificate);
+        const issuerAndSerial = sequence([
+            forge.pki.distinguishedNameToAsn1(certificate.issuer),
+            integer(forge.util.hexToBytes(certificate.serialNumber)),
+        ]);
+
+        // The attributes are sorted by their encoding, as DER requires for a SET OF
+        const signedAttributes = [
+            attribute(OIDS.contentType, oid(OIDS.data)),
+            attribute(OIDS.messageDigest, octetString(crypto.createHash('sha256').update(pdfBuffer).digest('binary'))),
+            attribute(OIDS.signingCertificateV2, sequence([sequence([sequence([
+                octetString(crypto.createHash('sha256').update(Buffer.from(certificateDer, 'binary')).digest('binary')),
+            ])])])),
+        ].map(value => asn1.toDer(value).getBytes()).sort().map(der => asn1.fromDer(der));
+
+        // The signature covers the attributes encoded as a SET
+        const md = forge.md.sha256.create();
+        md.update(asn1.toDer(set(signedAttributes)).getBytes());
+        const signatureValue = key.sign(md);
+
+        const signerInfo = sequence([
+            integer(String.fromCharCode(1)),
+            issuerAndSerial,
+            algorithm(OIDS.sha256),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, signedAttributes),
+            algorithm(OIDS.rsaEncryption),
+            octetString(signatureValue),
+        ]);
+        const signedData = sequence([
+            integer(String.fromCharCode(1)),
+            set([algorithm(OIDS.sha256)]),
+            sequence([oid(OIDS.data)]),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true,
+                [certificate, ...chain].map(cert => forge.pki.certificateToAsn1(cert))),
+            set([signerInfo]),
+        ]);
+        const contentInfo = sequence([
+            oid(OIDS.signedData),
+            asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [signedData]),
+        ]);
+        return Buffer.from(asn1.toDer(contentInfo).getBytes(), 'binary');
+    }
+}
+
+/**
+ * Checks and completes the signature options.
+ * @param {Object} options
+ * @param {string} [options.reason] - Why the document is signed.
+ * @param {string} [options.location] - Where it is signed.
+ * @param {string} [options.contactInfo] - How to reach the signer.
+ * @param {number|string} [options.page] - The 1-based page of the visible signature box, the last page by default.
+ * @param {number[]|string} [options.box] - The visible box `[x, y, width, height]` in points from the bottom left
+ * corner of the page ("400,40,160,50"), the signature stays invisible without it.
+ * @param {Object} [options.certificate] - The certificate (see `loadCertificate`), the configured one by default.
+ * @returns {Object} The signature options.
+ * @throws {SignatureError} If the box or the page is invalid.
+ */
+function resolveSignature(options = {}) {
+    const box = typeof options.box === 'string' ? options.box.split(',').map(Number) : options.box || null;
+    if (box && (box.length !== 4 || box.some(value => !Number.isFinite(value)) || box[2] <= 0 || box[3] <= 0)) {
+        throw new SignatureError(`Invalid signature box: ${options.box}. Use x,y,width,height in points.`);
+    }
+    const page = options.page ? Number(options.page) : null;
+    if (page !== null && !(Number.isInteger(page) && page > 0)) {
+        throw new SignatureError(`Invalid signature page: ${options.page}.`);
+    }
+
+    return {
+        reason: options.reason || '',
+        location: options.location || '',
+        contactInfo: options.contactInfo || '',
+        page,
+        box,
+        certificate: options.certificate || null,
+    };
+}
+
+/**
+ * Draws the visible signature box: a frame with the signer, the date, the reason and the location.
+ * @param {PDFDocument} pdfDoc
+ * @param {PDFPage} page
+ * @param {number[]} box - `[x, y, width, height]`
+ * @param {string[]} lines - The lines of text.
+ * @param {boolean} [embedFont] - Whether the font of the text must be embedded (PDF/A).
+ * @returns {Promise<void>}
+ */
+async function drawSignatureBox(pdfDoc, page, box, lines, embedFont = false) {
+    const [x, y, width, height] = box;
+    const font = await embedTextFont(pdfDoc, { embedded: embedFont });
+    const charset = new Set(font.getCharacterSet());
+    const size = Math.min(9, (height - 8) / (lines.length * 1.2));
+
+    page.drawRectangle({ x, y, width, height, borderColor: rgb(0.2, 0.3, 0.6), borderWidth: 1 });
+    lines.forEach((line, i) => {
+        const text = Array.from(line).map(char => charset.has(char.codePointAt(0)) ? char : '?').join('');
+        page.drawText(text, { x: x + 4, y: y + height - 4 - size * (1.2 * i + 1), size, font, maxWidth: width - 8 });
+    });
+}
+
+/**
+ * Signs a document. It must be the last change made to the document: any later change breaks the signature.
+ * @param {PDFDocument} pdfDoc - The final pdf-lib document.
+ * @param {Object} signature - The signature options (see `resolveSignature`).
+ * @param {Object} [options]
+ * @param {boolean} [options.embedFonts] - Whether the font of the visible box must be embedded (PDF/A).
+ * @returns {Promise<Buffer>} The signed PDF.
+ * @throws {SignatureError} If no certificate is available or the page is out of the document.
+ */
+async function signPDF(pdfDoc, signature, options = {}) {
+    const certificate = signature.certificate || getDefaultCertificate();
+    const pages = pdfDoc.getPages();
+    if (signature.page && signature.page > pages.length) {
+        throw new SignatureError(`Invalid signature page: ${signature.page}, the document has ${pages.length} pages.`);
+    }
+    const page = pages[(signature.page || pages.length) - 1];
+    const signer = certificate.certificate.subject.getField('CN');
+    const signingTime = new Date();
+
+    let widgetRect = [0, 0, 0, 0];
+    if (signature.box) {
+        const [x, y, width, height] = signature.box;
+        await drawSignatureBox(pdfDoc, page, signature.box, [
+            `Signé numériquement par ${signer ? signer.value : ''}`,
+            `Date : ${signingTime.toLocaleString('fr-FR', { timeZone: 'UTC' })} UTC`,
+            signature.reason && `Motif : ${signature.reason}`,
+            signature.location && `Lieu : ${signature.location}`,
+        ].filter(Boolean), options.embedFonts);
+        widgetRect = [x, y, x + width, y + height];
+    }
+
+    pdflibAddPlaceholder({
+        pdfDoc,
+        pdfPage: page,
+        reason: signature.reason,
+        location: signature.location,
+        contactInfo: signature.contactInfo,
+        name: signer ? signer.value : '',
+        signingTime,
+        signatureLength: SIGNATURE_LENGTH,
+        subFilter: SUBFILTER_ETSI_CADES_DETACHED,
+        widgetRect,
+    });
+
+    // The placeholder must stay outside of object streams to be filled
+    const pdfBuffer = Buffer.from(await pdfDoc.save({ useObjectStreams: false }));
+    return new SignPdf().sign(pdfBuffer, new CadesSigner(certificate));
+}
+
+/**
+ * Reads a literal string entry of a signature dictionary.
+ * @param {string} dictionary - The dictionary source.
+ * @param {string} name - The entry name.
+ * @returns {string|null}
+ */
+const readDictionaryString = (dictionary, name) => {
+    const match = new RegExp(`/${name}\\s*\\(((?:\\\\.|[^\\\\)])*)\\)`).exec(dictionary);
+    return match ? match[1].replace(/\\(.)/g, '$1') : null;
+};
+
+/**
+ * Returns the DER structure at the start of a buffer, as long as its header says. The signature placeholder of a
+ * PDF is padded with zeros after the CMS, which may itself end with zero bytes.
+ * @param {Buffer} buffer - The signature placeholder content.
+ * @returns {Buffer} The DER encoded CMS.
+ * @throws {Error} If the buffer does not start with a complete DER SEQUENCE.
+ */
+function sliceDer(buffer) {
+    if (buffer.length < 2 || buffer[0] !== 0x30) {
+        throw new Error('not a DER sequence.');
+    }
+    let length = buffer[1];
+    let headerLength = 2;
+    if (length & 0x80) {
+        // Long form: the low bits give the count of length bytes
+        const count = length & 0x7f;
+        if (count === 0 || count > 4 || buffer.length < 2 + count) {
+            throw new Error('invalid DER length.');
+        }
+        length = buffer.subarray(2, 2 + count).reduce((total, byte) => total * 256 + byte, 0);
+        headerLength += count;
+    }
+    if (headerLength + length > buffer.length) {
+        throw new Error('truncated DER sequence.');
+    }
+    return buffer.subarray(0, headerLength + length);
+}
+
+/**
+ * Checks one CMS signature against the bytes it covers.
+ * @param {Buffer} cms - The DER encoded CMS SignedData.
+ * @param {Buffer} signedBytes - The bytes covered by the signature.
+ * @returns {Object} `{ valid, signer, certificate, errors }`.
+ */
+function checkCms(cms, signedBytes) {
+    const errors = [];
+    const contentInfo = asn1.fromDer(forge.util.createBuffer(cms.toString('binary')));
+    const signedData = contentInfo.value[1].value[0];
+    const certificates = signedData.value
+        .filter(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0)
+        .flatMap(node => node.value)
+        .map(node => new crypto.X509Certificate(Buffer.from(asn1.toDer(node).getBytes(), 'binary')));
+    const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+
+    const serial = forge.util.bytesToHex(signerInfo.value[1].value[1].value).replace(/^0+/, '').toUpperCase();
+    const certificate = certificates.find(cert => cert.serialNumber.replace(/^0+/, '').toUpperCase() === serial);
+    if (!certificate) {
+        return { valid: false, signer: null, certificate: null, errors: ['The signing certificate is missing.'] };
+    }
+
+    const digest = DIGESTS[asn1.derToOid(signerInfo.value[2].value[0].value)];
+    if (!digest) {
+        return { valid: false, signer: certificate.subject, certificate, errors: ['Unsupported digest algorithm.'] };
+    }
+
+    const signedAttributes = signerInfo.value.find(node => node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === 0);
+    const signatureValue = signerInfo.value.find((node, i) => i > 3 && node.type === asn1.Type.OCTETSTRING);
+    const documentDigest = crypto.createHash(digest).update(signedBytes).digest('binary');
+
+    let signedContent = signedBytes;
+    if (signedAttributes) {
+        const messageDigest = signedAttributes.value
+            .find(attr => asn1.derToOid(attr.value[0].value) === OIDS.messageDigest);
+        if (!messageDigest || messageDigest.value[1].value[0].value !== documentDigest) {
+            errors.push('The document was modified after it was signed.');
+        }
+        // The signature covers the attributes encoded as a SET
+        signedContent = Buffer.from(asn1.toDer(set(signedAttributes.value)).getBytes(), 'binary');
+    }
+
+    const verified = crypto.verify(digest, signedContent, certificate.publicKey, Buffer.from(signatureValue.value, 'binary'));
+    if (!verified) {
+        errors.push('The signature does not match the signing certificate.');
+    }
+    return { valid: errors.length === 0, signer: certificate.subject, certificate, errors };
+}
+
+/**
+ * Verifies the signatures of a PDF: the document integrity and the signature value of each of them.
+ * The trust in the signing certificate (chain up to a trusted authority, revocation) is not checked.
+ * @param {Buffer} pdfBuffer - The PDF.
+ * @returns {Object} `{ signed, valid, signatures }`, each signature giving its signer, certificate validity,
+ * signing time, reason, location, whether it covers the whole document, its errors and warnings.
+ */
+function verifyPDF(pdfBuffer) {
+    const source = pdfBuffer.toString('latin1');
+    const signatures = [];
+    const byteRangePattern = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+
+    for (const match of source.matchAll(byteRangePattern)) {
+        const [start, firstLength, secondStart, secondLength] = match.slice(1).map(Number);
+        const signedBytes = Buffer.concat([
+            pdfBuffer.subarray(start, start + firstLength),
+            pdfBuffer.subarray(secondStart, secondStart + secondLength),
+        ]);
+        const contents = source.slice(start + firstLength + 1, secondStart - 1);
+        const dictionaryStart = source.lastIndexOf('<<', match.index);
+        const dictionary = source.slice(dictionaryStart, source.indexOf('>>', secondStart) + 2);
+
+        let result;
+        try {
+            result = checkCms(sliceDer(Buffer.from(contents, 'hex')), signedBytes);
+        } catch (error) {
+            result = { valid: false, signer: null, certificate: null, errors: [`Unreadable signature: ${error.message}`] };
+        }
+
+        const coversWholeDocument = secondStart + secondLength === pdfBuffer.length;
+        const warnings = coversWholeDocument ? [] : ['The document was changed after this signature (incremental update).'];
+        signatures.push({
+            valid: result.valid,
+            signer: result.signer,
+            certificateValidFrom: result.certificate ? result.certificate.validFrom : null,
+            certificateValidTo: result.certificate ? result.certificate.validTo : null,
+            subFilter: (/\/SubFilter\s*\/([^\s/>]+)/.exec(dictionary) || [])[1] || null,
+            signingTime: readDictionaryString(dictionary, 'M'),
+            reason: readDictionaryString(dictionary, 'Reason'),
+            location: readDictionaryString(dictionary, 'Location'),
+            coversWholeDocument,
+            errors: result.errors,
+            warnings,
+        });
+    }
+
+    return {
+        signed: signatures.length > 0,
+        valid: signatures.length > 0 && signatures.every(signature => signature.valid),
+        signatures,
+    };
+}
+
+module.exports = {
+    SignatureError,
+    loadCertificate,
+    resolveSignature,
+    signPDF,
+    verifyPDF,
+    sliceDer,
+};
@@ -0,0 +1,106 @@
+// Import necessary modules
+const fs = require('fs'); // File system module for reading the template files
+const path = require('path'); // Module for handling file and directory paths
+const Handlebars = require('handlebars'); // Template engine: loops, conditionals, partials and HTML escaping by default
+
+// Directory holding the report templates:
+//   <TEMPLATES_DIR>/<report type>.hbs         one template per report type (e.g. recensement.hbs)
+//   <TEMPLATES_DIR>/partials/<name>.hbs       fragments shared by the templates, included with {{> name}}
+//   <TEMPLATES_DIR>/samples/<report type>.json  sample data of a template, e.g. for POST /template_visualiser
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, '..', 'templates');
+const TEMPLATE_EXTENSION = '.hbs';
+
+// Isolated Handlebars environment, so that helpers and partials do not leak into other users of the library
+const handlebars = Handlebars.create();
+const templates = new Map(); // Compiled templates by report type
+let loaded = false;
+
+/**
+ * Error thrown when rendering a template that is not registered.
+ */
+class TemplateNotFoundError extends Error {
+    constructor(name) {
+        super(`Unknown template: ${name}.`);
+        this.name = 'TemplateNotFoundError';
+    }
+}
+
+// Comparison helper for conditionals, {{#if (eq statut "brouillon")}}...{{/if}}
+handlebars.registerHelper('eq', (a, b) => a === b);
+
+/**
+ * Registers (or replaces) the template of a report type.
+ * Values are HTML-escaped unless output with triple braces ({{{ value }}}).
+ * @param {string} name - The report type, e.g. "recensement".
+ * @param {string} source - The Handlebars source of the whole report HTML.
+ */
+function registerTemplate(name, source) {
+    templates.set(name, handlebars.compile(source));
+}
+
+/**
+ * Registers (or replaces) a partial shared by the templates, such as the header or footer fragments.
+ * @param {string} name - The partial name, used as {{> name}}.
+ * @param {string} source - The Handlebars source of the fragment.
+ */
+function registerPartial(name, source) {
+    handlebars.registerPartial(name, source);
+}
+
+/**
+ * Reads the templates and partials of a directory (see `TEMPLATES_DIR` for the layout).
+ * A missing directory simply registers nothing.
+ * @param {string} [dir] - The templates directory.
+ */
+function loadTemplates(dir = TEMPLATES_DIR) {
+    const readTemplates = (folder, register) => {
+        if (!fs.existsSync(folder)) {
+            return;
+        }
+        fs.readdirSync(folder)
+            .filter(file => path.extname(file) === TEMPLATE_EXTENSION)
+            .forEach(file => register(path.basename(file, TEMPLATE_EXTENSION), fs.readFileSync(path.join(folder, file), 'utf8')));
+    };
+
+    readTemplates(path.join(dir, 'partials'), registerPartial);
+    readTemplates(dir, registerTemplate);
+    loaded = true;
+}
+
+/**
+ * @returns {string[]} The registered report types.
+ */
+function listTemplates() {
+    if (!loaded) {
+        loadTemplates();
+    }
+    return Array.from(templates.keys());
+}
+
+/**
+ * Renders the report HTML of a report type from its data.
+ * The result goes through the usual `generateHTML`/`generatePDF` pipeline.
+ * @param {string} name - The report type.
+ * @param {Object} data - The report data.
+ * @returns {string} The report HTML.
+ * @throws {TemplateNotFoundError} If no template is registered for this report type.
+ */
+function renderTemplate(name, data) {
+    if (!loaded) {
+        loadTemplates();
+    }
+    const template = templates.get(name);
+    if (!template) {
+        throw new TemplateNotFoundError(name);
+    }
+    return template(data || {});
+}
+
+module.exports = {
+    TemplateNotFoundError,
+    registerTemplate,
+    registerPartial,
+    loadTemplates,
+    listTemplates,
+    renderTemplate,
+};
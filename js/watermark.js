@@ -0,0 +1,218 @@
+// Watermarks stamped on the merged PDF ("BROUILLON", "CONFIDENTIEL", a "cancelled" stamp image...), so that the
+// draft, confidential and cancelled versions of a report are produced from the same HTML.
+// Watermark options:
+//   text        the text, with `{date}`, `{time}`, `{page}`, `{pages}`, `{reference}`, `{report}` or any of the
+//               `variables` replaced ("Brouillon du {date} - réf. {reference}")
+//   image       a PNG or JPEG image, instead of or along with the text
+//   position    'diagonal' (default, across the page), 'center', 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+//   opacity     from 0 to 1, 0.2 by default
+//   pages       the page range ("2-" leaves the cover out, "1,3-5", "-3"), every page by default
+//   size        the font size, fitted to the page diagonal by default for the diagonal position
+//   color       the text color, "#rrggbb"
+//   reference   the document reference of the `{reference}` variable
+
+// Import necessary modules
+const { rgb, degrees } = require('pdf-lib'); // Used to draw the watermarks
+const { embedTextFont } = require('./fonts'); // Font of the watermark text
+
+const WATERMARK_POSITIONS = ['diagonal', 'center', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const DEFAULT_OPACITY = 0.2;
+const DEFAULT_COLOR = '#808080';
+const CORNER_FONT_SIZE = 14;
+const CORNER_IMAGE_WIDTH = 100; // In points
+const MARGIN = 20; // Distance of the corner watermarks to the page edges, in points
+
+/**
+ * Error thrown when the watermark options are invalid.
+ */
+class InvalidWatermarkError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidWatermarkError';
+    }
+}
+
+/**
+ * Parses a page range ("2-", "1,3-5", "-3") into 0-based page indices.
+ * @param {string} range - Comma separated page numbers and ranges, 1-based and inclusive.
+ * @param {number} pageCount - The number of pages of the document.
+ * @returns {Set<number>} The page indices.
+ * @throws {InvalidWatermarkError} If the range cannot be read.
+ */
+function parsePageRange(range, pageCount) {
+    const indices = new Set();
+    for (const part of String(range).split(',').map(part => part.trim()).filter(Boolean)) {
+        const match = /^(\d*)\s*(-?)\s*(\d*)$/.exec(part);
+        if (!match || (!match[1] && !match[3])) {
+            throw new InvalidWatermarkError(`Invalid page range: ${range}.`);
+        }
+        const from = match[1] ? Number(match[1]) : 1;
+        const to = match[2] ? (match[3] ? Number(match[3]) : pageCount) : from;
+        for (let page = Math.max(from, 1); page <= Math.min(to, pageCount); page++) {
+            indices.add(page - 1);
+        }
+    }
+    return indices;
+}
+
+/**
+ * Checks and completes the watermark options.
+ * @param {Object} options - The watermark options (see the top of this file).
+ * @returns {Object|null} The watermark, or null when it has neither text nor image.
+ * @throws {InvalidWatermarkError} If an option is invalid.
+ */
+function resolveWatermark(options = {}) {
+    if (!options.text && !options.image) {
+        return null;
+    }
+
+    const position = options.position || 'diagonal';
+    if (!WATERMARK_POSITIONS.includes(position)) {
+        throw new InvalidWatermarkError(`Unknown watermark position: ${position}. Use ${WATERMARK_POSITIONS.join(', ')}.`);
+    }
+
+    const opacity = options.opacity === undefined || options.opacity === '' ? DEFAULT_OPACITY : Number(options.opacity);
+    if (!(opacity >= 0 && opacity <= 1)) {
+        throw new InvalidWatermarkError(`Invalid watermark opacity: ${options.opacity}. Use a number from 0 to 1.`);
+    }
+
+    const size = options.size ? Number(options.size) : null;
+    if (size !== null && !(size > 0)) {
+        throw new InvalidWatermarkError(`Invalid watermark size: ${options.size}.`);
+    }
+
+    const color = /^#?([0-9a-f]{6})$/i.exec(options.color || DEFAULT_COLOR);
+    if (!color) {
+        throw new InvalidWatermarkError(`Invalid watermark color: ${options.color}. Use #rrggbb.`);
+    }
+    const hex = parseInt(color[1], 16);
+
+    if (options.pages) {
+        parsePageRange(options.pages, 1); // Only checks the syntax
+    }
+
+    return {
+        text: options.text || null,
+        image: options.image || null,
+        position,
+        opacity,
+        pages: options.pages || null,
+        size,
+        color: rgb((hex >> 16) / 255, ((hex >> 8) & 0xff) / 255, (hex & 0xff) / 255),
+        variables: { reference: options.reference || '', ...options.variables },
+    };
+}
+
+/**
+ * Replaces the `{variables}` of a watermark text. Unknown variables are left as they are.
+ * @param {string} text
+ * @param {Object} variables
+ * @returns {string}
+ */
+const formatWatermarkText = (text, variables) =>
+    text.replace(/\{(\w+)\}/g, (placeholder, name) => (variables[name] !== undefined ? String(variables[name]) : placeholder));
+
+/**
+ * Returns where to draw a box on a page so that it lands at the watermark position once rotated.
+ * @param {Object} page - The page `width` and `height`.
+ * @param {number} width - The box width.
+ * @param {number} height - The box height.
+ * @param {string} position - The watermark position.
+ * @returns {Object} The `x` and `y` of the box origin and its `angle` in degrees.
+ */
+const placeBox = (page, width, height, position) => {
+    if (position === 'diagonal' || position === 'center') {
+        const angle = position === 'diagonal' ? Math.atan2(page.height, page.width) : 0;
+        // pdf-lib rotates around the origin of the box, move it so that the box center is the page center
+        const x = page.width / 2 - (width / 2) * Math.cos(angle) + (height / 2) * Math.sin(angle);
+        const y = page.height / 2 - (width / 2) * Math.sin(angle) - (height / 2) * Math.cos(angle);
+        return { x, y, angle: angle * 180 / Math.PI };
+    }
+
+    const [vertical, horizontal] = position.split('-');
+    return {
+        x: horizontal === 'left' ? MARGIN : page.width - MARGIN - width,
+        y: vertical === 'bottom' ? MARGIN : page.height - MARGIN - height,
+        angle: 0,
+    };
+};
+
+/**
+ * Embeds a PNG or JPEG image, recognized from its first bytes.
+ * @param {PDFDocument} pdfDoc
+ * @param {Uint8Array} image
+ * @returns {Promise<PDFImage>}
+ * @throws {InvalidWatermarkError} If the image is neither PNG nor JPEG.
+ */
+const embedImage = async (pdfDoc, image) => {
+    const bytes = new Uint8Array(image);
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+        return pdfDoc.embedPng(bytes);
+    }
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        return pdfDoc.embedJpg(bytes);
+    }
+    throw new InvalidWatermarkError('The watermark image must be a PNG or JPEG image.');
+};
+
+/**
+ * Stamps a watermark on the pages of a document.
+ * @param {PDFDocument} pdfDoc - The merged pdf-lib document.
+ * @param {Object} watermark - The watermark (see `resolveWatermark`).
+ * @param {Object} [variables] - Variables of the text, along with the ones of the watermark.
+ * @param {Object} [options]
+ * @param {boolean} [options.embedFonts] - Whether the font of the text must be embedded (PDF/A).
+ * @returns {Promise<number>} The number of stamped pages.
+ */
+async function addWatermark(pdfDoc, watermark, variables = {}, options = {}) {
+    const pages = pdfDoc.getPages();
+    const indices = watermark.pages ? parsePageRange(watermark.pages, pages.length) : new Set(pages.keys());
+    const font = watermark.text ? await embedTextFont(pdfDoc, { bold: true, embedded: options.embedFonts }) : null;
+    const image = watermark.image ? await embedImage(pdfDoc, watermark.image) : null;
+    const charset = font ? new Set(font.getCharacterSet()) : null;
+
+    const now = new Date();
+    const baseVariables = {
+        date: now.toLocaleDateString('fr-FR'),
+        time: now.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' }),
+        pages: pages.length,
+        ...variables,
+        ...watermark.variables,
+    };
+
+    for (const index of indices) {
+        const page = pages[index];
+        const pageSize = page.getSize();
+        const isCentered = watermark.position === 'diagonal' || watermark.position === 'center';
+        const pageDiagonal = Math.hypot(pageSize.width, pageSize.height);
+
+        if (image) {
+            const width = isCentered ? pageDiagonal / 2 : CORNER_IMAGE_WIDTH;
+            const height = width * image.height / image.width;
+            const { x, y, angle } = placeBox(pageSize, width, height, watermark.position);
+            page.drawImage(image, { x, y, width, height, rotate: degrees(angle), opacity: watermark.opacity });
+        }
+
+        if (font) {
+            // Characters the font cannot encode are replaced
+            const text = Array.from(formatWatermarkText(watermark.text, { ...baseVariables, page: index + 1 }))
+                .map(char => charset.has(char.codePointAt(0)) ? char : '?').join('');
+            const size = watermark.size
+                || (isCentered ? 0.7 * pageDiagonal / Math.max(font.widthOfTextAtSize(text, 1), 1) : CORNER_FONT_SIZE);
+            const width = font.widthOfTextAtSize(text, size);
+            const height = font.heightAtSize(size, { descender: false });
+            const { x, y, angle } = placeBox(pageSize, width, height, watermark.position);
+            page.drawText(text, { x, y, size, font, color: watermark.color, rotate: degrees(angle), opacity: watermark.opacity });
+        }
+    }
+    return indices.size;
+}
+
+module.exports = {
+    WATERMARK_POSITIONS,
+    InvalidWatermarkError,
+    resolveWatermark,
+    addWatermark,
+    parsePageRange,
+};
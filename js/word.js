@@ -0,0 +1,548 @@
+// Word (DOCX) export of a report, for the clients who edit the final report.
+// The processed HTML is read from the page (computed styles included) into a simple block model, then written with
+// the `docx` library:
+// - every page run (see `assignPageGroups`) becomes a Word section, with the header and footer of its page group,
+//   the header and footer of the first page of the group on its first page, its page format, orientation and
+//   margins (the left and right margins default to `DEFAULT_SIDE_MARGIN`, the HTML padding being lost);
+// - h1 to h6 become the Word heading styles, and the table of contents a Word TOC field over these styles, filled
+//   with the entries of the HTML table of contents until Word updates it;
+// - tables, lists, images, links and the bold, italic, underlined, struck, colored, superscript and subscript text
+//   are kept, the elements targeted by internal links become bookmarks;
+// - the page numbers of the headers and footers become PAGE and NUMPAGES fields (`pageNumber`, `totalPages`,
+//   `data-running="page-number"`, `"chapter-page"`, `"total-pages"`), the running titles STYLEREF fields on the
+//   heading styles (`data-running="chapter-title"` on Heading 1, `"section-title"` on Heading 2).
+// Annex placeholders are left out, the PDF annexes only exist in the PDF.
+
+// Import necessary modules
+const {
+    Document, Packer, Paragraph, TextRun, ImageRun, Table, TableRow, TableCell, Header, Footer, TableOfContents,
+    ExternalHyperlink, InternalHyperlink, Bookmark, SimpleField, PageNumber, HeadingLevel, AlignmentType,
+    LevelFormat, PageOrientation, WidthType, ShadingType,
+} = require('docx'); // Writes the Word document
+const { getOutlineLevel } = require('./outline'); // Nesting level of a TOC entry
+const { isReachableHost } = require('./network'); // Checks the image hosts when the page has no sandbox
+const { name: packageName, version: packageVersion } = require('../package.json');
+
+const DOCX_CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Page sizes of the page formats, in millimeters (portrait)
+const PAGE_SIZES = {
+    A3: [297, 420],
+    A4: [210, 297],
+    A5: [148, 210],
+    Letter: [215.9, 279.4],
+    Legal: [215.9, 355.6],
+    Tabloid: [279.4, 431.8],
+};
+const DEFAULT_SIDE_MARGIN = '20mm';
+
+const TWIPS_PER_UNIT = { mm: 1440 / 25.4, cm: 1440 / 2.54, in: 1440, pt: 20, px: 15 };
+const IMAGE_FETCH_TIMEOUT = 10 * 1000;
+const IMAGE_FETCH_CONCURRENCY = 4; // Images fetched at once
+const MAX_IMAGE_REDIRECTS = 5;
+
+const HEADING_LEVELS = [HeadingLevel.HEADING_1, HeadingLevel.HEADING_2, HeadingLevel.HEADING_3,
+    HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6];
+const ALIGNMENTS = { center: AlignmentType.CENTER, right: AlignmentType.RIGHT, end: AlignmentType.RIGHT, justify: AlignmentType.JUSTIFIED };
+
+// Fields of the running placeholders and of the Chromium header and footer classes
+const FIELDS = {
+    'page': () => new TextRun({ children: [PageNumber.CURRENT] }),
+    'pages': () => new TextRun({ children: [PageNumber.TOTAL_PAGES] }),
+    'chapter-title': () => new SimpleField('STYLEREF "Heading 1"'),
+    'section-title': () => new SimpleField('STYLEREF "Heading 2"'),
+    'date': () => new SimpleField('DATE'),
+};
+const FIELD_NAMES = {
+    'pageNumber': 'page',
+    'totalPages': 'pages',
+    'page-number': 'page',
+    'chapter-page': 'page',
+    'total-pages': 'pages',
+};
+
+/**
+ * Converts a CSS length ("35mm", "1in", "20px") to twips.
+ * @param {string|number} value - A number alone is in pixels, like the puppeteer margins.
+ * @returns {number}
+ */
+const toTwips = value => {
+    const length = /^\s*([\d.]+)\s*(mm|cm|in|pt|px)?\s*$/.exec(String(value));
+    return length ? Math.round(Number(length[1]) * TWIPS_PER_UNIT[length[2] || 'px']) : 0;
+};
+
+/**
+ * Turns an element id into a Word bookmark name: letters, digits and underscores, at most 40 characters.
+ * @param {string} id
+ * @returns {string}
+ */
+const toBookmarkName = id => `_${id.replace(/\W/g, '_')}`.slice(0, 40);
+
+/**
+ * Reads the content of every page run from the page, as a block model.
+ * @param {puppeteer.Page} page - The page holding the processed report HTML.
+ * @param {Object[]} runs - The page runs (see `assignPageGroups`), annex runs excluded.
+ * @param {Object} selectors - The selectors of the layout profile.
+ * @returns {Promise<Object>} The `sections` (the `header`, `footer`, `firstHeader`, `firstFooter` and `body` blocks
+ * of each run), the `images` they refer to by index (`{ src, width, height, alt }`) and the document `title`.
+ */
+async function readWordContent(page, runs, selectors) {
+    return page.evaluate((runs, selectors) => {
+        const images = [];
+        const templateSelectors = [selectors.header, selectors.footer, selectors.firstHeader, selectors.firstFooter]
+            .concat(...runs.map(run => [run.header, run.footer, run.firstPage && run.firstPage.header, run.firstPage && run.firstPage.footer]))
+            .filter(Boolean);
+
+        // Elements targeted by the internal links and the TOC get a bookmark
+        const targets = new Set();
+        document.querySelectorAll('a[href^="#"]').forEach(link => targets.add(decodeURIComponent(link.getAttribute('href').slice(1))));
+        document.querySelectorAll('[data-toc-target]').forEach(element => targets.add(element.dataset.tocTarget));
+
+        const toHex = color => {
+            const rgb = /^rgba?\((\d+), (\d+), (\d+)(?:, ([\d.]+))?\)$/.exec(color);
+            if (!rgb || rgb[4] === '0') {
+                return null;
+            }
+            return rgb.slice(1, 4).map(value => Number(value).toString(16).padStart(2, '0')).join('');
+        };
+
+        const getFormat = style => ({
+            bold: Number(style.fontWeight) >= 600 || undefined,
+            italics: style.fontStyle === 'italic' || undefined,
+            underline: style.textDecorationLine.includes('underline') || undefined,
+            strike: style.textDecorationLine.includes('line-through') || undefined,
+            superScript: style.verticalAlign === 'super' || undefined,
+            subScript: style.verticalAlign === 'sub' || undefined,
+            color: (color => color && color !== '000000' ? color : undefined)(toHex(style.color)),
+        });
+
+        const getField = element => {
+            if (element.dataset.running) {
+                return element.dataset.running;
+            }
+            return ['pageNumber', 'totalPages', 'date'].find(name => element.classList.contains(name)) || null;
+        };
+
+        const readImage = image => {
+            const rect = image.getBoundingClientRect();
+            images.push({
+                src: image.currentSrc || image.src,
+                width: Math.round(rect.width || image.width || image.naturalWidth),
+                height: Math.round(rect.height || image.height || image.naturalHeight),
+                alt: image.alt || '',
+            });
+            return { image: images.length - 1 };
+        };
+
+        // Blocks of an element: its block children, and paragraphs gathering its inline content
+        const readBlocks = (element, context = {}) => {
+            const blocks = [];
+            let runs = [];
+            let bookmarks = [];
+            const flush = properties => {
+                const isBlank = run => run.text !== undefined && !run.text.trim();
+                while (runs.length > 0 && isBlank(runs[0])) runs.shift();
+                while (runs.length > 0 && isBlank(runs[runs.length - 1])) runs.pop();
+                if (runs.length > 0) {
+                    if (runs[0].text !== undefined) runs[0].text = runs[0].text.trimStart();
+                    if (runs[runs.length - 1].text !== undefined) runs[runs.length - 1].text = runs[runs.length - 1].text.trimEnd();
+                    blocks.push({ type: 'paragraph', runs, bookmarks, ...properties });
+                    bookmarks = [];
+                }
+                runs = [];
+            };
+
+            const readInline = (node, format) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    const pre = /^pre/.test(getComputedStyle(node.parentElement).whiteSpace);
+                    const text = pre ? node.textContent : node.textContent.replace(/\s+/g, ' ');
+                    if (text) {
+                        runs.push({ text, ...format, href: context.href });
+                    }
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    return;
+                }
+                readElement(node);
+            };
+
+            const readElement = node => {
+                const tag = node.tagName.toLowerCase();
+                if (['script', 'style', 'template', 'noscript', 'head'].includes(tag)
+                    || templateSelectors.some(selector => node.matches(selector))) {
+                    return;
+                }
+                const style = getComputedStyle(node);
+                if (style.display === 'none' && !context.template) {
+                    return;
+                }
+                if (node.id && targets.has(node.id)) {
+                    bookmarks.push(node.id);
+                }
+
+                if (tag === 'br') {
+                    runs.push({ break: true });
+                    return;
+                }
+                if (tag === 'img') {
+                    runs.push(readImage(node));
+                    return;
+                }
+                const field = getField(node);
+                if (field) {
+                    runs.push({ field, ...getFormat(style) });
+                    return;
+                }
+                if (node.matches(selectors.tableOfContent)) {
+                    flush();
+                    blocks.push({ type: 'toc', entries: readTableOfContent(node) });
+                    return;
+                }
+                if (tag === 'table') {
+                    flush();
+                    blocks.push(readTable(node));
+                    return;
+                }
+                if (/^h[1-6]$/.test(tag)) {
+                    flush();
+                    readChildren(node, getFormat(style));
+                    flush({ heading: Number(tag[1]), align: style.textAlign });
+                    return;
+                }
+                if (tag === 'ul' || tag === 'ol') {
+                    flush();
+                    const list = { ordered: tag === 'ol', level: (context.list ? context.list.level + 1 : 0), instance: ++listCount };
+                    Array.from(node.children).forEach(item => {
+                        const itemBlocks = readBlocks(item, { ...context, list });
+                        // The first paragraph of the item gets the bullet or number, nested lists have their own
+                        if (itemBlocks.length > 0 && itemBlocks[0].type === 'paragraph' && !itemBlocks[0].list) {
+                            itemBlocks[0].list = list;
+                        }
+                        blocks.push(...itemBlocks);
+                    });
+                    return;
+                }
+                if (tag === 'a' && (node.getAttribute('href') || '').length > 1) {
+                    const href = node.getAttribute('href');
+                    const previous = context.href;
+                    context.href = href.startsWith('#') ? { anchor: decodeURIComponent(href.slice(1)) } : { url: node.href };
+                    readChildren(node, getFormat(style));
+                    context.href = previous;
+                    return;
+                }
+
+                const inline = style.display.startsWith('inline') || style.display === 'contents';
+                if (!inline) {
+                    flush();
+                }
+                readChildren(node, getFormat(style));
+                if (!inline) {
+                    flush({ align: style.textAlign });
+                }
+            };
+
+            const readChildren = (node, format) => node.childNodes.forEach(child => readInline(child, format));
+
+            readChildren(element, getFormat(getComputedStyle(element)));
+            flush({ align: getComputedStyle(element).textAlign });
+            // Bookmarks of empty elements go to the next paragraph
+            if (bookmarks.length > 0) {
+                blocks.push({ type: 'paragraph', runs: [], bookmarks });
+            }
+            return blocks;
+        };
+
+        const readTable = table => ({
+            type: 'table',
+            rows: Array.from(table.rows, row => ({
+                header: row.parentElement.tagName === 'THEAD',
+                cells: Array.from(row.cells, cell => ({
+                    colSpan: cell.colSpan,
+                    rowSpan: cell.rowSpan,
+                    shading: toHex(getComputedStyle(cell).backgroundColor),
+                    blocks: readBlocks(cell, { cell: true }),
+                })),
+            })),
+        });
+
+        const readTableOfContent = toc => Array.from(toc.children).map(entry => {
+            const link = entry.querySelector('a');
+            const copy = (link || entry).cloneNode(true);
+            const number = copy.querySelector('.title-page-number, .subtitle-page-number');
+            copy.querySelectorAll('.dots, .title-page-number, .subtitle-page-number').forEach(element => element.remove());
+            let anchor = (link && link.dataset.tocTarget) || entry.dataset.tocTarget || null;
+            if (!anchor && link && (link.getAttribute('href') || '').startsWith('#')) {
+                anchor = decodeURIComponent(link.getAttribute('href').slice(1));
+            }
+            return { title: copy.textContent.replace(/\s+/g, ' ').trim(), page: number ? Number(number.textContent) : null, anchor };
+        }).filter(entry => entry.title);
+
+        const readTemplate = selector => {
+            const element = selector ? document.querySelector(selector) : null;
+            return element ? readBlocks(element, { template: true }) : [];
+        };
+
+        let listCount = 0;
+        const sections = runs.map(run => ({
+            run: run.run,
+            header: readTemplate(run.header),
+            footer: readTemplate(run.footer),
+            firstHeader: run.firstPage ? readTemplate(run.firstPage.header) : null,
+            firstFooter: run.firstPage ? readTemplate(run.firstPage.footer) : null,
+            body: [].concat(...Array.from(
+                document.querySelectorAll(`section[data-page-run="${run.run}"]:not(section section)`),
+                section => readBlocks(section),
+            )),
+        }));
+        return { sections, images, title: document.title };
+    }, runs, selectors);
+}
+
+/**
+ * Tells whether an image URL may be fetched: the network policy of the sandbox, or the public hosts when the page
+ * has no sandbox.
+ * @param {string} url - The absolute URL of the image.
+ * @param {NetworkSandbox} [sandbox] - The network sandbox of the page.
+ * @returns {Promise<boolean>}
+ */
+const isImageReachable = (url, sandbox) => sandbox ? sandbox.isReachable(url) : isReachableHost(new URL(url).hostname);
+
+/**
+ * Fetches the data of an image the way the page would: data URIs, the assets of the bundle, and the other URLs
+ * when the network policy allows them. The redirects are followed by hand, each one checked like the first URL.
+ * @param {string} src - The absolute URL of the image.
+ * @param {NetworkSandbox} [sandbox] - The network sandbox of the page.
+ * @returns {Promise<Buffer|null>} The image data, null if it cannot be had.
+ */
+async function fetchImage(src, sandbox) {
+    const dataUri = /^data:([^,]*?)(;base64)?,(.*)$/s.exec(src);
+    try {
+        if (dataUri) {
+            return dataUri[2] ? Buffer.from(dataUri[3], 'base64') : Buffer.from(decodeURIComponent(dataUri[3]));
+        }
+        const asset = sandbox && sandbox.bundle ? sandbox.bundle.getAsset(src) : null;
+        if (asset) {
+            return asset.body;
+        }
+        let url = src;
+        for (let hop = 0; hop <= MAX_IMAGE_REDIRECTS; hop++) {
+            if (!/^https?:/.test(url) || !await isImageReachable(url, sandbox)) {
+                return null;
+            }
+            const response = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT) });
+            const location = response.headers.get('location');
+            if (response.status < 300 || response.status >= 400 || !location) {
+                return response.ok ? Buffer.from(await response.arrayBuffer()) : null;
+            }
+            url = new URL(location, url).href;
+        }
+        return null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Tells the type of an image from its first bytes.
+ * @param {Buffer} data
+ * @returns {string|null} 'png', 'jpg', 'gif' or 'bmp', null for the formats Word cannot show without a fallback (SVG...).
+ */
+const getImageType = data => {
+    if (data.length > 8 && data.readUInt32BE(0) === 0x89504e47) return 'png';
+    if (data.length > 3 && data[0] === 0xff && data[1] === 0xd8) return 'jpg';
+    if (data.length > 6 && data.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+    if (data.length > 2 && data.toString('latin1', 0, 2) === 'BM') return 'bmp';
+    return null;
+};
+
+/**
+ * Writes a block model (see `readWordContent`) as a Word document.
+ * @param {Object} content - The content read by `readWordContent`.
+ * @param {Object[]} runs - The page runs the sections were read from.
+ * @param {Object} [options]
+ * @param {NetworkSandbox} [options.sandbox] - The network sandbox of the page, used to fetch the images.
+ * @param {Object} [options.metadata] - The document metadata (see metadata.js).
+ * @param {Function} [options.log] - Logs the images left out.
+ * @returns {Promise<Buffer>} The DOCX file.
+ */
+async function buildWordDocument(content, runs, options = {}) {
+    const log = options.log || (() => {});
+    const metadata = options.metadata || {};
+
+    // The images are fetched a few at a time
+    const images = new Array(content.images.length);
+    let next = 0;
+    const fetchNextImages = async () => {
+        while (next < content.images.length) {
+            const i = next++;
+            const image = content.images[i];
+            const data = await fetchImage(image.src, options.sandbox);
+            const type = data ? getImageType(data) : null;
+            if (!type) {
+                log(`Image non exportée dans le document Word : ${image.src.slice(0, 200)}`);
+            }
+            images[i] = type ? { ...image, data, type } : null;
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(IMAGE_FETCH_CONCURRENCY, content.images.length) }, fetchNextImages));
+
+    const buildRuns = (runModels, maxWidth) => runModels.map(run => {
+        if (run.break) {
+            return new TextRun({ break: 1 });
+        }
+        if (run.image !== undefined) {
+            const image = images[run.image];
+            if (!image || !image.width || !image.height) {
+                return null;
+            }
+            // Images wider than the page are scaled down
+            const scale = Math.min(1, maxWidth / image.width);
+            return new ImageRun({
+                type: image.type,
+                data: image.data,
+                transformation: { width: Math.round(image.width * scale), height: Math.round(image.height * scale) },
+                altText: image.alt ? { name: image.alt, description: image.alt } : undefined,
+            });
+        }
+        const format = {
+            bold: run.bold,
+            italics: run.italics,
+            underline: run.underline ? {} : undefined,
+            strike: run.strike,
+            superScript: run.superScript,
+            subScript: run.subScript,
+            color: run.color,
+        };
+        if (run.field) {
+            const field = FIELDS[FIELD_NAMES[run.field] || run.field];
+            return field ? field() : null;
+        }
+        const textRun = new TextRun({ text: run.text, ...format, style: run.href ? 'Hyperlink' : undefined });
+        if (run.href && run.href.anchor) {
+            return new InternalHyperlink({ anchor: toBookmarkName(run.href.anchor), children: [textRun] });
+        }
+        if (run.href && run.href.url) {
+            return new ExternalHyperlink({ link: run.href.url, children: [textRun] });
+        }
+        return textRun;
+    }).filter(Boolean);
+
+    const buildBlocks = (blocks, maxWidth) => blocks.flatMap(block => {
+        if (block.type === 'toc') {
+            return [new TableOfContents('Sommaire', {
+                hyperlink: true,
+                headingStyleRange: '1-3',
+                cachedEntries: block.entries.map(entry => ({
+                    title: entry.title,
+                    level: getOutlineLevel(entry.title),
+                    page: entry.page || undefined,
+                    href: entry.anchor ? toBookmarkName(entry.anchor) : undefined,
+                })),
+            })];
+        }
+        if (block.type === 'table') {
+            return [buildTable(block, maxWidth), new Paragraph({})];
+        }
+        let children = buildRuns(block.runs, maxWidth);
+        // The bookmarks wrap the text of the paragraph, internal links and TOC entries point at them
+        block.bookmarks.slice().reverse().forEach(id => {
+            children = [new Bookmark({ id: toBookmarkName(id), children })];
+        });
+        return [new Paragraph({
+            children,
+            heading: block.heading ? HEADING_LEVELS[block.heading - 1] : undefined,
+            alignment: ALIGNMENTS[block.align],
+            bullet: block.list && !block.list.ordered ? { level: block.list.level } : undefined,
+            numbering: block.list && block.list.ordered
+                ? { reference: 'ordered-list', level: block.list.level, instance: block.list.instance }
+                : undefined,
+        })];
+    });
+
+    const buildTable = (table, maxWidth) => new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        rows: table.rows.map(row => new TableRow({
+            tableHeader: row.header || undefined,
+            children: row.cells.map(cell => {
+                const children = buildBlocks(cell.blocks, maxWidth);
+                return new TableCell({
+                    // A cell must end with a paragraph
+                    children: children.length > 0 && children[children.length - 1] instanceof Paragraph ? children : [...children, new Paragraph({})],
+                    columnSpan: cell.colSpan > 1 ? cell.colSpan : undefined,
+                    rowSpan: cell.rowSpan > 1 ? cell.rowSpan : undefined,
+                    shading: cell.shading ? { type: ShadingType.CLEAR, fill: cell.shading, color: 'auto' } : undefined,
+                });
+            }),
+        })),
+    });
+
+    const sections = content.sections.map((section, i) => {
+        const run = runs[i];
+        const [width, height] = PAGE_SIZES[run.format] || PAGE_SIZES.A4;
+        const landscape = run.orientation === 'landscape';
+        const margins = run.margins || {};
+        const margin = {
+            top: toTwips(margins.top),
+            bottom: toTwips(margins.bottom),
+            left: toTwips(margins.left || DEFAULT_SIDE_MARGIN),
+            right: toTwips(margins.right || DEFAULT_SIDE_MARGIN),
+        };
+        // Width of the text, in pixels like the images
+        const pageWidth = toTwips(`${landscape ? height : width}mm`);
+        const maxWidth = (pageWidth - margin.left - margin.right) / TWIPS_PER_UNIT.px;
+
+        const first = section.firstHeader !== null;
+        return {
+            properties: {
+                titlePage: first,
+                page: {
+                    size: {
+                        width: toTwips(`${width}mm`),
+                        height: toTwips(`${height}mm`),
+                        orientation: landscape ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT,
+                    },
+                    margin,
+                },
+            },
+            headers: {
+                default: new Header({ children: buildBlocks(section.header, maxWidth) }),
+                ...(first ? { first: new Header({ children: buildBlocks(section.firstHeader, maxWidth) }) } : {}),
+            },
+            footers: {
+                default: new Footer({ children: buildBlocks(section.footer, maxWidth) }),
+                ...(first ? { first: new Footer({ children: buildBlocks(section.firstFooter, maxWidth) }) } : {}),
+            },
+            children: buildBlocks(section.body, maxWidth),
+        };
+    });
+
+    const document = new Document({
+        creator: metadata.author || `${packageName} ${packageVersion}`,
+        title: metadata.title || content.title || undefined,
+        subject: metadata.subject || undefined,
+        keywords: metadata.keywords && metadata.keywords.length > 0 ? metadata.keywords.join(', ') : undefined,
+        // Word fills the TOC and page fields when the document is opened
+        features: { updateFields: true },
+        numbering: {
+            config: [{
+                reference: 'ordered-list',
+                levels: [0, 1, 2, 3, 4, 5].map(level => ({
+                    level,
+                    format: LevelFormat.DECIMAL,
+                    text: `%${level + 1}.`,
+                    alignment: AlignmentType.START,
+                    style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } },
+                })),
+            }],
+        },
+        sections,
+    });
+    return Packer.toBuffer(document);
+}
+
+module.exports = {
+    DOCX_CONTENT_TYPE,
+    readWordContent,
+    buildWordDocument,
+};
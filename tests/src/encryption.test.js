@@ -0,0 +1,56 @@
+// Encrypts PDFs and opens them back with pdfjs, as a PDF reader would.
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const { PDFDocument } = require('pdf-lib');
+const { resolveEncryption, encryptPDF, InvalidEncryptionError } = require('../../js/encryption');
+
+const createDocument = async () => {
+    const pdfDoc = await PDFDocument.create();
+    pdfDoc.setTitle('Rapport de recensement');
+    pdfDoc.addPage().drawText('Zone de stockage', { x: 50, y: 700 });
+    return pdfDoc;
+};
+
+const openDocument = (bytes, password) => pdfjs.getDocument({
+    data: new Uint8Array(bytes), password, verbosity: pdfjs.VerbosityLevel.ERRORS,
+}).promise;
+
+const readText = async pdf => (await (await pdf.getPage(1)).getTextContent()).items.map(item => item.str).join('');
+
+describe('encryption', () => {
+    test('refuses a missing user password and unknown permissions', () => {
+        expect(() => resolveEncryption({})).toThrow(InvalidEncryptionError);
+        expect(() => resolveEncryption({ userPassword: 'a', permissions: { printing: true, erasing: true } }))
+            .toThrow('Unknown permission: erasing');
+    });
+
+    test('grants printing and text extraction only by default', () => {
+        const { permissions } = resolveEncryption({ userPassword: 'a' });
+        expect(permissions & (1 << 2)).toBeTruthy(); // Printing
+        expect(permissions & (1 << 11)).toBeTruthy(); // High quality printing
+        expect(permissions & (1 << 9)).toBeTruthy(); // Accessibility
+        expect(permissions & (1 << 4)).toBe(0); // Copying
+        expect(permissions & (1 << 3)).toBe(0); // Modifying
+        expect(resolveEncryption({ userPassword: 'a', permissions: { printing: 'low' } }).permissions & (1 << 11)).toBe(0);
+    });
+
+    test('opens with the user password only, the text and the metadata readable', async () => {
+        const encryption = resolveEncryption({ userPassword: 'lecture', ownerPassword: 'gestion', permissions: { copying: 'true' } });
+        const bytes = await encryptPDF(await createDocument(), encryption);
+        expect(Buffer.from(bytes).includes('Zone de stockage')).toBe(false);
+
+        await expect(openDocument(bytes)).rejects.toMatchObject({ name: 'PasswordException' });
+        await expect(openDocument(bytes, 'mauvais')).rejects.toMatchObject({ name: 'PasswordException' });
+
+        const pdf = await openDocument(bytes, 'lecture');
+        expect(await readText(pdf)).toBe('Zone de stockage');
+        expect((await pdf.getMetadata()).info.Title).toBe('Rapport de recensement');
+        const permissions = await pdf.getPermissions();
+        expect(permissions).toEqual(expect.arrayContaining([pdfjs.PermissionFlag.PRINT, pdfjs.PermissionFlag.COPY]));
+        expect(permissions).not.toContain(pdfjs.PermissionFlag.MODIFY_CONTENTS);
+    });
+
+    test('opens with the owner password', async () => {
+        const bytes = await encryptPDF(await createDocument(), resolveEncryption({ userPassword: 'lecture', ownerPassword: 'gestion' }));
+        expect(await readText(await openDocument(bytes, 'gestion'))).toBe('Zone de stockage');
+    });
+});
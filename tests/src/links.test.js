@@ -0,0 +1,90 @@
+// Named destinations and internal links of the merged document, read back with pdfjs.
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const { PDFDocument, PDFName, PDFString, PDFHexString } = require('pdf-lib');
+const { getNamedDestinations, remapLinks, getLinkTargets, setLinkTargets } = require('../../js/links');
+
+/**
+ * Adds a link annotation to a page.
+ */
+const addLink = (pdfDoc, page, properties) => {
+    const link = pdfDoc.context.register(pdfDoc.context.obj({ Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 100, 20], ...properties }));
+    const annots = page.node.lookup(PDFName.of('Annots'));
+    if (annots) {
+        annots.push(link);
+    } else {
+        page.node.set(PDFName.of('Annots'), pdfDoc.context.obj([link]));
+    }
+};
+
+/**
+ * A three page document, with named destinations written like Chromium does (catalog /Dests) and in a
+ * /Names tree, and links to them.
+ */
+const createDocument = async () => {
+    const pdfDoc = await PDFDocument.create();
+    const pages = [pdfDoc.addPage(), pdfDoc.addPage(), pdfDoc.addPage()];
+    const { context } = pdfDoc;
+    pdfDoc.catalog.set(PDFName.of('Dests'), context.obj({
+        introduction: [pages[1].ref, PDFName.of('XYZ'), 0, 700, 0],
+    }));
+    pdfDoc.catalog.set(PDFName.of('Names'), context.obj({
+        Dests: context.obj({
+            Kids: [context.register(context.obj({
+                Names: [PDFHexString.fromText('résultats'), context.obj({ D: [pages[2].ref, PDFName.of('Fit')] })],
+            }))],
+        }),
+    }));
+
+    addLink(pdfDoc, pages[0], { A: context.obj({ S: 'GoTo', D: PDFString.of('introduction') }) });
+    addLink(pdfDoc, pages[0], { Dest: PDFHexString.fromText('résultats') });
+    addLink(pdfDoc, pages[0], { Dest: PDFName.of('absent') });
+    addLink(pdfDoc, pages[0], { A: context.obj({ S: 'URI', URI: PDFString.of('https://example.com/') }) });
+    return pdfDoc;
+};
+
+describe('links', () => {
+    test('reads the named destinations of the catalog and of the name tree', async () => {
+        const destinations = getNamedDestinations(await createDocument());
+        expect(Array.from(destinations.keys())).toEqual(['introduction', 'résultats']);
+        expect(destinations.get('introduction').pageIndex).toBe(1);
+        expect(destinations.get('introduction').view.map(value => value.toString())).toEqual(['/XYZ', '0', '700', '0']);
+        expect(destinations.get('résultats').pageIndex).toBe(2);
+    });
+
+    test('points the internal links at their pages and removes the dangling ones', async () => {
+        const pdfDoc = await createDocument();
+        const destinations = getNamedDestinations(pdfDoc);
+        // The introduction moved to the last page of the merged document
+        destinations.set('introduction', { ...destinations.get('introduction'), pageIndex: 2 });
+        expect(remapLinks(pdfDoc, destinations)).toEqual({ remapped: 2, removed: 1 });
+
+        const pdf = await pdfjs.getDocument(new Uint8Array(await pdfDoc.save())).promise;
+        const annotations = await (await pdf.getPage(1)).getAnnotations();
+        const targets = await Promise.all(annotations.map(async annotation => annotation.url
+            || await pdf.getPageIndex((Array.isArray(annotation.dest) ? annotation.dest : await pdf.getDestination(annotation.dest))[0])));
+        expect(targets).toEqual([2, 2, 'https://example.com/']);
+        expect(Object.keys(await pdf.getDestinations()).sort()).toEqual(['introduction', 'résultats']);
+    });
+
+    test('keeps the links of copied pages pointing at their pages', async () => {
+        // An annex: its links lead to its last page, by name and by explicit destination
+        const annex = await createDocument();
+        addLink(annex, annex.getPage(1), { Dest: annex.context.obj([annex.getPage(2).ref, PDFName.of('Fit')]) });
+        const targets = getLinkTargets(annex);
+        expect(targets.map(links => Array.from(links.entries(), ([index, location]) => [index, location.pageIndex])))
+            .toEqual([[[0, 1], [1, 2]], [[0, 2]], []]);
+
+        const merged = await PDFDocument.create();
+        merged.addPage();
+        const copiedPages = await merged.copyPages(annex, annex.getPageIndices());
+        copiedPages.forEach(page => merged.addPage(page));
+        setLinkTargets(merged, copiedPages, targets, 1);
+        expect(remapLinks(merged, new Map())).toEqual({ remapped: 3, removed: 1 });
+
+        const pdf = await pdfjs.getDocument(new Uint8Array(await merged.save())).promise;
+        const readTargets = async pageNumber => Promise.all((await (await pdf.getPage(pageNumber)).getAnnotations())
+            .map(annotation => annotation.url || pdf.getPageIndex(annotation.dest[0])));
+        expect(await readTargets(2)).toEqual([2, 3, 'https://example.com/']);
+        expect(await readTargets(3)).toEqual([3]);
+    });
+});
@@ -0,0 +1,66 @@
+// Metadata of the final PDF: merged from the HTML and the request, written to the Info dictionary and the XMP.
+const { PDFDocument, PDFName, PDFRawStream } = require('pdf-lib');
+const { resolveMetadata, applyMetadata, InvalidMetadataError } = require('../../js/metadata');
+
+const HTML_METADATA = {
+    title: 'Recensement des équipements',
+    language: 'fr',
+    author: 'Claire Martin',
+    subject: null,
+    keywords: 'audit, sécurité',
+    creationDate: '2025-06-04T08:30:00Z',
+};
+
+/**
+ * Reads the XMP packet of a saved document.
+ */
+const readXmp = pdfDoc => {
+    const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+    expect(stream).toBeInstanceOf(PDFRawStream);
+    return Buffer.from(stream.contents).toString('utf8');
+};
+
+describe('metadata', () => {
+    test('the request overrides the HTML, except with empty values', () => {
+        const metadata = resolveMetadata(HTML_METADATA, { title: 'Rapport annuel', author: '', keywords: 'a,b' });
+        expect(metadata).toEqual({
+            title: 'Rapport annuel',
+            language: 'fr',
+            author: 'Claire Martin',
+            subject: null,
+            keywords: ['a', 'b'],
+            creationDate: new Date('2025-06-04T08:30:00Z'),
+        });
+    });
+
+    test('defaults the creation date to now', () => {
+        const before = Date.now();
+        expect(resolveMetadata({}).creationDate.getTime()).toBeGreaterThanOrEqual(before);
+    });
+
+    test('refuses an unknown field and an unreadable date', () => {
+        expect(() => resolveMetadata({}, { publisher: 'x' })).toThrow(InvalidMetadataError);
+        expect(() => resolveMetadata({ creationDate: 'hier' })).toThrow('Invalid creation date');
+    });
+
+    test('writes the Info dictionary and the XMP packet', async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        applyMetadata(pdfDoc, resolveMetadata(HTML_METADATA, { subject: 'Sites <Nord> & "Sud"' }));
+
+        const saved = await PDFDocument.load(await pdfDoc.save(), { updateMetadata: false });
+        expect(saved.getTitle()).toBe('Recensement des équipements');
+        expect(saved.getAuthor()).toBe('Claire Martin');
+        expect(saved.getSubject()).toBe('Sites <Nord> & "Sud"');
+        expect(saved.getKeywords()).toBe('audit, sécurité');
+        expect(saved.getCreationDate()).toEqual(new Date('2025-06-04T08:30:00Z'));
+        expect(saved.catalog.get(PDFName.of('Lang')).decodeText()).toBe('fr');
+
+        const xmp = readXmp(saved);
+        expect(xmp).toContain('<rdf:li xml:lang="x-default">Recensement des équipements</rdf:li>');
+        expect(xmp).toContain('Sites &#60;Nord&#62; &#38; &#34;Sud&#34;');
+        expect(xmp).toContain('<rdf:li>sécurité</rdf:li>');
+        expect(xmp).toContain('<xmp:CreateDate>2025-06-04T08:30:00Z</xmp:CreateDate>');
+        expect(xmp).toContain('<dc:language><rdf:Bag><rdf:li>fr</rdf:li></rdf:Bag></dc:language>');
+    });
+});
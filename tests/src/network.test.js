@@ -0,0 +1,134 @@
+// Decisions of the network sandbox of the rendered pages: policies, blocked addresses and intercepted requests.
+const {
+    NetworkSandbox, resolveNetworkPolicy, normalizeHost, matchesHost, isPrivateAddress, resolveReachableHost,
+} = require('../../js/network');
+const { AssetBundle, BUNDLE_ORIGIN } = require('../../js/bundles');
+
+/**
+ * A puppeteer request answered by the sandbox, recording the answer.
+ */
+const makeRequest = url => {
+    const request = { answer: null, url: () => url };
+    request.continue = async () => request.answer = 'continue';
+    request.abort = async reason => request.answer = `abort:${reason}`;
+    request.respond = async response => request.answer = response;
+    return request;
+};
+
+describe('network policy', () => {
+    test('defaults to the allow mode, and to the inline mode for the bundles', () => {
+        expect(resolveNetworkPolicy().mode).toBe('allow');
+        expect(resolveNetworkPolicy({ bundle: true }).mode).toBe('inline');
+        expect(resolveNetworkPolicy({ mode: 'deny', bundle: true }).mode).toBe('deny');
+    });
+
+    test('reads the hosts of a comma separated list, and javascript=false', () => {
+        const policy = resolveNetworkPolicy({ mode: 'allowlist', hosts: 'CDN.example.com, *.example.org', javascript: 'false' });
+        expect(policy).toEqual({ mode: 'allowlist', hosts: ['cdn.example.com', '*.example.org'], javascript: false });
+    });
+
+    test('refuses an unknown mode and an allowlist without host', () => {
+        expect(() => resolveNetworkPolicy({ mode: 'open' })).toThrow('Unknown network policy');
+        expect(() => resolveNetworkPolicy({ mode: 'allowlist', hosts: '' })).toThrow('at least one host');
+    });
+});
+
+describe('addresses', () => {
+    test('normalizes the host names', () => {
+        expect(normalizeHost('Example.COM.')).toBe('example.com');
+        expect(normalizeHost('[::1]')).toBe('::1');
+        expect(normalizeHost('::ffff:169.254.169.254')).toBe('169.254.169.254');
+        expect(normalizeHost('[::ffff:a9fe:a9fe]')).toBe('169.254.169.254');
+    });
+
+    test.each([
+        '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+        '::1', '::', 'fd00::1', 'fe80::1', 'fec0::1', '64:ff9b::a9fe:a9fe', '::ffff:10.0.0.1',
+    ])('%s is private', address => {
+        expect(isPrivateAddress(address)).toBe(true);
+    });
+
+    test.each(['93.184.216.34', '2606:4700::1111'])('%s is public', address => {
+        expect(isPrivateAddress(address)).toBe(false);
+    });
+
+    test('matches the allowlist entries', () => {
+        expect(matchesHost('cdn.example.com', 'cdn.example.com')).toBe(true);
+        expect(matchesHost('a.b.example.com', '*.example.com')).toBe(true);
+        expect(matchesHost('example.com', '*.example.com')).toBe(false);
+        expect(matchesHost('evilexample.com', '*.example.com')).toBe(false);
+    });
+
+    test('resolves the IP literals to the address to connect to, unless private', async () => {
+        expect(await resolveReachableHost('93.184.216.34')).toEqual({ address: '93.184.216.34', family: 4 });
+        expect(await resolveReachableHost('[64:ff9b::a9fe:a9fe]', { allowPrivate: false })).toBeNull();
+        expect(await resolveReachableHost('metadata.google.internal', { allowPrivate: true })).toBeNull();
+        expect(await resolveReachableHost('app.localhost')).toBeNull();
+    });
+});
+
+describe('network sandbox', () => {
+    const sandbox = mode => new NetworkSandbox(resolveNetworkPolicy({ mode, hosts: ['cdn.example.com'] }));
+
+    test.each([
+        ['allow', 'https://93.184.216.34/logo.png', true],
+        ['allow', 'http://169.254.169.254/latest/meta-data/', false],
+        ['allow', 'http://metadata.google.internal/', false],
+        ['allow', 'file:///etc/passwd', false],
+        ['allowlist', 'https://cdn.example.com/app.css', true],
+        ['allowlist', 'https://other.example.com/app.css', false],
+        ['inline', 'data:image/png;base64,AAAA', true],
+        ['inline', 'https://cdn.example.com/app.css', false],
+        ['deny', 'data:image/png;base64,AAAA', false],
+    ])('%s mode: %s allowed is %s', (mode, url, allowed) => {
+        expect(sandbox(mode).isAllowed(url)).toBe(allowed);
+    });
+
+    test('serves the bundle assets and records the missing ones, whatever the mode', async () => {
+        const bundle = new AssetBundle('<p></p>', new Map([['img/logo.png', Buffer.from('png')]]));
+        const bundleSandbox = new NetworkSandbox(resolveNetworkPolicy({ mode: 'deny' }), bundle);
+        const found = makeRequest(`${BUNDLE_ORIGIN}/img/logo.png`);
+        const missing = makeRequest(`${BUNDLE_ORIGIN}/img/other.png`);
+        await bundleSandbox.handleRequest(found);
+        await bundleSandbox.handleRequest(missing);
+        expect(found.answer).toMatchObject({ status: 200, contentType: 'image/png' });
+        expect(missing.answer).toMatchObject({ status: 404 });
+        expect(bundleSandbox.getDiagnostics().missingAssets).toEqual(['img/other.png']);
+    });
+
+    test('aborts the blocked requests and reports each of them once', async () => {
+        const denySandbox = sandbox('deny');
+        const blocked = [];
+        denySandbox.onBlocked = url => blocked.push(url);
+        const requests = [makeRequest('https://cdn.example.com/a.js'), makeRequest('https://cdn.example.com/a.js')];
+        for (const request of requests) {
+            await denySandbox.handleRequest(request);
+        }
+        expect(requests.map(request => request.answer)).toEqual(['abort:blockedbyclient', 'abort:blockedbyclient']);
+        expect(blocked).toEqual(['https://cdn.example.com/a.js']);
+        expect(denySandbox.getDiagnostics().blockedRequests).toEqual(['https://cdn.example.com/a.js']);
+    });
+
+    test('blocks the WebSocket URLs and removes WebRTC when attached to a page', async () => {
+        const sent = [];
+        const scripts = [];
+        const page = {
+            setJavaScriptEnabled: async () => {},
+            evaluateOnNewDocument: async script => scripts.push(script),
+            target: () => ({ createCDPSession: async () => ({ send: async (method, params) => sent.push([method, params]) }) }),
+            setRequestInterception: async () => {},
+            on: () => {},
+        };
+        await sandbox('allow').attach(page);
+        expect(sent).toContainEqual(['Network.setBlockedURLs', { urls: ['ws://*', 'wss://*'] }]);
+
+        const window = { RTCPeerConnection: class {}, RTCDataChannel: class {} };
+        global.window = window;
+        try {
+            scripts.forEach(script => script());
+        } finally {
+            delete global.window;
+        }
+        expect(window).toEqual({});
+    });
+});
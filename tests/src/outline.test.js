@@ -0,0 +1,68 @@
+// Bookmarks built from the table of contents, read back with pdfjs.
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const { PDFDocument } = require('pdf-lib');
+const { addOutline, buildOutlineTree, getOutlineLevel } = require('../../js/outline');
+
+const ENTRIES = [
+    { title: '1 Introduction', pageIndex: 2 },
+    { title: '2 Méthodologie', pageIndex: 3 },
+    { title: '2.1 Périmètre', pageIndex: 3 },
+    { title: '2.1.1 Sites', pageIndex: null },
+    { title: '2.1.2 Bâtiments', pageIndex: 4 },
+    { title: '2.2 Calendrier', pageIndex: 4 },
+    { title: 'Annexes', pageIndex: 5 },
+];
+
+/**
+ * Strips a bookmark tree down to the titles and pages.
+ */
+const simplify = nodes => nodes.map(node => ({ title: node.title, pageIndex: node.pageIndex, children: simplify(node.children) }));
+
+describe('outline', () => {
+    test('reads the level from the numbering of the title', () => {
+        expect(getOutlineLevel('3 Résultats')).toBe(1);
+        expect(getOutlineLevel('3. Résultats')).toBe(1);
+        expect(getOutlineLevel('3.2.1 Détail')).toBe(3);
+        expect(getOutlineLevel('Synthèse')).toBe(1);
+        expect(getOutlineLevel('2025 en chiffres')).toBe(1);
+    });
+
+    test('nests the entries and leaves out the unresolved ones', () => {
+        expect(simplify(buildOutlineTree(ENTRIES))).toEqual([
+            { title: '1 Introduction', pageIndex: 2, children: [] },
+            {
+                title: '2 Méthodologie',
+                pageIndex: 3,
+                children: [
+                    { title: '2.1 Périmètre', pageIndex: 3, children: [{ title: '2.1.2 Bâtiments', pageIndex: 4, children: [] }] },
+                    { title: '2.2 Calendrier', pageIndex: 4, children: [] },
+                ],
+            },
+            { title: 'Annexes', pageIndex: 5, children: [] },
+        ]);
+    });
+
+    test('writes the bookmarks to their pages', async () => {
+        const pdfDoc = await PDFDocument.create();
+        for (let i = 0; i < 6; i++) {
+            pdfDoc.addPage();
+        }
+        expect(addOutline(pdfDoc, ENTRIES)).toBe(6);
+
+        const pdf = await pdfjs.getDocument(new Uint8Array(await pdfDoc.save())).promise;
+        const readItems = items => Promise.all(items.map(async item => ({
+            title: item.title,
+            pageIndex: await pdf.getPageIndex(item.dest[0]),
+            children: await readItems(item.items),
+        })));
+        expect(await readItems(await pdf.getOutline())).toEqual(simplify(buildOutlineTree(ENTRIES)));
+    });
+
+    test('writes no outline without a resolved entry', async () => {
+        const pdfDoc = await PDFDocument.create();
+        pdfDoc.addPage();
+        expect(addOutline(pdfDoc, [{ title: '1 Introduction', pageIndex: null }])).toBe(0);
+        const pdf = await pdfjs.getDocument(new Uint8Array(await pdfDoc.save())).promise;
+        expect(await pdf.getOutline()).toBeNull();
+    });
+});
@@ -0,0 +1,59 @@
+// PDF/A-2b conversion of the merged document and its self-check.
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+const { PDFA_RULES, PDFA_XMP_PROPERTIES, convertToPDFA, checkPDFA } = require('../../js/pdfa');
+const { resolveMetadata, applyMetadata } = require('../../js/metadata');
+const { embedTextFont } = require('../../js/fonts');
+const { resolveEncryption, encryptPDF } = require('../../js/encryption');
+
+/**
+ * A one page document with its text, in the embedded font or in Helvetica.
+ */
+const createDocument = async embedded => {
+    const pdfDoc = await PDFDocument.create();
+    const font = await embedTextFont(pdfDoc, { embedded });
+    pdfDoc.addPage().drawText('Rapport archivé', { x: 50, y: 700, size: 12, font });
+    return pdfDoc;
+};
+
+const getRules = conformance => conformance.violations.map(violation => violation.rule);
+
+describe('PDF/A-2b', () => {
+    test('a converted document breaks no rule', async () => {
+        const pdfDoc = await createDocument(true);
+        applyMetadata(pdfDoc, resolveMetadata({ title: 'Rapport', language: 'fr' }), { xmpProperties: PDFA_XMP_PROPERTIES });
+        convertToPDFA(pdfDoc);
+
+        const conformance = await checkPDFA(await pdfDoc.save());
+        expect(conformance.violations).toEqual([]);
+        expect(conformance.conformant).toBe(true);
+    });
+
+    test('removes the JavaScript actions and prints the annotations', async () => {
+        const pdfDoc = await createDocument(true);
+        const page = pdfDoc.getPage(0);
+        const action = pdfDoc.context.obj({ S: 'JavaScript', JS: PDFString.of('app.alert(1)') });
+        const link = pdfDoc.context.register(pdfDoc.context.obj({
+            Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 10, 10], Border: [0, 0, 0], F: 2, A: action,
+        }));
+        page.node.set(PDFName.of('Annots'), pdfDoc.context.obj([link]));
+        applyMetadata(pdfDoc, resolveMetadata({}), { xmpProperties: PDFA_XMP_PROPERTIES });
+        convertToPDFA(pdfDoc);
+
+        const annotation = pdfDoc.context.lookup(link);
+        expect(annotation.get(PDFName.of('A'))).toBeUndefined();
+        expect(annotation.get(PDFName.of('F')).asNumber()).toBe(4);
+        expect(getRules(await checkPDFA(await pdfDoc.save()))).not.toContain('actions');
+    });
+
+    test('lists the rules a plain document breaks', async () => {
+        const pdfDoc = await createDocument(false);
+        const rules = getRules(await checkPDFA(await pdfDoc.save()));
+        expect(rules).toEqual(expect.arrayContaining(['output-intent', 'fonts-embedded', 'xmp-metadata']));
+        rules.forEach(rule => expect(PDFA_RULES).toContain(rule));
+    });
+
+    test('an encrypted document is not conformant', async () => {
+        const bytes = await encryptPDF(await createDocument(true), resolveEncryption({ userPassword: 'secret' }));
+        expect(getRules(await checkPDFA(bytes))).toContain('encryption');
+    });
+});
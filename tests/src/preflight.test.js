@@ -0,0 +1,83 @@
+// Preflight checks of the report HTML against the layout profiles, templates included.
+const fs = require('fs');
+const path = require('path');
+const { preflightReport, PreflightFailedError } = require('../../js/preflight');
+const { getProfile } = require('../../js/profiles');
+const { AssetBundle } = require('../../js/bundles');
+const { renderTemplate } = require('../../js/templates');
+
+const SAMPLES_DIR = path.join(__dirname, '..', '..', 'templates', 'samples');
+
+/**
+ * A report with the layout elements of the default profile, and the given TOC and sections.
+ */
+const createReport = ({ toc = '<li><a href="#intro">Introduction</a></li>', body = '<section id="intro"><h1>Introduction</h1></section>', head = '' } = {}) => `
+<html><head>${head}</head><body>
+    <div id="header-first-page"></div><div id="footer-first-page"></div>
+    <div id="header-container"></div><div id="footer">Page <span class="totalPages"></span></div>
+    <section id="presentation"><h1>Rapport</h1></section>
+    <section><ul id="table-of-content">${toc}</ul></section>
+    ${body}
+</body></html>`;
+
+const getCodes = result => result.diagnostics.map(diagnostic => `${diagnostic.severity} ${diagnostic.code}`);
+
+describe('preflight', () => {
+    test.each(['recensement', 'evaluation_detaillee'])('the %s template passes with its sample data', name => {
+        const data = JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, `${name}.json`), 'utf8'));
+        const result = preflightReport(renderTemplate(name, data), getProfile());
+        expect(result.diagnostics.filter(diagnostic => diagnostic.severity === 'error')).toEqual([]);
+        expect(result.valid).toBe(true);
+    });
+
+    test('a complete report has no diagnostic', () => {
+        expect(preflightReport(createReport(), getProfile())).toEqual({ valid: true, diagnostics: [] });
+    });
+
+    test('lists the layout elements of the profile that are missing', () => {
+        const result = preflightReport('<html><body><section id="presentation"></section></body></html>', getProfile());
+        expect(result.valid).toBe(false);
+        expect(result.diagnostics.filter(diagnostic => diagnostic.code === 'missing-element').map(diagnostic => diagnostic.selector))
+            .toEqual(expect.arrayContaining(['#header-first-page', '#header-container', '#footer', '#table-of-content', '.totalPages']));
+        expect(getCodes(preflightReport(createReport({ body: '<section id="intro" data-page-header="#absent"></section>' }), getProfile())))
+            .toEqual(['error missing-element']);
+    });
+
+    test('checks the TOC entries and the internal links', () => {
+        const result = preflightReport(createReport({
+            toc: '<li><a href="#intro">Introduction</a></li><li>Sans lien</li><li><a href="#absent">Introduction</a></li>',
+            body: '<section id="intro"><a href="#%E0">x</a><a href="#annex-2">Plan</a></section><p id="intro"></p>',
+        }), getProfile());
+        expect(result.valid).toBe(false);
+        expect(getCodes(result).sort()).toEqual([
+            'error broken-anchor',
+            'error broken-anchor',
+            'error toc-entry-without-link',
+            'warning duplicate-id',
+            'warning duplicate-title',
+        ]);
+        expect(result.diagnostics.find(diagnostic => diagnostic.code === 'broken-anchor' && diagnostic.target === 'absent')).toBeDefined();
+    });
+
+    test('warns about the external assets and the assets missing from the bundle', () => {
+        const html = createReport({
+            head: '<link rel="stylesheet" href="https://cdn.example.com/style.css"><style>body { background: url("img/fond.png"); }</style>',
+            body: '<section id="intro"><img src="img/logo.png"><img src="data:image/png;base64,AA=="></section>',
+        });
+        expect(getCodes(preflightReport(html, getProfile()))).toEqual(['warning external-asset']);
+
+        const bundle = new AssetBundle(html, new Map([['img/logo.png', Buffer.from('png')]]));
+        const result = preflightReport(bundle, getProfile());
+        expect(result.valid).toBe(true);
+        expect(result.diagnostics.map(diagnostic => `${diagnostic.code} ${diagnostic.target}`).sort())
+            .toEqual(['external-asset https://cdn.example.com/style.css', 'missing-asset img/fond.png']);
+    });
+
+    test('the error of the pre-render gate lists the errors', () => {
+        const result = preflightReport(createReport({ toc: '<li>Sans lien</li>' }), getProfile());
+        const error = new PreflightFailedError(result);
+        expect(error.name).toBe('PreflightFailedError');
+        expect(error.message).toContain('TOC entry 1 ("Sans lien") has no link');
+        expect(error.result).toBe(result);
+    });
+});
@@ -0,0 +1,39 @@
+// Content stream parsing and text removal, read back with pdfjs.
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const { PDFDocument } = require('pdf-lib');
+const { parseContent, removeText } = require('../../js/redact');
+
+const readText = async (pdf, pageNumber) => (await (await pdf.getPage(pageNumber)).getTextContent()).items.map(item => item.str).join('');
+
+describe('redact', () => {
+    test('splits a content stream into its operations', () => {
+        const content = 'BT /F1 12 Tf % commentaire (ignoré)\n(a\\) \\(b\\051) Tj <4142 43> Tj [(x) -250 (y)] TJ ET';
+        const operations = parseContent(content);
+        expect(operations.map(operation => operation.operator)).toEqual(['BT', 'Tf', 'Tj', 'Tj', 'TJ', 'ET']);
+        expect(operations[1].operands).toEqual([{ type: 'name', value: 'F1' }, { type: 'number', value: 12 }]);
+        expect(operations[2].operands[0]).toEqual({ type: 'string', bytes: 'a) (b)' });
+        expect(operations[3].operands[0]).toEqual({ type: 'string', bytes: 'ABC' });
+        expect(operations[4].operands[0].items.map(item => item.bytes || item.value)).toEqual(['x', -250, 'y']);
+        expect(content.slice(operations[2].start, operations[2].end)).toBe('(a\\) \\(b\\051) Tj');
+    });
+
+    test('skips the data of the inline images', () => {
+        const operations = parseContent('q BI /W 2 /H 1 /BPC 8 /CS /G ID ÿ(Tj)EI\n EI Q');
+        expect(operations.map(operation => operation.operator)).toEqual(['q', 'BI', 'ID', 'Q']);
+        expect(parseContent('BI ID (Tj) without end').map(operation => operation.operator)).toEqual(['BI', 'ID']);
+    });
+
+    test('removes the matching text from the pages asked for only', async () => {
+        const created = await PDFDocument.create();
+        ['Page @@3.0.0.0@@____ fin', 'Annexe @@3.0.0.0@@'].forEach(text => {
+            created.addPage().drawText(text, { x: 50, y: 700, size: 12 });
+        });
+        // The content streams are read as saved, like the merged documents
+        const pdfDoc = await PDFDocument.load(await created.save());
+
+        expect(removeText(pdfDoc, /@@\d\.\d\.\d\.[0-9a-z]@@_*/g, { pages: new Set([0]) })).toBe(1);
+        const pdf = await pdfjs.getDocument({ data: new Uint8Array(await pdfDoc.save()), verbosity: pdfjs.VerbosityLevel.ERRORS }).promise;
+        expect(await readText(pdf, 1)).toBe('Page fin');
+        expect(await readText(pdf, 2)).toBe('Annexe @@3.0.0.0@@');
+    });
+});
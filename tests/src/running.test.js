@@ -0,0 +1,77 @@
+// Running header and footer values, computed from the page runs and written in place of their markers.
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const { PDFDocument } = require('pdf-lib');
+const { computeRunningValues, getRunningText, stampRunningValues } = require('../../js/running');
+
+const RUNS = [
+    { name: 'cover', numbering: { counted: false } },
+    { name: 'front', numbering: { format: 'roman' } },
+    { name: 'main', numbering: { restart: true } },
+    { name: 'main', numbering: { restart: true } },
+];
+const PAGE_COUNTS = [1, 2, 3, 1];
+const ENTRIES = [
+    { title: '1 Introduction', pageIndex: 3 },
+    { title: '1.1 Contexte', pageIndex: 4 },
+    { title: '2 Résultats', pageIndex: 6 },
+    { title: '2.1 Détail', pageIndex: null },
+];
+
+const readText = async (pdf, pageNumber) => (await (await pdf.getPage(pageNumber)).getTextContent()).items.map(item => item.str).join('');
+
+describe('running values', () => {
+    test('numbers the pages following the page groups', () => {
+        const values = computeRunningValues(RUNS, PAGE_COUNTS, ENTRIES);
+        expect(values.map(page => page.pageNumber)).toEqual([null, 1, 2, 1, 2, 3, 4]);
+        expect(values.map(page => page.format)).toEqual(['arabic', 'roman', 'roman', 'arabic', 'arabic', 'arabic', 'arabic']);
+        // The uncounted cover is out of the total
+        expect(values[0].totalPages).toBe(6);
+    });
+
+    test('follows the chapters and sections of the table of contents', () => {
+        const values = computeRunningValues(RUNS, PAGE_COUNTS, ENTRIES);
+        expect(values.map(page => page.chapterTitle)).toEqual(['', '', '', '1 Introduction', '1 Introduction', '1 Introduction', '2 Résultats']);
+        expect(values.map(page => page.sectionTitle)).toEqual(['', '', '', '1 Introduction', '1.1 Contexte', '1.1 Contexte', '2 Résultats']);
+        expect(values.map(page => page.chapterPage)).toEqual([1, 2, 3, 1, 2, 3, 1]);
+    });
+
+    test('restarts the numbering at its start page', () => {
+        const runs = [{ name: 'front' }, { name: 'main', numbering: { restart: true, start: 5, format: 'Roman' } }];
+        expect(computeRunningValues(runs, [2, 2], []).map(page => getRunningText(page, 'page-number', ''))).toEqual(['1', '2', 'V', 'VI']);
+    });
+
+    test('formats the text of each placeholder', () => {
+        const [, , page] = computeRunningValues(RUNS, PAGE_COUNTS, ENTRIES);
+        expect(getRunningText(page, 'page-number', '')).toBe('ii');
+        expect(getRunningText(page, 'page-number', 'arabic')).toBe('2');
+        expect(getRunningText(page, 'total-pages', '')).toBe('6');
+        expect(getRunningText(page, 'total-pages', 'Roman')).toBe('VI');
+        expect(getRunningText(page, 'chapter-page', '')).toBe('iii');
+        expect(getRunningText(page, 'unknown', '')).toBe('');
+        // An unnumbered page has no number
+        expect(getRunningText(computeRunningValues(RUNS, PAGE_COUNTS, ENTRIES)[0], 'page-number', '')).toBe('');
+    });
+
+    test('writes the values in place of the markers, in the style of their placeholder', async () => {
+        const created = await PDFDocument.create();
+        ['Page @@3.0.2.1@@ / @@4.0.0.0@@', 'Annexe @@3.0.2.1@@'].forEach(text => {
+            created.addPage().drawText(text, { x: 50, y: 700, size: 10 });
+        });
+        const values = computeRunningValues([{ name: 'main' }], [2], []);
+        const styles = [{ color: [0, 0, 0], bold: false }, { color: [0.4, 0.4, 0.4], bold: true }];
+
+        const { pdfDoc, count } = await stampRunningValues(await created.save(), values, { styles, pages: new Set([0]) });
+        expect(count).toBe(2);
+        const bytes = await pdfDoc.save({ useObjectStreams: false });
+        const pdf = await pdfjs.getDocument({ data: new Uint8Array(bytes), verbosity: pdfjs.VerbosityLevel.ERRORS }).promise;
+        const text = await readText(pdf, 1);
+        expect(text).not.toContain('@@');
+        expect(text).toBe('Page / 1 2');
+        // The page number is grey and bold, the annex is left as it is
+        const { fnArray, argsArray } = await (await pdf.getPage(1)).getOperatorList();
+        const colors = argsArray.filter((args, i) => fnArray[i] === pdfjs.OPS.setFillRGBColor).map(String);
+        expect(colors).toContain('102,102,102');
+        expect(Buffer.from(bytes).includes('/BaseFont /Helvetica-Bold')).toBe(true);
+        expect(await readText(pdf, 2)).toBe('Annexe @@3.0.2.1@@');
+    });
+});
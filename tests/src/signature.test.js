@@ -0,0 +1,92 @@
+// Signs PDFs with a throwaway certificate and verifies them back.
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { PDFDocument } = require('pdf-lib');
+const { loadCertificate, resolveSignature, signPDF, verifyPDF, sliceDer, SignatureError } = require('../../js/signature');
+
+/**
+ * A self-signed PKCS#12 certificate, as the SIGNING_CERTIFICATE file would hold it.
+ */
+const createP12 = (passphrase, commonName) => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const key = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs1', format: 'pem' }));
+    const certificate = forge.pki.createCertificate();
+    certificate.publicKey = forge.pki.setRsaPublicKey(key.n, key.e);
+    certificate.serialNumber = '01';
+    certificate.validity.notBefore = new Date(Date.now() - 24 * 3600 * 1000);
+    certificate.validity.notAfter = new Date(Date.now() + 365 * 24 * 3600 * 1000);
+    const subject = [{ name: 'commonName', value: commonName }];
+    certificate.setSubject(subject);
+    certificate.setIssuer(subject);
+    certificate.sign(key, forge.md.sha256.create());
+    const p12 = forge.pkcs12.toPkcs12Asn1(key, [certificate], passphrase, { algorithm: '3des' });
+    return Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary');
+};
+
+const createDocument = async pageCount => {
+    const pdfDoc = await PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) {
+        pdfDoc.addPage().drawText(`Page ${i + 1}`, { x: 50, y: 700 });
+    }
+    return pdfDoc;
+};
+
+describe('signature', () => {
+    let certificate;
+    beforeAll(() => {
+        certificate = loadCertificate(createP12('secret', 'Bureau de contrôle'), 'secret');
+    });
+
+    test('refuses an unreadable certificate and invalid options', () => {
+        expect(() => loadCertificate(createP12('secret', 'Test'), 'wrong')).toThrow(SignatureError);
+        expect(() => resolveSignature({ box: '10,20,0,50' })).toThrow('Invalid signature box');
+        expect(() => resolveSignature({ page: '0' })).toThrow('Invalid signature page');
+    });
+
+    test('verifies a signed document', async () => {
+        const signature = resolveSignature({ reason: 'Rapport contractuel', location: 'Lyon', box: '380,40,180,50', certificate });
+        const pdf = await signPDF(await createDocument(2), signature);
+
+        const result = verifyPDF(pdf);
+        expect(result).toMatchObject({ signed: true, valid: true });
+        expect(result.signatures).toHaveLength(1);
+        expect(result.signatures[0]).toMatchObject({
+            valid: true,
+            subFilter: 'ETSI.CAdES.detached',
+            reason: 'Rapport contractuel',
+            location: 'Lyon',
+            coversWholeDocument: true,
+            errors: [],
+        });
+        expect(result.signatures[0].signer).toContain('Bureau de contrôle');
+    });
+
+    test('detects a change of the signed bytes', async () => {
+        const pdf = await signPDF(await createDocument(1), resolveSignature({ certificate }));
+        // The version of the header, "%PDF-1.7"
+        pdf.write('6', pdf.indexOf('%PDF-') + 7, 'latin1');
+
+        const result = verifyPDF(pdf);
+        expect(result.valid).toBe(false);
+        expect(result.signatures[0].errors).toContain('The document was modified after it was signed.');
+    });
+
+    test('refuses a signature page out of the document', async () => {
+        const signature = resolveSignature({ page: 3, certificate });
+        await expect(signPDF(await createDocument(2), signature)).rejects.toThrow(SignatureError);
+    });
+
+    test('reports an unsigned document', async () => {
+        const pdf = Buffer.from(await (await createDocument(1)).save());
+        expect(verifyPDF(pdf)).toEqual({ signed: false, valid: false, signatures: [] });
+    });
+
+    test('keeps the trailing zero bytes of the CMS, dropping the padding only', () => {
+        const der = Buffer.from([0x30, 0x03, 0x02, 0x01, 0x00]);
+        expect(sliceDer(Buffer.concat([der, Buffer.alloc(8)]))).toEqual(der);
+        const long = Buffer.concat([Buffer.from([0x30, 0x82, 0x01, 0x00]), Buffer.alloc(256)]);
+        expect(sliceDer(Buffer.concat([long, Buffer.alloc(4)]))).toEqual(long);
+        expect(() => sliceDer(Buffer.from([0x30, 0x05, 0x00]))).toThrow('truncated');
+        expect(() => sliceDer(Buffer.alloc(16))).toThrow('not a DER sequence');
+    });
+});
@@ -0,0 +1,65 @@
+// Renders the report templates of the templates/ directory with their sample data.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { listTemplates, renderTemplate } = require('../../js/templates');
+
+const SAMPLES_DIR = path.join(__dirname, '..', '..', 'templates', 'samples');
+
+const readSample = name => JSON.parse(fs.readFileSync(path.join(SAMPLES_DIR, `${name}.json`), 'utf8'));
+const renderDocument = (name, data) => new JSDOM(renderTemplate(name, data)).window.document;
+
+describe('report templates', () => {
+    test('the templates of the report types are registered', () => {
+        expect(listTemplates()).toEqual(expect.arrayContaining(['recensement', 'evaluation_detaillee']));
+    });
+
+    test.each(['recensement', 'evaluation_detaillee'])('%s has the layout elements the pipeline reads', name => {
+        const document = renderDocument(name, readSample(name));
+        ['#presentation', '#header-first-page', '#footer-first-page', '#header-container', '#footer',
+            '#table-of-content', '.totalPages'].forEach(selector => {
+            expect(document.querySelector(selector)).not.toBeNull();
+        });
+        // Every TOC entry links to a section
+        document.querySelectorAll('#table-of-content a').forEach(link => {
+            expect(document.querySelector(`section${link.getAttribute('href')}`)).not.toBeNull();
+        });
+    });
+
+    test('recensement lists one TOC entry and one section per zone', () => {
+        const data = readSample('recensement');
+        const document = renderDocument('recensement', data);
+
+        const entries = Array.from(document.querySelectorAll('#table-of-content a'));
+        expect(entries.map(link => link.getAttribute('href'))).toEqual(data.zones.map(zone => `#${zone.id}`));
+        data.zones.forEach(zone => {
+            expect(document.getElementById(zone.id).querySelectorAll('tbody tr')).toHaveLength(zone.elements.length);
+        });
+        // A zone without elements says so instead of an empty table
+        expect(document.getElementById('zone-atelier').textContent).toContain('Aucun élément recensé');
+    });
+
+    test('evaluation_detaillee writes the status and the recommendations of each criterion', () => {
+        const document = renderDocument('evaluation_detaillee', readSample('evaluation_detaillee'));
+
+        const statuses = Array.from(document.querySelectorAll('#synthese tbody tr'), row => row.cells[2].textContent);
+        expect(statuses).toEqual(['Conforme', 'À améliorer', 'Conforme']);
+        expect(document.querySelectorAll('#critere-circulation li')).toHaveLength(2);
+        expect(document.querySelector('#critere-incendie ul')).toBeNull();
+    });
+
+    test.each(['recensement', 'evaluation_detaillee'])('%s headers and footers use the running placeholders', name => {
+        const document = renderDocument(name, readSample(name));
+        expect(document.querySelector('#footer [data-running="page-number"]')).not.toBeNull();
+        expect(document.querySelector('#footer [data-running="total-pages"]')).not.toBeNull();
+        expect(document.querySelector('#header-container [data-running="chapter-title"]')).not.toBeNull();
+    });
+
+    test('the data is HTML-escaped', () => {
+        const data = readSample('recensement');
+        const document = renderDocument('recensement', { ...data, client: { nom: '<script>alert(1)</script>' } });
+        expect(document.querySelector('#presentation script')).toBeNull();
+        expect(document.querySelector('#presentation').textContent).toContain('<script>alert(1)</script>');
+        expect(document.getElementById('zone-atelier').querySelector('h1').textContent).toBe('Ateliers <municipaux>');
+    });
+});
@@ -0,0 +1,76 @@
+// Watermarks stamped on the merged PDF, read back with pdfjs.
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const { PDFDocument } = require('pdf-lib');
+const { resolveWatermark, addWatermark, parsePageRange, InvalidWatermarkError } = require('../../js/watermark');
+
+// A 1x1 red PNG image
+const PNG_IMAGE = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg==', 'base64');
+
+const createDocument = async pageCount => {
+    const pdfDoc = await PDFDocument.create();
+    for (let i = 0; i < pageCount; i++) {
+        pdfDoc.addPage([595, 842]);
+    }
+    return pdfDoc;
+};
+
+const openDocument = async pdfDoc => pdfjs.getDocument({
+    data: new Uint8Array(await pdfDoc.save()), verbosity: pdfjs.VerbosityLevel.ERRORS,
+}).promise;
+
+const readItems = async (pdf, pageNumber) => (await (await pdf.getPage(pageNumber)).getTextContent()).items.filter(item => item.str);
+
+describe('watermark', () => {
+    test('reads the page ranges', () => {
+        expect(Array.from(parsePageRange('2-', 5))).toEqual([1, 2, 3, 4]);
+        expect(Array.from(parsePageRange('1, 3-4', 5))).toEqual([0, 2, 3]);
+        expect(Array.from(parsePageRange('-2,9', 5))).toEqual([0, 1]);
+        expect(() => parsePageRange('a-b', 5)).toThrow(InvalidWatermarkError);
+        expect(() => parsePageRange('-', 5)).toThrow('Invalid page range: -.');
+    });
+
+    test('checks and completes the options', () => {
+        expect(resolveWatermark({})).toBeNull();
+        const watermark = resolveWatermark({ text: 'BROUILLON', color: '#ff0000', reference: 'R-12' });
+        expect(watermark).toMatchObject({ position: 'diagonal', opacity: 0.2, pages: null, size: null, variables: { reference: 'R-12' } });
+        expect(watermark.color).toMatchObject({ red: 1, green: 0, blue: 0 });
+
+        expect(() => resolveWatermark({ text: 'x', position: 'middle' })).toThrow('Unknown watermark position: middle.');
+        expect(() => resolveWatermark({ text: 'x', opacity: 2 })).toThrow(InvalidWatermarkError);
+        expect(() => resolveWatermark({ text: 'x', size: -1 })).toThrow(InvalidWatermarkError);
+        expect(() => resolveWatermark({ text: 'x', color: 'red' })).toThrow('Invalid watermark color: red.');
+        expect(() => resolveWatermark({ text: 'x', pages: '1;2' })).toThrow(InvalidWatermarkError);
+    });
+
+    test('stamps the text on the pages of the range, with its variables', async () => {
+        const pdfDoc = await createDocument(3);
+        const watermark = resolveWatermark({ text: 'Brouillon {page}/{pages} - {report} - {reference} {inconnu}', pages: '2-', reference: 'R-12' });
+        expect(await addWatermark(pdfDoc, watermark, { report: 'recensement' })).toBe(2);
+
+        const pdf = await openDocument(pdfDoc);
+        expect(await readItems(pdf, 1)).toHaveLength(0);
+        expect((await readItems(pdf, 2)).map(item => item.str)).toEqual(['Brouillon 2/3 - recensement - R-12 {inconnu}']);
+        expect((await readItems(pdf, 3)).map(item => item.str)).toEqual(['Brouillon 3/3 - recensement - R-12 {inconnu}']);
+    });
+
+    test('centers the text on the page, or puts it in a corner', async () => {
+        const pdfDoc = await createDocument(1);
+        await addWatermark(pdfDoc, resolveWatermark({ text: 'CONFIDENTIEL', position: 'center', size: 40 }));
+        await addWatermark(pdfDoc, resolveWatermark({ text: 'Copie', position: 'top-right' }));
+
+        const [center, corner] = await readItems(await openDocument(pdfDoc), 1);
+        expect(center.transform[4] + center.width / 2).toBeCloseTo(595 / 2, 0);
+        expect(center.transform[0]).toBeCloseTo(40);
+        expect(corner.transform[4] + corner.width).toBeCloseTo(595 - 20, 0);
+        expect(corner.transform[5]).toBeGreaterThan(842 - 40);
+    });
+
+    test('draws a PNG image and refuses the other formats', async () => {
+        const pdfDoc = await createDocument(2);
+        expect(await addWatermark(pdfDoc, resolveWatermark({ image: PNG_IMAGE, pages: '1' }))).toBe(1);
+        const { fnArray } = await (await (await openDocument(pdfDoc)).getPage(1)).getOperatorList();
+        expect(fnArray).toContain(pdfjs.OPS.paintImageXObject);
+
+        await expect(addWatermark(pdfDoc, resolveWatermark({ image: Buffer.from('GIF89a') }))).rejects.toThrow(InvalidWatermarkError);
+    });
+});